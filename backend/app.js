@@ -1,3 +1,4 @@
+require('dotenv').config({ quiet: true });
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -6,10 +7,78 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = 'rwanda_hospital_secret_key';
+// Required - the server refuses to start without it (see the bottom of the file)
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const CLAIM_CODE_TTL_DAYS = 7;
+// Links in emails point here, e.g. ${APP_URL}/reset-password?token=...
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Rwanda Hospital';
+const BACKUP_CODE_COUNT = 10;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Login throttling. After LOGIN_DELAY_AFTER failures each further attempt on
+// the account has to wait twice as long as the last (2s, 4s, ... up to a
+// minute); LOGIN_MAX_FAILURES in a row lock it for LOGIN_LOCKOUT_MINUTES or
+// until an admin unlocks it. Each IP also gets LOGIN_IP_MAX_FAILURES failed
+// attempts per LOGIN_IP_WINDOW_MINUTES across all accounts.
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 50;
+const LOGIN_IP_WINDOW_MINUTES = 15;
+const LOGIN_HISTORY_DAYS = 90;
+// Linking an account to a patient record. Each account, and each patient ID
+// across all accounts, gets LINK_MAX_FAILURES wrong guesses per
+// LINK_WINDOW_MINUTES, since a patient ID and date of birth are easy to guess.
+// Each IP gets LINK_IP_MAX_FAILURES across all accounts, so guesses cannot be
+// spread over many accounts.
+const LINK_MAX_FAILURES = 5;
+const LINK_IP_MAX_FAILURES = Number(process.env.LINK_IP_MAX_FAILURES) || 20;
+const LINK_WINDOW_MINUTES = 60;
+const DUPLICATE_SCAN_INTERVAL_HOURS = Number(process.env.DUPLICATE_SCAN_INTERVAL_HOURS) || 24;
+// Deleted records stay in the trash at least this long before they can be purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// Scheduling. Working hours are wall-clock times in the server's time zone,
+// so run it with TZ set to the hospital's, e.g. TZ=Africa/Kigali. Doctors
+// work Monday to Friday 08:00-17:00 until their own hours are set.
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map(day => ({ day, start: '08:00', end: '17:00' }));
+const DEFAULT_SLOT_MINUTES = 30;
+const MAX_SLOT_MINUTES = 240;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Appointment lifecycle. Each action moves an appointment out of one of its
+// `from` statuses and stamps the time; PUT /api/appointments/:id cannot
+// change the status.
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'checked-in', 'in-consultation', 'completed', 'cancelled', 'no-show'];
+const APPOINTMENT_TRANSITIONS = {
+  confirm: { from: ['pending'], to: 'confirmed', stamp: 'confirmedAt' },
+  'check-in': { from: ['pending', 'confirmed'], to: 'checked-in', stamp: 'checkedInAt' },
+  start: { from: ['checked-in'], to: 'in-consultation', stamp: 'consultationStartedAt' },
+  complete: { from: ['in-consultation'], to: 'completed', stamp: 'completedAt' },
+  cancel: { from: ['pending', 'confirmed', 'checked-in'], to: 'cancelled', stamp: 'cancelledAt', schema: 'appointment-cancellation' },
+  'no-show': { from: ['pending', 'confirmed'], to: 'no-show', stamp: 'noShowAt' }
+};
+const CANCELLATION_REASONS = ['patient-request', 'doctor-unavailable', 'hospital-closure', 'rescheduled', 'duplicate', 'other'];
+const NO_SHOW_SCAN_INTERVAL_MINUTES = 5;
+// Repeating appointments, e.g. weekly antenatal or dialysis visits
+const MAX_SERIES_OCCURRENCES = 52;
+// How far past a medical record's follow-up date to look for a free slot
+const FOLLOW_UP_SEARCH_DAYS = 7;
+
+// Identifier prefixes. Each facility sets its own FACILITY_CODE so patient
+// and doctor numbers never collide when records are shared, e.g.
+// FACILITY_CODE=KFH issues KFH-P-2026-000001 and KFH-D-0001.
+const FACILITY_CODE = process.env.FACILITY_CODE || 'RH';
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
 
 // Ensure uploads directory exists
 const uploadDir = './uploads';
@@ -17,16 +86,19 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip is
+// the client's address and not the proxy's; login throttling is per IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Page-Size']
+}));
 app.use(express.json());
 app.use('/uploads', express.static('uploads'));
 
-// MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rwanda_hospital', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
   destination: './uploads/',
@@ -48,19 +120,129 @@ const upload = multer({
   }
 });
 
+// Identifier Generation
+// Patient, doctor and invoice numbers are issued from atomic counters on
+// first save. Patients restart every year, invoices every month:
+// RH-P-2026-000123, RH-D-0042, INV-2026-10-00077.
+const IDENTIFIER_FORMATS = {
+  patient: { prefix: (date) => `${FACILITY_CODE}-P-${date.getFullYear()}`, digits: 6 },
+  doctor: { prefix: () => `${FACILITY_CODE}-D`, digits: 4 },
+  invoice: {
+    prefix: (date) => `${INVOICE_PREFIX}-${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+    digits: 5
+  }
+};
+
+const nextIdentifier = async (type, date = new Date()) => {
+  const format = IDENTIFIER_FORMATS[type];
+  const prefix = format.prefix(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: prefix },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${prefix}-${String(counter.seq).padStart(format.digits, '0')}`;
+};
+
+// Pre-save hook filling in the identifier when the document has none
+const assignIdentifier = (field, type) => async function () {
+  if (!this[field]) {
+    this[field] = await nextIdentifier(type, this.createdAt || new Date());
+  }
+};
+
+// Soft Delete
+// Deleting sets deletedAt instead of removing the document. Queries,
+// updates and aggregates skip deleted documents unless their filter names
+// deletedAt or they are run with .setOptions({ withDeleted: true }).
+// deletedWith points at the patient whose deletion took this document along,
+// so restoring the patient brings it back too.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deletedWith: mongoose.Schema.Types.ObjectId
+  });
+
+  schema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
 // Schemas (same as before, but with avatar field)
 const UserSchema = new mongoose.Schema({
   name: String,
   email: { type: String, unique: true },
   password: String,
   role: { type: String, enum: ['admin', 'doctor', 'nurse', 'patient'], default: 'patient' },
+  active: { type: Boolean, default: true },
+  deactivatedAt: Date,
+  // Self-registered doctors and nurses wait for an admin before they can sign in
+  approvalStatus: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'approved' },
+  licenseNumber: String,
+  rejectionReason: String,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
   phone: String,
   avatar: String,
+  // Only self-registered accounts start unverified; admin-created ones are trusted
+  emailVerified: { type: Boolean, default: true },
+  // New address waiting for its confirmation link to be followed
+  pendingEmail: String,
+  // TOTP two-factor authentication. Secrets and backup code hashes are never
+  // returned unless explicitly selected.
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorBackupCodes: { type: [String], select: false },
+  // Time step of the last accepted code, so a code cannot be replayed
+  twoFactorLastCounter: { type: Number, select: false },
+  // Consecutive failed sign-ins, reset on success or when a lock is applied
+  failedLoginCount: { type: Number, default: 0 },
+  lastFailedLoginAt: Date,
+  lockedUntil: Date,
+  lastLoginAt: Date,
+  patientRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  doctorRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Patient Name Matching
+// Names are reduced to spelling-tolerant keys so that common Kinyarwanda
+// variants match each other: r/l (Rwema, Lwema), cy/ch/c, shy/sh, jy/j,
+// i/y and u/w before a vowel (Niyonzima, Nionzima) and doubled letters.
+const nameKey = (word) => {
+  return String(word)
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/l/g, 'r')
+    .replace(/ph/g, 'f')
+    .replace(/q/g, 'k')
+    .replace(/c[hy]/g, 'c')
+    .replace(/shy/g, 'sh')
+    .replace(/jy/g, 'j')
+    .replace(/iy/g, 'y')
+    .replace(/i(?=[aeou])/g, 'y')
+    .replace(/uw/g, 'w')
+    .replace(/u(?=[aeio])/g, 'w')
+    .replace(/(.)\1+/g, '$1');
+};
+
+const nameKeys = (...names) => {
+  const words = names.filter(Boolean).join(' ').split(/[\s\-']+/);
+  return [...new Set(words.map(nameKey).filter(key => key))];
+};
+
 const PatientSchema = new mongoose.Schema({
-  patientId: String,
+  patientId: { type: String, unique: true, sparse: true },
+  nationalId: String,
   firstName: String,
   lastName: String,
   dateOfBirth: Date,
@@ -73,11 +255,35 @@ const PatientSchema = new mongoose.Schema({
   bloodType: String,
   allergies: String,
   avatar: String,
+  claimCode: String,
+  claimCodeExpires: Date,
+  searchKeys: { type: [String], select: false },
   createdAt: { type: Date, default: Date.now }
 });
 
+// 'none' disables English stemming, which mangles Kinyarwanda names
+PatientSchema.index(
+  { firstName: 'text', lastName: 'text', searchKeys: 'text', patientId: 'text', nationalId: 'text', phone: 'text' },
+  {
+    name: 'patient_search',
+    default_language: 'none',
+    weights: { patientId: 10, nationalId: 10, firstName: 5, lastName: 5, phone: 5, searchKeys: 3 }
+  }
+);
+PatientSchema.index({ searchKeys: 1 });
+PatientSchema.index({ nationalId: 1 });
+
+PatientSchema.pre('save', assignIdentifier('patientId', 'patient'));
+
+PatientSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('firstName') || this.isModified('lastName')) {
+    this.searchKeys = nameKeys(this.firstName, this.lastName);
+  }
+  next();
+});
+
 const DoctorSchema = new mongoose.Schema({
-  doctorId: String,
+  doctorId: { type: String, unique: true, sparse: true },
   firstName: String,
   lastName: String,
   specialization: String,
@@ -87,43 +293,130 @@ const DoctorSchema = new mongoose.Schema({
   department: String,
   experience: Number,
   avatar: String,
+  // Weekly template in the server's local time; day 0 is Sunday
+  workingHours: {
+    type: [{ day: Number, start: String, end: String, _id: false }],
+    default: () => DEFAULT_WORKING_HOURS.map(range => ({ ...range }))
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+DoctorSchema.pre('save', assignIdentifier('doctorId', 'doctor'));
+
 const AppointmentSchema = new mongoose.Schema({
-  patientId: String,
-  doctorId: String,
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
   appointmentDate: Date,
-  status: { type: String, enum: ['pending', 'confirmed', 'completed', 'cancelled'], default: 'pending' },
+  status: { type: String, enum: APPOINTMENT_STATUSES, default: 'pending' },
   reason: String,
   notes: String,
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  // Slot length in minutes when booked
+  duration: Number,
+  confirmedAt: Date,
+  checkedInAt: Date,
+  consultationStartedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  noShowAt: Date,
+  cancellationReason: { type: String, enum: CANCELLATION_REASONS },
+  cancellationNote: String,
+  // Occurrences booked together share a seriesId and the rule that made them
+  seriesId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  recurrence: {
+    frequency: { type: String, enum: ['daily', 'weekly'] },
+    interval: Number,
+    count: Number,
+    until: Date
+  },
+  // Booked automatically from a medical record's follow-up date
+  followUpOf: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicalRecord', index: true },
+  // Every status change; `by` is empty when the no-show scan made it
+  statusHistory: [{
+    from: String,
+    to: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    note: String,
+    _id: false
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Time a doctor cannot be booked. Without a doctorId it is a hospital
+// holiday that applies to every doctor.
+const LeaveBlockSchema = new mongoose.Schema({
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor', default: null },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  reason: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now }
 });
+LeaveBlockSchema.index({ doctorId: 1, start: 1 });
 
 const MedicalRecordSchema = new mongoose.Schema({
-  patientId: String,
-  doctorId: String,
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
   diagnosis: String,
   prescription: String,
   treatment: String,
   notes: String,
   followUpDate: Date,
   attachments: [String],
+  // Bumped on every change, matching the latest MedicalRecordRevision
+  version: { type: Number, default: 1 },
+  // Signed records are final: corrections go in as amendments
+  signedAt: Date,
+  signedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amendments: [{
+    text: String,
+    reason: String,
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
   createdAt: { type: Date, default: Date.now }
 });
 
+// One snapshot of a medical record per version, so earlier diagnoses and
+// prescriptions are never lost
+const MedicalRecordRevisionSchema = new mongoose.Schema({
+  recordId: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicalRecord', required: true },
+  version: { type: Number, required: true },
+  change: { type: String, enum: ['created', 'updated', 'signed', 'amended'], required: true },
+  snapshot: {
+    patientId: mongoose.Schema.Types.ObjectId,
+    doctorId: mongoose.Schema.Types.ObjectId,
+    diagnosis: String,
+    prescription: String,
+    treatment: String,
+    notes: String,
+    followUpDate: Date,
+    attachments: [String]
+  },
+  amendment: {
+    text: String,
+    reason: String
+  },
+  // Unset for the baseline of records that predate revision history
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  editedAt: { type: Date, default: Date.now }
+});
+MedicalRecordRevisionSchema.index({ recordId: 1, version: 1 }, { unique: true });
+
 const BillingSchema = new mongoose.Schema({
-  patientId: String,
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
   amount: Number,
   description: String,
   status: { type: String, enum: ['pending', 'paid', 'overdue'], default: 'pending' },
   dueDate: Date,
   paymentMethod: String,
-  invoiceNumber: String,
+  invoiceNumber: { type: String, unique: true, sparse: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+BillingSchema.pre('save', assignIdentifier('invoiceNumber', 'invoice'));
+
 const DepartmentSchema = new mongoose.Schema({
   name: String,
   description: String,
@@ -143,6 +436,148 @@ const InventorySchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+// A pair of patients the duplicate scan thinks may be the same person.
+// patientA always holds the smaller id so each pair is stored once.
+const DuplicateCandidateSchema = new mongoose.Schema({
+  patientA: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  patientB: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  score: Number,
+  reasons: [String],
+  status: { type: String, enum: ['open', 'dismissed', 'merged'], default: 'open' },
+  detectedAt: { type: Date, default: Date.now },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date
+});
+
+DuplicateCandidateSchema.index({ patientA: 1, patientB: 1 }, { unique: true });
+
+// Audit trail of a merge, holding everything needed to undo it
+const PatientMergeSchema = new mongoose.Schema({
+  survivor: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  mergedPatient: mongoose.Schema.Types.ObjectId,
+  mergedSnapshot: mongoose.Schema.Types.Mixed,
+  survivorSnapshot: mongoose.Schema.Types.Mixed,
+  filledFields: [String],
+  moved: {
+    appointments: [mongoose.Schema.Types.ObjectId],
+    medicalRecords: [mongoose.Schema.Types.ObjectId],
+    bills: [mongoose.Schema.Types.ObjectId],
+    users: [mongoose.Schema.Types.ObjectId]
+  },
+  candidates: [mongoose.Schema.Types.ObjectId],
+  status: { type: String, enum: ['merged', 'undone'], default: 'merged' },
+  mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  undoneBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  undoneAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Admin-editable settings, one document per key
+const SettingSchema = new mongoose.Schema({
+  _id: String,
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// One document per identifier series, e.g. { _id: 'RH-P-2026', seq: 123 }
+const CounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+
+// Single-use token sent by email. Only the hash is stored; MongoDB removes
+// the document once it expires.
+const AuthTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: { type: String, enum: ['reset-password', 'verify-email', 'change-email'] },
+  tokenHash: { type: String, index: true },
+  expiresAt: { type: Date, index: { expireAfterSeconds: 0 } },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A login. The refresh token itself is never stored, only its hash; the
+// previous hash is kept to spot a refresh token being replayed.
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  tokenHash: { type: String, index: true },
+  previousTokenHash: { type: String, index: true },
+  userAgent: String,
+  ip: String,
+  expiresAt: Date,
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Every sign-in attempt, successful or not, kept for LOGIN_HISTORY_DAYS.
+// Attempts on unknown emails have no userId but still count towards the IP limit.
+const LoginAttemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: String,
+  ip: String,
+  userAgent: String,
+  success: Boolean,
+  reason: { type: String, enum: ['invalid-password', 'invalid-code', 'unknown-email', 'locked', 'throttled', 'inactive', 'not-approved'] },
+  createdAt: { type: Date, default: Date.now, expires: LOGIN_HISTORY_DAYS * 24 * 60 * 60 }
+});
+LoginAttemptSchema.index({ userId: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Every attempt to link an account to a patient record. patientId is the
+// identifier that was typed, upper-cased; claim code attempts have none.
+const LinkAttemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  patientId: String,
+  method: { type: String, enum: ['date-of-birth', 'claim-code'] },
+  ip: String,
+  success: Boolean,
+  createdAt: { type: Date, default: Date.now, expires: LOGIN_HISTORY_DAYS * 24 * 60 * 60 }
+});
+LinkAttemptSchema.index({ userId: 1, createdAt: -1 });
+LinkAttemptSchema.index({ patientId: 1, createdAt: -1 });
+LinkAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Append-only record of who read or changed patient data. Each entry stores
+// the hash of the one before it, so editing or deleting an entry breaks the
+// chain from that point on (see GET /api/audit-logs/verify). Deployments
+// should also give the API's MongoDB user insert-only rights on this collection.
+const AuditLogSchema = new mongoose.Schema({
+  seq: { type: Number, unique: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorEmail: String,
+  actorRole: String,
+  action: String,
+  resourceType: String,
+  resourceId: mongoose.Schema.Types.ObjectId,
+  // Every patient whose data the request touched, for filtering by patient
+  patientIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Patient' }], index: true },
+  // [{ field, before, after }] for writes; query and result count for lists
+  changes: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  prevHash: String,
+  hash: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+// Empty objects are kept as written, otherwise the stored entry would no
+// longer match its hash
+}, { minimize: false });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be changed');
+  }
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteOne', 'deleteMany'],
+  function () {
+    throw new Error('Audit log entries cannot be changed');
+  }
+);
+
 const NotificationSchema = new mongoose.Schema({
   userId: String,
   title: String,
@@ -152,237 +587,2420 @@ const NotificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+[PatientSchema, DoctorSchema, AppointmentSchema, MedicalRecordSchema, BillingSchema, DepartmentSchema, InventorySchema]
+  .forEach(schema => schema.plugin(softDelete));
+
 // Models
 const User = mongoose.model('User', UserSchema);
 const Patient = mongoose.model('Patient', PatientSchema);
 const Doctor = mongoose.model('Doctor', DoctorSchema);
 const Appointment = mongoose.model('Appointment', AppointmentSchema);
 const MedicalRecord = mongoose.model('MedicalRecord', MedicalRecordSchema);
+const MedicalRecordRevision = mongoose.model('MedicalRecordRevision', MedicalRecordRevisionSchema);
+const LeaveBlock = mongoose.model('LeaveBlock', LeaveBlockSchema);
 const Billing = mongoose.model('Billing', BillingSchema);
 const Department = mongoose.model('Department', DepartmentSchema);
 const Inventory = mongoose.model('Inventory', InventorySchema);
 const Notification = mongoose.model('Notification', NotificationSchema);
+const Counter = mongoose.model('Counter', CounterSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const AuthToken = mongoose.model('AuthToken', AuthTokenSchema);
+const Setting = mongoose.model('Setting', SettingSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+const LinkAttempt = mongoose.model('LinkAttempt', LinkAttemptSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', DuplicateCandidateSchema);
+const PatientMerge = mongoose.model('PatientMerge', PatientMergeSchema);
 
-// Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Email
+// SMTP is configured through SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and
+// SMTP_PASS; point it at a local catcher such as Mailpit (SMTP_HOST=localhost,
+// SMTP_PORT=1025) while developing. Without SMTP_HOST messages are only logged.
+const MAIL_FROM = process.env.MAIL_FROM || 'Rwanda Hospital <no-reply@rwandahospital.rw>';
 
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
-  }
+const mailer = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  : nodemailer.createTransport({ jsonTransport: true });
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 };
 
-// Routes
+// Shared layout: a greeting, some paragraphs and an optional button
+const renderEmail = ({ name, paragraphs, action }) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1f2937;">
+      <h2 style="color: #667eea;">Rwanda Hospital</h2>
+      <p>Hello ${escapeHtml(name)},</p>
+      ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}
+      ${action ? `<p style="margin: 30px 0;">
+        <a href="${escapeHtml(action.url)}" style="background: #667eea; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="font-size: 12px; color: #6b7280;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>` : ''}
+    </div>`;
+  const text = [`Hello ${name},`, ...paragraphs, action ? `${action.label}: ${action.url}` : '']
+    .filter(Boolean)
+    .join('\n\n');
+  return { html, text };
+};
 
-// Upload avatar route
-app.post('/api/upload/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+const EMAIL_TEMPLATES = {
+  verifyEmail: ({ name, url }) => ({
+    subject: 'Confirm your email address',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'Thanks for registering with Rwanda Hospital. Please confirm that this is your email address.',
+        `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+      ],
+      action: { label: 'Confirm email', url }
+    })
+  }),
+  resetPassword: ({ name, url }) => ({
+    subject: 'Reset your password',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'We received a request to reset your password.',
+        `The link can be used once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, you can ignore this email.`
+      ],
+      action: { label: 'Choose a new password', url }
+    })
+  }),
+  passwordChanged: ({ name }) => ({
+    subject: 'Your password was changed',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'The password for your Rwanda Hospital account was just changed and your other devices have been signed out.',
+        'If this was not you, contact the hospital administration immediately.'
+      ]
+    })
+  }),
+  confirmEmailChange: ({ name, url }) => ({
+    subject: 'Confirm your new email address',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'You asked to use this address for your Rwanda Hospital account. Until you confirm it, you keep signing in with your old address.',
+        `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+      ],
+      action: { label: 'Confirm new email', url }
+    })
+  }),
+  emailChanged: ({ name, email }) => ({
+    subject: 'Your email address was changed',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        `Your Rwanda Hospital account now uses ${email}. This address will no longer receive emails about it.`,
+        'If this was not you, contact the hospital administration immediately.'
+      ]
+    })
+  }),
+  accountDeactivated: ({ name }) => ({
+    subject: 'Your account has been deactivated',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'Your Rwanda Hospital account was deactivated at your request and you have been signed out on all devices.',
+        'Your medical and billing records are kept. To use the account again, contact the hospital administration.'
+      ]
+    })
+  }),
+  accountApproved: ({ name, role }) => ({
+    subject: 'Your account has been approved',
+    ...renderEmail({
+      name,
+      paragraphs: [`Your ${role} account has been approved. You can now sign in.`],
+      action: { label: 'Sign in', url: `${APP_URL}/login` }
+    })
+  }),
+  accountRejected: ({ name, reason }) => ({
+    subject: 'Your registration was not approved',
+    ...renderEmail({
+      name,
+      paragraphs: [
+        'Unfortunately your staff registration with Rwanda Hospital was not approved.',
+        reason ? `Reason: ${reason}` : 'Please contact the hospital administration for details.'
+      ]
+    })
+  })
+};
+
+// Failures are logged rather than thrown so a mail outage never fails the request
+const sendEmail = async (to, templateName, data) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
+    const { subject, html, text } = EMAIL_TEMPLATES[templateName](data);
+    const info = await mailer.sendMail({ from: MAIL_FROM, to, subject, html, text });
+    if (!process.env.SMTP_HOST) {
+      console.log(`Email (not sent, SMTP_HOST unset) to ${to}: ${subject}\n${text}`);
     }
-
-    // Update user avatar
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { avatar: `/uploads/${req.file.filename}` },
-      { new: true }
-    ).select('-password');
-
-    res.json({
-      message: 'Avatar uploaded successfully',
-      avatar: user.avatar,
-      user: user
-    });
+    return info;
   } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+    console.error(`Failed to send "${templateName}" email to ${to}:`, error.message);
   }
-});
+};
 
-// User Registration - Updated to prevent non-admin registration as admin
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, password, role, phone } = req.body;
-    
-    // Prevent registration as admin unless explicitly allowed (for security)
-    // Only allow doctor, nurse, or patient roles for public registration
-    const allowedRoles = ['doctor', 'nurse', 'patient'];
-    const finalRole = allowedRoles.includes(role) ? role : 'patient';
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+// Issues a new single-use token of the given type, cancelling older unused ones
+const createAuthToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Marks the token used and returns it, or null if it is unknown, used or expired
+const consumeAuthToken = (token, type) => {
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user._id, 'verify-email', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await sendEmail(user.email, 'verifyEmail', { name: user.name, url: `${APP_URL}/verify-email?token=${token}` });
+};
+
+// Two-Factor Authentication
+// RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps) as used by Google
+// Authenticator, Authy and similar apps. Codes one step either side of now
+// are accepted to allow for clock drift.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+// Paths reachable with a token whose user still has to enroll
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/me', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const totpCode = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(value).padStart(6, '0');
+};
+
+// Returns the time step the code belongs to, or null if it does not match
+const matchTotp = (secret, code) => {
+  const now = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const counter of [now - 1, now, now + 1]) {
+    const expected = totpCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
     }
+  }
+  return null;
+};
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+// Plain codes to show the user once, and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code.replace('-', ''))) };
+};
 
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: finalRole,
-      phone
-    });
+// Checks an authenticator or backup code for a user loaded with the
+// two-factor fields, consuming it if valid. Returns 'totp', 'backup' or null.
+const verifyTwoFactorCode = async (user, secret, input) => {
+  const code = String(input).replace(/[\s-]/g, '').toUpperCase();
 
+  if (/^\d{6}$/.test(code)) {
+    const counter = matchTotp(secret, code);
+    if (counter === null || counter <= (user.twoFactorLastCounter || 0)) {
+      return null;
+    }
+    user.twoFactorLastCounter = counter;
     await user.save();
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    return 'totp';
+  }
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        avatar: user.avatar
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+  const index = (user.twoFactorBackupCodes || []).indexOf(hashToken(code));
+  if (index === -1) {
+    return null;
   }
-});
+  user.twoFactorBackupCodes.splice(index, 1);
+  await user.save();
+  return 'backup';
+};
 
-// TEMPORARY: Create admin user (REMOVE AFTER FIRST USE)
-app.post('/api/auth/create-admin', async (req, res) => {
-  try {
-    const { name, email, password, phone } = req.body;
-    
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ email, role: 'admin' });
-    if (existingAdmin) {
-      return res.status(400).json({ message: 'Admin user already exists' });
-    }
+const getTwoFactorRequiredRoles = async () => {
+  const setting = await Setting.findById('twoFactorRequiredRoles');
+  return setting ? setting.value : [];
+};
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+const needsTwoFactorSetup = async (user) => {
+  if (user.twoFactorEnabled) return false;
+  return (await getTwoFactorRequiredRoles()).includes(user.role);
+};
 
-    // Create admin user
-    const admin = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: 'admin',
-      phone
-    });
+// Short-lived token proving the password step of a two-factor sign-in
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign({ userId: user._id, purpose: 'two-factor' }, JWT_SECRET, { expiresIn: '5m' });
+};
 
-    await admin.save();
-    
-    res.status(201).json({
-      message: 'Admin user created successfully',
-      user: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-        phone: admin.phone,
-        avatar: admin.avatar
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
+// The user object returned alongside tokens on register and sign-in
+const authUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  phone: user.phone,
+  avatar: user.avatar,
+  patientRef: user.patientRef,
+  doctorRef: user.doctorRef,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
 });
 
-// User Login
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Login Throttling
+const recordLoginAttempt = (req, { user, email, success, reason }) => {
+  return LoginAttempt.create({
+    userId: user?._id,
+    email: user?.email || email,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    success,
+    reason
+  });
+};
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+// Seconds an account has to wait before its next attempt, 0 if it may try now
+const loginDelaySeconds = (user) => {
+  if (user.lockedUntil && user.lockedUntil > Date.now()) {
+    return Math.ceil((user.lockedUntil - Date.now()) / 1000);
+  }
+  if (user.failedLoginCount < LOGIN_DELAY_AFTER || !user.lastFailedLoginAt) {
+    return 0;
+  }
+  const delay = Math.min(2 ** (user.failedLoginCount - LOGIN_DELAY_AFTER + 1), LOGIN_MAX_DELAY_SECONDS);
+  const waited = (Date.now() - user.lastFailedLoginAt) / 1000;
+  return Math.max(Math.ceil(delay - waited), 0);
+};
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+// Answers 429 or 423 and returns true if this attempt is not allowed yet
+const rejectThrottledLogin = async (req, res, user) => {
+  const ipFailures = await LoginAttempt.countDocuments({
+    ip: req.ip,
+    success: false,
+    createdAt: { $gt: new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000) }
+  });
+  if (ipFailures >= LOGIN_IP_MAX_FAILURES) {
+    res.set('Retry-After', String(LOGIN_IP_WINDOW_MINUTES * 60));
+    res.status(429).json({ message: 'Too many failed sign-in attempts from this network. Try again later.' });
+    return true;
+  }
+  if (!user) return false;
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  const wait = loginDelaySeconds(user);
+  if (wait === 0) return false;
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        avatar: user.avatar
-      }
+  res.set('Retry-After', String(wait));
+  if (user.lockedUntil && user.lockedUntil > Date.now()) {
+    await recordLoginAttempt(req, { user, success: false, reason: 'locked' });
+    res.status(423).json({
+      message: `This account is locked after too many failed sign-in attempts. Try again after ${user.lockedUntil.toLocaleTimeString()} or ask an administrator to unlock it.`,
+      lockedUntil: user.lockedUntil
     });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+  } else {
+    await recordLoginAttempt(req, { user, success: false, reason: 'throttled' });
+    res.status(429).json({ message: `Too many failed attempts. Wait ${wait} seconds and try again.`, retryAfter: wait });
   }
-});
+  return true;
+};
 
-// Get current user
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId).select('-password');
-    res.json(user);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
+// Counts a wrong password or code, locking the account at LOGIN_MAX_FAILURES
+const recordLoginFailure = async (req, user, reason) => {
+  await recordLoginAttempt(req, { user, success: false, reason });
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginCount: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+  if (updated.failedLoginCount >= LOGIN_MAX_FAILURES) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginCount: 0, lockedUntil: new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000) }
+    );
   }
-});
+};
 
-// Update user profile
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
-  try {
-    const { name, phone } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { name, phone },
-      { new: true }
-    ).select('-password');
-    
-    res.json({
-      message: 'Profile updated successfully',
-      user: user
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-});
+const recordLoginSuccess = async (req, user) => {
+  await recordLoginAttempt(req, { user, success: true });
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginCount: 0, lastLoginAt: new Date(), $unset: { lastFailedLoginAt: 1, lockedUntil: 1 } }
+  );
+};
 
-// Reports Routes
-app.get('/api/reports/daily', authenticateToken, async (req, res) => {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+const LOGIN_HISTORY_FIELDS = 'ip userAgent success reason createdAt';
 
-    const stats = {
+// Creates the same in-app notification for each of the given users
+const notifyUsers = (userIds, { title, message, type = 'info' }) => {
+  return Notification.insertMany(userIds.map(userId => ({ userId: String(userId), title, message, type })));
+};
+
+// Sessions
+// Logging in opens a Session and returns a short-lived access token (JWT)
+// plus a refresh token. Each refresh swaps the refresh token for a new one;
+// presenting an already swapped token revokes the whole session.
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Users whose role must use two-factor but who have not enrolled yet get
+// tokens that only reach the enrollment endpoints
+const signAccessToken = async (user, sessionId) => {
+  const twoFactorSetupRequired = await needsTwoFactorSetup(user);
+  return jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sessionId, twoFactorSetupRequired },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Opens a session for the user and returns { token, refreshToken }
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token: await signAccessToken(user, session._id), refreshToken };
+};
+
+const revokeSessions = (filter) => {
+  return Session.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Authentication Middleware - 401 means the client should refresh and retry
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    // Two-factor challenges are signed with the same secret but only prove
+    // the password; anything without a session is not an access token
+    if (err || user.purpose || !user.sessionId) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    try {
+      // Revoked sessions (logout, admin kill) stop working immediately
+      const active = await Session.exists({ _id: user.sessionId, revokedAt: null });
+      if (!active) {
+        return res.status(401).json({ message: 'Session has ended' });
+      }
+      if (user.twoFactorSetupRequired && !TWO_FACTOR_SETUP_PATHS.includes(req.path)) {
+        return res.status(403).json({
+          message: 'Set up two-factor authentication on your profile to continue',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+};
+
+// Role-based permissions
+const PERMISSIONS = {
+  admin: [
+    'patients:read', 'patients:write', 'patients:delete',
+    'doctors:read', 'doctors:write', 'doctors:delete',
+    'appointments:read', 'appointments:write', 'appointments:delete',
+    'medical-records:read', 'medical-records:write', 'medical-records:delete',
+    'billing:read', 'billing:write', 'billing:delete',
+    'departments:read', 'departments:write', 'departments:delete',
+    'inventory:read', 'inventory:write', 'inventory:delete',
+    'patients:merge', 'trash:read', 'trash:write', 'schedule:write',
+    'users:read', 'users:write', 'settings:read', 'settings:write',
+    'sessions:read', 'sessions:delete', 'audit:read',
+    'reports:read', 'dashboard:read'
+  ],
+  doctor: [
+    'patients:read', 'patients:write',
+    'doctors:read',
+    'appointments:read', 'appointments:write',
+    'medical-records:read', 'medical-records:write',
+    'departments:read',
+    'dashboard:read',
+    'self:patients', 'schedule:write'
+  ],
+  nurse: [
+    'patients:read', 'patients:write',
+    'doctors:read',
+    'appointments:read', 'appointments:write',
+    'medical-records:read',
+    'departments:read',
+    'inventory:read',
+    'dashboard:read'
+  ],
+  patient: [
+    'doctors:read',
+    'departments:read',
+    'self:read', 'self:link', 'self:book'
+  ]
+};
+
+const hasPermission = (role, permission) => {
+  return (PERMISSIONS[role] || []).includes(permission);
+};
+
+// Authorization Middleware - must run after authenticateToken
+const authorize = (...permissions) => (req, res, next) => {
+  const role = req.user && req.user.role;
+  const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'You do not have permission to perform this action',
+      required: missing
+    });
+  }
+  next();
+};
+
+// Doctor Scoping Middleware - for doctors, resolves the linked Doctor profile
+// into req.doctorId so queries can be limited to their own patients
+const scopeToDoctor = async (req, res, next) => {
+  if (req.user.role !== 'doctor') {
+    return next();
+  }
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.doctorRef) {
+      return res.status(404).json({ message: 'No doctor profile is linked to this account' });
+    }
+    req.doctorId = user.doctorRef;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const doctorFilter = (req) => {
+  return req.doctorId ? { doctorId: req.doctorId } : {};
+};
+
+// Reference Validation Middleware - rejects bodies pointing at patients or
+// doctors that do not exist, e.g. validateReferences({ patientId: Patient })
+const validateReferences = (refs) => async (req, res, next) => {
+  try {
+    const errors = [];
+    for (const [field, Model] of Object.entries(refs)) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      const exists = mongoose.isValidObjectId(value) && await Model.exists({ _id: value });
+      if (!exists) {
+        errors.push({ field, message: `Unknown ${Model.modelName.toLowerCase()}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(422).json({ message: 'Invalid references', errors });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Request Validation
+// Field rules per resource. Only the fields listed here are accepted from
+// request bodies; anything else (createdAt, avatar, claimCode...) is dropped.
+const RWANDA_PHONE_REGEX = /^(?:\+?250|0)?(7[2389]\d{7})$/;
+const RWANDA_NATIONAL_ID_REGEX = /^[123]\d{15}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const STAFF_ROLES = ['admin', 'doctor', 'nurse'];
+const PASSWORD_MIN_LENGTH = 8;
+// Rejected outright, compared case-insensitively
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'abc12345', 'iloveyou1', 'welcome1', 'admin123',
+  'letmein1', 'changeme1', 'rwanda123', 'kigali123', 'hospital1', 'hospital123'
+];
+const PAYMENT_METHODS = ['Cash', 'Bank Transfer', 'Mobile Money', 'Credit Card', 'Insurance'];
+
+const VALIDATION_SCHEMAS = {
+  register: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    password: { type: 'password', required: true },
+    phone: { type: 'phone' },
+    role: { type: 'string', enum: ['doctor', 'nurse', 'patient'] },
+    licenseNumber: { type: 'string', label: 'License number', maxLength: 50 }
+  },
+  'forgot-password': {
+    email: { type: 'email', required: true }
+  },
+  'reset-password': {
+    token: { type: 'string', required: true, maxLength: 200 },
+    password: { type: 'password', required: true }
+  },
+  'verify-email': {
+    token: { type: 'string', required: true, maxLength: 200 }
+  },
+  'two-factor-code': {
+    code: { type: 'string', required: true, maxLength: 20 }
+  },
+  'two-factor-login': {
+    challengeToken: { type: 'string', label: 'Sign-in attempt', required: true, maxLength: 1000 },
+    code: { type: 'string', required: true, maxLength: 20 }
+  },
+  'two-factor-disable': {
+    password: { type: 'string', required: true, trim: false },
+    code: { type: 'string', required: true, maxLength: 20 }
+  },
+  'security-settings': {
+    twoFactorRequiredRoles: { type: 'list', label: 'Roles requiring two-factor', required: true, enum: STAFF_ROLES }
+  },
+  'user-rejection': {
+    reason: { type: 'string', maxLength: 500 }
+  },
+  profile: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    phone: { type: 'phone' }
+  },
+  'change-password': {
+    currentPassword: { type: 'string', label: 'Current password', required: true, trim: false },
+    newPassword: { type: 'password', label: 'New password', required: true }
+  },
+  'change-email': {
+    email: { type: 'email', label: 'New email', required: true },
+    password: { type: 'string', required: true, trim: false }
+  },
+  'account-deactivation': {
+    password: { type: 'string', required: true, trim: false }
+  },
+  users: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    password: { type: 'password', required: true },
+    phone: { type: 'phone' },
+    role: { type: 'string', required: true, enum: STAFF_ROLES }
+  },
+  'user-update': {
+    name: { type: 'string', required: true, maxLength: 100 },
+    phone: { type: 'phone' },
+    role: { type: 'string', required: true, enum: STAFF_ROLES }
+  },
+  'patient-merge': {
+    survivorId: { type: 'objectId', label: 'Patient to keep', required: true },
+    mergedId: { type: 'objectId', label: 'Patient to merge', required: true }
+  },
+  patients: {
+    nationalId: { type: 'nationalId', label: 'National ID' },
+    firstName: { type: 'string', required: true, maxLength: 100 },
+    lastName: { type: 'string', required: true, maxLength: 100 },
+    dateOfBirth: { type: 'date', label: 'Date of birth', notInFuture: true },
+    gender: { type: 'string', enum: ['Male', 'Female', 'Other'] },
+    phone: { type: 'phone' },
+    email: { type: 'email' },
+    address: { type: 'string', maxLength: 500 },
+    emergencyContact: { type: 'string', maxLength: 200 },
+    medicalHistory: { type: 'string', maxLength: 5000 },
+    bloodType: { type: 'string', enum: BLOOD_TYPES },
+    allergies: { type: 'string', maxLength: 1000 }
+  },
+  doctors: {
+    firstName: { type: 'string', required: true, maxLength: 100 },
+    lastName: { type: 'string', required: true, maxLength: 100 },
+    specialization: { type: 'string', required: true, maxLength: 100 },
+    phone: { type: 'phone' },
+    email: { type: 'email' },
+    licenseNumber: { type: 'string', maxLength: 50 },
+    department: { type: 'string', maxLength: 100 },
+    experience: { type: 'number', min: 0, max: 70 },
+    avatar: { type: 'url' }
+  },
+  appointments: {
+    patientId: { type: 'objectId', label: 'Patient', required: true },
+    doctorId: { type: 'objectId', label: 'Doctor', required: true },
+    appointmentDate: { type: 'date', label: 'Appointment date', required: true, notInPast: true },
+    status: { type: 'string', enum: ['pending', 'confirmed'] },
+    reason: { type: 'string', required: true, maxLength: 500 },
+    notes: { type: 'string', maxLength: 2000 },
+    priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+    recurrence: { type: 'recurrence', label: 'Repeat' }
+  },
+  'appointment-transition': {
+    note: { type: 'string', maxLength: 500 }
+  },
+  'appointment-cancellation': {
+    reason: { type: 'string', label: 'Cancellation reason', required: true, enum: CANCELLATION_REASONS },
+    note: { type: 'string', maxLength: 500 }
+  },
+  schedule: {
+    workingHours: { type: 'workingHours', label: 'Working hours', required: true }
+  },
+  leave: {
+    doctorId: { type: 'objectId', label: 'Doctor' },
+    start: { type: 'date', required: true },
+    end: { type: 'date', required: true },
+    reason: { type: 'string', maxLength: 200 }
+  },
+  'scheduling-settings': {
+    defaultSlotMinutes: { type: 'number', label: 'Default slot length', required: true, min: 5, max: MAX_SLOT_MINUTES },
+    slotLengths: { type: 'slotLengths', label: 'Slot lengths', required: true },
+    bookingNoticeHours: { type: 'number', label: 'Booking notice', min: 0, max: 168 },
+    maxAdvanceDays: { type: 'number', label: 'Booking horizon', min: 1, max: 365 },
+    rescheduleCutoffHours: { type: 'number', label: 'Reschedule cutoff', min: 0, max: 168 },
+    cancellationCutoffHours: { type: 'number', label: 'Cancellation cutoff', min: 0, max: 168 },
+    noShowGraceMinutes: { type: 'number', label: 'No-show grace period', min: 5, max: 720 }
+  },
+  'self-booking': {
+    doctorId: { type: 'objectId', label: 'Doctor', required: true },
+    appointmentDate: { type: 'date', label: 'Appointment date', required: true, notInPast: true },
+    reason: { type: 'string', required: true, maxLength: 500 }
+  },
+  'self-reschedule': {
+    appointmentDate: { type: 'date', label: 'Appointment date', required: true }
+  },
+  'doctor-account-link': {
+    email: { type: 'email', required: true }
+  },
+  'link-patient': {
+    patientId: { type: 'string', label: 'Patient ID', maxLength: 50 },
+    dateOfBirth: { type: 'date', label: 'Date of birth', notInFuture: true },
+    claimCode: { type: 'string', label: 'Claim code', maxLength: 20 }
+  },
+  'self-cancellation': {
+    reason: { type: 'string', maxLength: 500 }
+  },
+  'medical-records': {
+    patientId: { type: 'objectId', label: 'Patient', required: true },
+    doctorId: { type: 'objectId', label: 'Doctor', required: true },
+    diagnosis: { type: 'string', required: true, maxLength: 5000 },
+    prescription: { type: 'string', maxLength: 5000 },
+    treatment: { type: 'string', maxLength: 5000 },
+    notes: { type: 'string', maxLength: 5000 },
+    followUpDate: { type: 'date', label: 'Follow-up date', notInPast: true },
+    attachments: { type: 'urls' }
+  },
+  'medical-record-amendment': {
+    text: { type: 'string', label: 'Amendment', required: true, maxLength: 5000 },
+    reason: { type: 'string', maxLength: 500 }
+  },
+  billing: {
+    patientId: { type: 'objectId', label: 'Patient', required: true },
+    amount: { type: 'number', required: true, min: 0 },
+    description: { type: 'string', required: true, maxLength: 500 },
+    status: { type: 'string', enum: ['pending', 'paid', 'overdue'] },
+    dueDate: { type: 'date', label: 'Due date', required: true },
+    paymentMethod: { type: 'string', label: 'Payment method', enum: PAYMENT_METHODS }
+  },
+  departments: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', required: true, maxLength: 1000 },
+    headDoctor: { type: 'string', label: 'Head doctor', maxLength: 200 },
+    staffCount: { type: 'number', label: 'Staff count', min: 0 }
+  },
+  inventory: {
+    itemName: { type: 'string', label: 'Item name', required: true, maxLength: 200 },
+    category: { type: 'string', required: true, maxLength: 100 },
+    quantity: { type: 'number', required: true, min: 0 },
+    unitPrice: { type: 'number', label: 'Unit price', required: true, min: 0 },
+    supplier: { type: 'string', maxLength: 200 },
+    expiryDate: { type: 'date', label: 'Expiry date' },
+    status: { type: 'string', enum: ['available', 'low', 'out'] }
+  }
+};
+
+// "firstName" -> "First name"
+const fieldLabel = (field, rule) => {
+  if (rule.label) return rule.label;
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Returns { value } with the cleaned value, or { error } with a message
+const checkField = (field, rule, raw, isCreate, input = {}) => {
+  const label = fieldLabel(field, rule);
+
+  if (rule.type === 'urls') {
+    if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string')) {
+      return { error: `${label} must be a list of links` };
+    }
+    return { value: raw.map(item => item.trim()).filter(item => item) };
+  }
+
+  if (rule.type === 'list') {
+    if (!Array.isArray(raw) || raw.some(item => !rule.enum.includes(item))) {
+      return { error: `${label} must only contain: ${rule.enum.join(', ')}` };
+    }
+    return { value: [...new Set(raw)] };
+  }
+
+  // [{ day: 0-6, start: 'HH:MM', end: 'HH:MM' }], no overlaps within a day
+  if (rule.type === 'workingHours') {
+    if (!Array.isArray(raw)) {
+      return { error: `${label} must be a list of time ranges` };
+    }
+    const ranges = [];
+    for (const item of raw) {
+      const day = Number(item?.day);
+      if (!Number.isInteger(day) || day < 0 || day > 6 || !TIME_REGEX.test(item.start) || !TIME_REGEX.test(item.end)) {
+        return { error: `${label} need a day and start and end times as HH:MM` };
+      }
+      if (item.start >= item.end) {
+        return { error: `${label} must end after they start` };
+      }
+      ranges.push({ day, start: item.start, end: item.end });
+    }
+    ranges.sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+    if (ranges.some((range, i) => i > 0 && ranges[i - 1].day === range.day && ranges[i - 1].end > range.start)) {
+      return { error: `${label} must not overlap` };
+    }
+    return { value: ranges };
+  }
+
+  // [{ specialization, minutes }], one entry per specialization
+  if (rule.type === 'slotLengths') {
+    if (!Array.isArray(raw)) {
+      return { error: `${label} must be a list` };
+    }
+    const lengths = [];
+    for (const item of raw) {
+      const specialization = typeof item?.specialization === 'string' ? item.specialization.trim() : '';
+      const minutes = Number(item?.minutes);
+      if (!specialization || specialization.length > 100) {
+        return { error: `${label} need a specialization` };
+      }
+      if (!Number.isInteger(minutes) || minutes < 5 || minutes > MAX_SLOT_MINUTES) {
+        return { error: `${label} must be whole minutes between 5 and ${MAX_SLOT_MINUTES}` };
+      }
+      if (lengths.some(length => length.specialization.toLowerCase() === specialization.toLowerCase())) {
+        return { error: `${label}: ${specialization} is listed more than once` };
+      }
+      lengths.push({ specialization, minutes });
+    }
+    return { value: lengths };
+  }
+
+  // { frequency: 'daily' | 'weekly', interval, count } or { ..., until }.
+  // The end date counts as a whole day.
+  if (rule.type === 'recurrence') {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return { error: `${label} is invalid` };
+    }
+    if (!['daily', 'weekly'].includes(raw.frequency)) {
+      return { error: `${label} must be daily or weekly` };
+    }
+    const interval = Number(raw.interval ?? 1);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      return { error: `${label} interval must be a whole number between 1 and 52` };
+    }
+    const hasCount = ![undefined, null, ''].includes(raw.count);
+    const hasUntil = ![undefined, null, ''].includes(raw.until);
+    if (hasCount === hasUntil) {
+      return { error: `${label} needs either a number of visits or an end date` };
+    }
+    if (hasCount) {
+      const count = Number(raw.count);
+      if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+        return { error: `${label} must be between 2 and ${MAX_SERIES_OCCURRENCES} visits` };
+      }
+      return { value: { frequency: raw.frequency, interval, count } };
+    }
+    const until = new Date(typeof raw.until === 'string' ? raw.until : NaN);
+    if (isNaN(until.getTime())) {
+      return { error: `${label} end date must be a valid date` };
+    }
+    until.setHours(23, 59, 59, 999);
+    if (until <= new Date(input.appointmentDate)) {
+      return { error: `${label} end date must be after the first appointment` };
+    }
+    return { value: { frequency: raw.frequency, interval, until } };
+  }
+
+  // Plain values only - objects such as { $gt: '' } never reach a query
+  if (typeof raw !== 'string' && typeof raw !== 'number' && typeof raw !== 'boolean') {
+    return { error: `${label} is invalid` };
+  }
+  const text = rule.trim === false ? String(raw) : String(raw).trim();
+
+  switch (rule.type) {
+    case 'string': {
+      if (rule.enum && !rule.enum.includes(text)) {
+        return { error: `${label} must be one of: ${rule.enum.join(', ')}` };
+      }
+      if (rule.minLength && text.length < rule.minLength) {
+        return { error: `${label} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      return { value: text };
+    }
+    case 'email': {
+      if (!EMAIL_REGEX.test(text)) {
+        return { error: `${label} must be a valid email address` };
+      }
+      return { value: text.toLowerCase() };
+    }
+    case 'phone': {
+      const match = text.replace(/[\s\-()]/g, '').match(RWANDA_PHONE_REGEX);
+      if (!match) {
+        return { error: `${label} must be a valid Rwandan mobile number, e.g. 078 123 4567` };
+      }
+      return { value: `+250${match[1]}` };
+    }
+    case 'nationalId': {
+      const digits = text.replace(/[\s\-]/g, '');
+      if (!RWANDA_NATIONAL_ID_REGEX.test(digits)) {
+        return { error: `${label} must be the 16-digit number on a Rwandan ID card` };
+      }
+      return { value: digits };
+    }
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || !Number.isFinite(number)) {
+        return { error: `${label} must be a number` };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: `${label} must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: `${label} must be at most ${rule.max}` };
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(text);
+      if (isNaN(date.getTime())) {
+        return { error: `${label} must be a valid date` };
+      }
+      if (rule.notInFuture && date > new Date()) {
+        return { error: `${label} cannot be in the future` };
+      }
+      // Only checked on create, so older records can still be edited
+      if (rule.notInPast && isCreate) {
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        if (date < startOfToday) {
+          return { error: `${label} cannot be in the past` };
+        }
+      }
+      return { value: date };
+    }
+    case 'objectId': {
+      if (!mongoose.isValidObjectId(text)) {
+        return { error: `${label} is invalid` };
+      }
+      return { value: text };
+    }
+    case 'password': {
+      // Never trimmed; the other fields of the same input are checked so a
+      // password cannot just be the user's own name or email
+      const password = String(raw);
+      if (password.length < PASSWORD_MIN_LENGTH) {
+        return { error: `${label} must be at least ${PASSWORD_MIN_LENGTH} characters` };
+      }
+      if (password.length > 128) {
+        return { error: `${label} must be at most 128 characters` };
+      }
+      if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+        return { error: `${label} must contain both letters and numbers` };
+      }
+      const lower = password.toLowerCase();
+      if (COMMON_PASSWORDS.includes(lower) || /^(.)\1+$/.test(password)) {
+        return { error: `${label} is too easy to guess` };
+      }
+      const personal = [
+        typeof input.email === 'string' ? input.email.split('@')[0] : '',
+        ...(typeof input.name === 'string' ? input.name.split(/\s+/) : [])
+      ].map(part => part.toLowerCase()).filter(part => part.length >= 3);
+      if (personal.some(part => lower.includes(part))) {
+        return { error: `${label} must not contain your name or email` };
+      }
+      return { value: password };
+    }
+    case 'url': {
+      if (!/^(https?:\/\/|\/uploads\/)\S+$/.test(text)) {
+        return { error: `${label} must be a valid link` };
+      }
+      return { value: text };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+// Validation Middleware - replaces req.body with the whitelisted, cleaned
+// fields of the given schema or answers 422 { errors: [{ field, message }] }.
+// POST requires every required field; other methods are partial updates.
+// Returns { body, errors } for the input checked against a named schema
+const validateInput = (schemaName, input, isCreate) => {
+  const schema = VALIDATION_SCHEMAS[schemaName];
+  const body = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    const isEmpty = raw === undefined || raw === null || raw === '';
+
+    if (isEmpty) {
+      if (rule.required && (isCreate || raw !== undefined)) {
+        errors.push({ field, message: `${fieldLabel(field, rule)} is required` });
+      } else if (!isCreate && raw !== undefined) {
+        // Clearing an optional field on update
+        body[field] = null;
+      }
+      continue;
+    }
+
+    const result = checkField(field, rule, raw, isCreate, input);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      body[field] = result.value;
+    }
+  }
+  return { body, errors };
+};
+
+const validateBody = (schemaName) => (req, res, next) => {
+  const { body, errors } = validateInput(schemaName, req.body || {}, req.method === 'POST');
+  if (errors.length > 0) {
+    return res.status(422).json({ message: 'Validation failed', errors });
+  }
+  req.body = body;
+  next();
+};
+
+// List Query Helpers
+// List endpoints accept ?page=&limit= and ?sort=field,-otherField (a leading
+// "-" sorts descending). The page is returned as the body and the total
+// number of matches in the X-Total-Count header.
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+const parseSort = (sortParam, sortableFields, defaultSort) => {
+  if (!sortParam) return defaultSort;
+
+  const sort = {};
+  String(sortParam).split(',').forEach(part => {
+    const field = part.trim().replace(/^-/, '');
+    if (sortableFields.includes(field)) {
+      sort[field] = part.trim().startsWith('-') ? -1 : 1;
+    }
+  });
+  return Object.keys(sort).length > 0 ? sort : defaultSort;
+};
+
+// { $gte, $lte } for ?from=&to= date parameters, or undefined if neither is usable
+const dateRange = (from, to) => {
+  const range = {};
+  if (from && !isNaN(new Date(from).getTime())) {
+    range.$gte = new Date(from);
+  }
+  if (to && !isNaN(new Date(to).getTime())) {
+    // A plain date means "up to the end of that day"
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setHours(23, 59, 59, 999);
+    }
+    range.$lte = end;
+  }
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// Copies plain string query parameters into the filter, ignoring anything else
+const exactFilters = (query, fields) => {
+  const filter = {};
+  fields.forEach(field => {
+    if (typeof query[field] === 'string' && query[field] !== '') {
+      filter[field] = query[field];
+    }
+  });
+  return filter;
+};
+
+// Rejects list queries filtering on a malformed id, e.g. ?patientId=abc
+const validateQueryIds = (...fields) => (req, res, next) => {
+  const invalid = fields.find(field => req.query[field] !== undefined && !mongoose.isValidObjectId(req.query[field]));
+  if (invalid) {
+    return res.status(400).json({ message: `Invalid ${invalid}` });
+  }
+  next();
+};
+
+// Ids of patients or doctors whose name matches the search text
+const idsMatchingName = async (Model, search) => {
+  const regex = new RegExp(escapeRegex(search), 'i');
+  const docs = await Model.find({ $or: [{ firstName: regex }, { lastName: regex }] }).select('_id');
+  return docs.map(doc => doc._id);
+};
+
+// Patient Search
+// Free text is treated as either an identifier (phone, national ID, patient
+// ID) or a name. Every name word must prefix-match one of the patient's name
+// keys, in any order, so "Lwema Jean" finds "Jean Rwema".
+const PATIENT_SEARCH_LIMIT = 10;
+const MAX_PATIENT_SEARCH_LIMIT = 50;
+
+const patientSearchFilter = (search) => {
+  const text = String(search).trim();
+  const clauses = [{ patientId: new RegExp(`^${escapeRegex(text)}`, 'i') }];
+
+  const digits = text.replace(/[\s\-()]/g, '');
+  if (/^\+?\d{3,}$/.test(digits)) {
+    // Phones are stored as +2507XXXXXXXX, so drop any country or trunk prefix
+    const local = digits.replace(/^\+?250/, '').replace(/^0/, '');
+    clauses.push({ nationalId: new RegExp(`^${escapeRegex(digits)}`) });
+    clauses.push({ phone: new RegExp(escapeRegex(local)) });
+  }
+
+  // The raw word is checked too, since a half-typed name ("Ni" for
+  // "Niyonzima") can reduce to a different key than the full one
+  const words = text.split(/\s+/).filter(word => nameKey(word));
+  if (words.length > 0) {
+    clauses.push({
+      $and: words.map(word => {
+        const wordRegex = new RegExp(`(^|\\s)${escapeRegex(word)}`, 'i');
+        return {
+          $or: [
+            { searchKeys: new RegExp(`^${escapeRegex(nameKey(word))}`) },
+            { firstName: wordRegex },
+            { lastName: wordRegex }
+          ]
+        };
+      })
+    });
+  }
+  return { $or: clauses };
+};
+
+// Higher is better: exact identifiers first, then exact names, then spelling
+// variants, then prefixes, with the text index score as a tie-breaker
+const patientRelevance = (patient, search, textScore = 0) => {
+  const text = String(search).trim().toLowerCase();
+  const digits = text.replace(/[\s\-()]/g, '');
+  let score = textScore;
+
+  if ((patient.patientId || '').toLowerCase() === text || patient.nationalId === digits) {
+    score += 100;
+  }
+  if (digits.length >= 9 && (patient.phone || '').endsWith(digits.slice(-9))) {
+    score += 80;
+  }
+
+  const names = [patient.firstName, patient.lastName].filter(Boolean).map(name => name.toLowerCase());
+  const nameWords = names.join(' ').split(/[\s\-']+/);
+  const words = text.split(/\s+/);
+  words.forEach(word => {
+    const key = nameKey(word);
+    if (nameWords.includes(word)) {
+      score += 20;
+    } else if (key && nameWords.some(nameWord => nameKey(nameWord) === key)) {
+      score += 15;
+    } else if (key && nameWords.some(nameWord => nameWord.startsWith(word) || nameKey(nameWord).startsWith(key))) {
+      score += 10;
+    }
+  });
+  // Typed in the stored order (first name first)
+  if (words.length > 1 && names[0] && nameKey(names[0]).startsWith(nameKey(words[0]))) {
+    score += 2;
+  }
+  return score;
+};
+
+const paginate = async (req, res, query, countFilter) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const [items, total] = await Promise.all([
+    query.skip((page - 1) * limit).limit(limit),
+    query.model.countDocuments(countFilter)
+  ]);
+
+  res.set('X-Total-Count', String(total));
+  res.set('X-Page', String(page));
+  res.set('X-Page-Size', String(limit));
+  return items;
+};
+
+// Patients a doctor has seen, derived from their appointment and record history
+const getDoctorPatientIds = async (doctorId) => {
+  const fromAppointments = await Appointment.distinct('patientId', { doctorId });
+  const fromRecords = await MedicalRecord.distinct('patientId', { doctorId });
+  const ids = new Set([...fromAppointments, ...fromRecords].map(String));
+  return [...ids].filter(id => mongoose.isValidObjectId(id));
+};
+
+// Doctors only reach patients they have seen, as in GET /api/me/patients.
+// Needs scopeToDoctor to have run.
+const outsideDoctorScope = async (req, patientId) => {
+  return Boolean(req.doctorId) && !(await getDoctorPatientIds(req.doctorId)).includes(String(patientId));
+};
+
+// Audit Log
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+// Bookkeeping and secrets left out of recorded changes
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'searchKeys', 'claimCode', 'claimCodeExpires'];
+
+// Which patients a document of each audited type belongs to
+const AUDIT_RESOURCES = {
+  patient: { model: Patient, patientIds: doc => [doc._id] },
+  appointment: { model: Appointment, patientIds: doc => [doc.patientId] },
+  'medical-record': { model: MedicalRecord, patientIds: doc => [doc.patientId] },
+  billing: { model: Billing, patientIds: doc => [doc.patientId] },
+  'patient-merge': { model: PatientMerge, patientIds: doc => [doc.survivor, doc.mergedPatient] },
+  'duplicate-candidate': { model: DuplicateCandidate, patientIds: doc => [doc.patientA, doc.patientB] }
+};
+
+// JSON with object keys sorted, so equal values always hash the same
+const canonicalJson = (value) => JSON.stringify(value, (key, item) => {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    return Object.keys(item).sort().reduce((sorted, name) => {
+      sorted[name] = item[name];
+      return sorted;
+    }, {});
+  }
+  return item;
+});
+
+// Plain JSON copy: ObjectIds become strings and dates ISO strings
+const toAuditValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const auditChanges = (before, after) => {
+  const previous = toAuditValue(before) || {};
+  const next = toAuditValue(after) || {};
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+    .filter(field => canonicalJson(previous[field] ?? null) !== canonicalJson(next[field] ?? null))
+    .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+};
+
+const auditHash = (entry) => {
+  const content = canonicalJson([
+    entry.seq,
+    entry.prevHash,
+    new Date(entry.createdAt).toISOString(),
+    entry.actorId ? String(entry.actorId) : null,
+    entry.actorEmail ?? null,
+    entry.actorRole ?? null,
+    entry.action,
+    entry.resourceType,
+    entry.resourceId ? String(entry.resourceId) : null,
+    (entry.patientIds || []).map(String),
+    entry.changes ?? null,
+    entry.details ?? null,
+    entry.ip ?? null,
+    entry.userAgent ?? null
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Entries are chained in this process one at a time; the unique seq makes a
+// second API process retry instead of forking the chain
+let auditQueue = Promise.resolve();
+
+const writeAuditEntry = async (entry) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+    const chained = {
+      ...entry,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : AUDIT_GENESIS_HASH,
+      createdAt: new Date()
+    };
+    chained.hash = auditHash(chained);
+    try {
+      return await AuditLog.create(chained);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not append to the audit log');
+};
+
+const recordAudit = (req, entry) => {
+  const write = auditQueue.then(() => writeAuditEntry({
+    actorId: req.user?.userId,
+    actorEmail: req.user?.email,
+    actorRole: req.user?.role,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    ...entry
+  }));
+  auditQueue = write.catch(() => {});
+  return write;
+};
+
+// Middleware recording a successful request against an audited resource
+// once its response is ready. The action defaults from the method (read or
+// list for GET, create, update, delete); updates and deletes load the
+// document first so the entry can hold what changed. A read whose entry
+// cannot be written fails rather than return unaudited data; a write that
+// already happened is still reported, with the failure logged.
+// Writes touching several documents get one entry each: either the response
+// is an array of them, or the route sets res.locals.auditWrites to
+// [{ before, after }] pairs. Routes whose response carries more than the
+// written document set it too, so only the document is audited. A pair may
+// name its own resourceType and action for documents of another kind written
+// as a side effect, e.g. the follow-up booked with a medical record.
+const auditAccess = (resourceType, action) => async (req, res, next) => {
+  const { model } = AUDIT_RESOURCES[resourceType];
+  let before = null;
+  try {
+    if (req.params.id && (['PUT', 'PATCH', 'DELETE'].includes(req.method) || action === 'update')) {
+      before = await model.findById(req.params.id).setOptions({ withDeleted: true }).lean();
+    }
+  } catch (error) {
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400) {
+      return sendJson(body);
+    }
+
+    const isList = req.method === 'GET' && Array.isArray(body);
+    const entryAction = action || {
+      GET: isList ? 'list' : 'read',
+      POST: 'create',
+      PUT: 'update',
+      PATCH: 'update',
+      DELETE: 'delete'
+    }[req.method];
+    const patientIdsOf = (docs, type = resourceType) => {
+      const ids = docs.flatMap(AUDIT_RESOURCES[type].patientIds).map(id => id?._id || id).filter(Boolean).map(String);
+      return [...new Set(ids)];
+    };
+    const changesFor = (previous, next, writeAction = entryAction) => {
+      if (writeAction === 'create') return auditChanges(null, next);
+      if (writeAction === 'update') return auditChanges(previous, next);
+      if (writeAction === 'delete') return auditChanges(previous, null);
+      return undefined;
+    };
+
+    let entries;
+    const writes = res.locals.auditWrites ||
+      (req.method !== 'GET' && Array.isArray(body) ? body.map(doc => ({ before: null, after: doc })) : null);
+    if (isList) {
+      entries = [{
+        action: entryAction,
+        resourceType,
+        patientIds: patientIdsOf(body),
+        details: { query: toAuditValue(req.query), count: body.length }
+      }];
+    } else if (writes) {
+      entries = writes.map(write => ({
+        action: write.action || entryAction,
+        resourceType: write.resourceType || resourceType,
+        resourceId: (write.after || write.before)._id,
+        patientIds: patientIdsOf([write.after || write.before], write.resourceType),
+        changes: changesFor(write.before, write.after, write.action)
+      }));
+    } else {
+      const ids = patientIdsOf([body?._id ? body : before].filter(Boolean));
+      if (ids.length === 0 && resourceType === 'patient' && req.params.id) {
+        ids.push(req.params.id);
+      }
+      entries = [{
+        action: entryAction,
+        resourceType,
+        resourceId: req.params.id || body?._id,
+        patientIds: ids,
+        changes: changesFor(before, body)
+      }];
+    }
+
+    Promise.all(entries.map(entry => recordAudit(req, entry)))
+      .then(() => sendJson(body))
+      .catch(error => {
+        console.error('Failed to write audit log entry:', error.message);
+        if (req.method === 'GET') {
+          res.status(500);
+          return sendJson({ message: 'Server error', error: 'Could not record access to this data' });
+        }
+        sendJson(body);
+      });
+    return res;
+  };
+  next();
+};
+
+// Scheduling
+// Appointments still waiting for the patient to arrive
+const BOOKED_STATUSES = ['pending', 'confirmed'];
+// Appointments that hold the doctor's time
+const OCCUPYING_STATUSES = [...BOOKED_STATUSES, 'checked-in', 'in-consultation'];
+
+// Patients book between bookingNoticeHours and maxAdvanceDays ahead, and
+// can only move or cancel appointments up to the cutoffs before they start.
+// Nobody checked in noShowGraceMinutes after the start means a no-show.
+const DEFAULT_SCHEDULING_SETTINGS = {
+  defaultSlotMinutes: DEFAULT_SLOT_MINUTES,
+  slotLengths: [],
+  bookingNoticeHours: 2,
+  maxAdvanceDays: 60,
+  rescheduleCutoffHours: 24,
+  cancellationCutoffHours: 2,
+  noShowGraceMinutes: 30
+};
+
+const getSchedulingSettings = async () => {
+  const setting = await Setting.findById('scheduling');
+  return { ...DEFAULT_SCHEDULING_SETTINGS, ...setting?.value };
+};
+
+// Why a patient may not book a slot starting at `start`, or null
+const bookingWindowError = (settings, start) => {
+  const now = new Date();
+  if (start < addMinutes(now, settings.bookingNoticeHours * 60)) {
+    return `Appointments must be booked at least ${settings.bookingNoticeHours} hour(s) ahead`;
+  }
+  if (start > addMinutes(now, settings.maxAdvanceDays * 24 * 60)) {
+    return `Appointments can be booked at most ${settings.maxAdvanceDays} days ahead`;
+  }
+  return null;
+};
+
+// Tells the patient's and doctor's accounts about a change to an appointment
+const notifyAppointment = async (appointment, { patient, doctor }) => {
+  const doctorRecord = await Doctor.findById(appointment.doctorId).select('firstName lastName');
+  const when = new Date(appointment.appointmentDate).toLocaleString();
+  const withDoctor = doctorRecord ? ` with Dr. ${doctorRecord.firstName} ${doctorRecord.lastName}` : '';
+  const fill = (text) => text.replace('{when}', when).replace('{doctor}', withDoctor);
+
+  if (patient) {
+    const users = await User.find({ patientRef: appointment.patientId }).select('_id');
+    await notifyUsers(users.map(user => user._id), { ...patient, message: fill(patient.message) });
+  }
+  if (doctor) {
+    const users = await User.find({ doctorRef: appointment.doctorId }).select('_id');
+    await notifyUsers(users.map(user => user._id), { ...doctor, message: fill(doctor.message) });
+  }
+};
+
+// Applies an APPOINTMENT_TRANSITIONS action to an appointment whose status
+// was checked against its `from` list. Returns null if the status changed
+// in the meantime.
+const transitionAppointment = (appointment, action, { userId = null, note, fields = {} } = {}) => {
+  const { to, stamp } = APPOINTMENT_TRANSITIONS[action];
+  const at = new Date();
+  return Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: appointment.status },
+    {
+      $set: { ...fields, status: to, [stamp]: at },
+      $push: { statusHistory: { from: appointment.status, to, by: userId, at, note } }
+    },
+    { new: true }
+  );
+};
+
+// Marks pending and confirmed appointments nobody checked in for as
+// no-shows. Patients are only told about recent ones, so the first scan
+// after an upgrade does not flood them with old appointments.
+const markNoShows = async () => {
+  const { noShowGraceMinutes } = await getSchedulingSettings();
+  const now = new Date();
+  const missed = await Appointment.find({
+    status: { $in: APPOINTMENT_TRANSITIONS['no-show'].from },
+    appointmentDate: { $lt: addMinutes(now, -noShowGraceMinutes) }
+  });
+
+  let marked = 0;
+  for (const appointment of missed) {
+    const updated = await transitionAppointment(appointment, 'no-show', {
+      note: `Not checked in within ${noShowGraceMinutes} minutes`
+    });
+    if (!updated) continue;
+    marked++;
+    if (appointment.appointmentDate > addMinutes(now, -24 * 60)) {
+      await notifyAppointment(updated, {
+        patient: { title: 'Missed appointment', message: 'You missed your appointment{doctor} on {when}. Please book a new one if you still need it.', type: 'warning' }
+      });
+    }
+  }
+  return marked;
+};
+
+// No-show counts for a set of patients, keyed by patient id. The rate is
+// no-shows out of appointments the patient was expected to attend.
+const getAttendance = async (patientIds) => {
+  const groups = await Appointment.aggregate([
+    { $match: { patientId: { $in: patientIds }, status: { $in: ['checked-in', 'in-consultation', 'completed', 'no-show'] } } },
+    {
+      $group: {
+        _id: '$patientId',
+        expected: { $sum: 1 },
+        noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+        lastNoShowAt: { $max: { $cond: [{ $eq: ['$status', 'no-show'] }, '$appointmentDate', null] } }
+      }
+    }
+  ]);
+  return new Map(groups.map(group => [String(group._id), {
+    expected: group.expected,
+    noShows: group.noShows,
+    noShowRate: Math.round((group.noShows / group.expected) * 100),
+    lastNoShowAt: group.lastNoShowAt
+  }]));
+};
+
+const withAttendance = async (patients) => {
+  const attendance = await getAttendance(patients.map(patient => patient._id));
+  return patients.map(patient => ({
+    ...patient.toObject(),
+    attendance: attendance.get(String(patient._id)) || { expected: 0, noShows: 0, noShowRate: 0, lastNoShowAt: null }
+  }));
+};
+
+const slotMinutesFor = (settings, specialization) => {
+  const key = String(specialization || '').toLowerCase();
+  const match = settings.slotLengths.find(length => length.specialization.toLowerCase() === key);
+  return match ? match.minutes : settings.defaultSlotMinutes;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// Same wall-clock time `days` later
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// "09:30" on the same local day as the given date
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// Appointments booked before slots existed have no duration
+const appointmentEnd = (appointment) => {
+  return addMinutes(appointment.appointmentDate, appointment.duration || DEFAULT_SLOT_MINUTES);
+};
+
+const withinWorkingHours = (doctor, start, end) => {
+  return doctor.workingHours.some(range => range.day === start.getDay() &&
+    atTime(start, range.start) <= start && end <= atTime(start, range.end));
+};
+
+// Booked appointments, leave and holidays overlapping [start, end).
+// excludeId may be one id or a list.
+const findBusyPeriods = async (doctorId, start, end, excludeId) => {
+  const appointments = await Appointment.find({
+    doctorId,
+    status: { $in: OCCUPYING_STATUSES },
+    appointmentDate: { $gt: addMinutes(start, -MAX_SLOT_MINUTES), $lt: end },
+    ...(excludeId && { _id: Array.isArray(excludeId) ? { $nin: excludeId } : { $ne: excludeId } })
+  }).select('appointmentDate duration');
+  const leave = await LeaveBlock.find({
+    doctorId: { $in: [doctorId, null] },
+    start: { $lt: end },
+    end: { $gt: start }
+  }).sort({ start: 1 });
+  return {
+    appointments: appointments.filter(appointment => appointmentEnd(appointment) > start),
+    leave
+  };
+};
+
+// 'leave' or 'booked' if [start, end) overlaps one of the busy periods
+const busyReason = (busy, start, end) => {
+  if (busy.leave.some(block => block.start < end && block.end > start)) return 'leave';
+  if (busy.appointments.some(appointment => appointment.appointmentDate < end && appointmentEnd(appointment) > start)) return 'booked';
+  return null;
+};
+
+// Why the doctor cannot see a patient from start to end, or null
+const slotProblem = async (doctor, start, end, excludeId) => {
+  const name = `Dr. ${doctor.firstName} ${doctor.lastName}`;
+  if (!withinWorkingHours(doctor, start, end)) {
+    return `${name} is not working at that time. Pick one of the available slots.`;
+  }
+  const busy = await findBusyPeriods(doctor._id, start, end, excludeId);
+  if (busy.leave.length > 0) {
+    const block = busy.leave[0];
+    return block.doctorId
+      ? `${name} is on leave at that time.`
+      : `The hospital is closed at that time${block.reason ? ` (${block.reason})` : ''}.`;
+  }
+  if (busy.appointments.length > 0) {
+    return `${name} already has an appointment at that time. Pick another slot.`;
+  }
+  return null;
+};
+
+// Earliest free slot with the doctor from `day` onwards, trying `days` days
+const findFreeSlot = async (doctor, day, duration, days) => {
+  const now = new Date();
+  for (let offset = 0; offset < days; offset++) {
+    const date = addDays(day, offset);
+    const busy = await findBusyPeriods(doctor._id, date, addDays(date, 1));
+    for (const range of doctor.workingHours.filter(item => item.day === date.getDay())) {
+      const close = atTime(date, range.end);
+      for (let start = atTime(date, range.start); addMinutes(start, duration) <= close; start = addMinutes(start, duration)) {
+        if (start >= now && !busyReason(busy, start, addMinutes(start, duration))) return start;
+      }
+    }
+  }
+  return null;
+};
+
+// Start times of a repeating appointment, the first one included. Returns
+// one more than MAX_SERIES_OCCURRENCES when an end date allows too many.
+const seriesStarts = (first, { frequency, interval, count, until }) => {
+  const step = (frequency === 'weekly' ? 7 : 1) * interval;
+  const starts = [];
+  for (let index = 0; starts.length <= MAX_SERIES_OCCURRENCES; index++) {
+    const start = addDays(first, index * step);
+    if (count ? index >= count : start > until) break;
+    starts.push(start);
+  }
+  return starts;
+};
+
+// Appointment edits are rejected before any slot check if they touch a
+// locked field: status moves through the actions and a series is fixed once
+// created
+const rejectLockedFields = (req, res, next) => {
+  const errors = [
+    ...(req.body.status !== undefined
+      ? [{ field: 'status', message: 'Status is changed with the appointment actions, e.g. POST /api/appointments/:id/confirm' }]
+      : []),
+    ...(req.body.recurrence !== undefined
+      ? [{ field: 'recurrence', message: 'Repeats can only be set when the appointment is created' }]
+      : [])
+  ];
+  if (errors.length > 0) {
+    return res.status(422).json({ message: 'Validation failed', errors });
+  }
+  next();
+};
+
+// Books the record's follow-up with the same doctor in the earliest free
+// slot on its follow-up date or the days after. Returns null when nothing
+// is free so staff can book it by hand.
+const bookFollowUp = async (record) => {
+  const doctor = await Doctor.findById(record.doctorId);
+  if (!doctor) return null;
+  const duration = slotMinutesFor(await getSchedulingSettings(), doctor.specialization);
+  // Follow-up dates are date-only values stored as UTC midnight
+  const followUp = record.followUpDate;
+  const day = new Date(followUp.getUTCFullYear(), followUp.getUTCMonth(), followUp.getUTCDate());
+  const start = await findFreeSlot(doctor, day, duration, FOLLOW_UP_SEARCH_DAYS);
+  if (!start) return null;
+
+  const appointment = await Appointment.create({
+    patientId: record.patientId,
+    doctorId: record.doctorId,
+    appointmentDate: start,
+    duration,
+    reason: `Follow-up: ${record.diagnosis}`.slice(0, 500),
+    status: 'confirmed',
+    confirmedAt: new Date(),
+    followUpOf: record._id
+  });
+  await notifyAppointment(appointment, {
+    patient: { title: 'Follow-up booked', message: 'A follow-up appointment{doctor} is booked for {when}.', type: 'success' }
+  });
+  return appointment;
+};
+
+// Audit pair (see auditAccess) for a follow-up booked or cancelled while
+// saving a medical record
+const followUpWrite = (before, after, action) => ({
+  resourceType: 'appointment',
+  action,
+  before: before && before.toObject(),
+  after: after.toObject()
+});
+
+// Appointment Slot Middleware - rejects bookings that clash with another
+// appointment, leave or a holiday, or fall outside the doctor's working
+// hours, and records the slot length. Bookings whose doctor and time are
+// unchanged are not re-checked.
+const checkAppointmentSlot = async (req, res, next) => {
+  try {
+    let current = null;
+    if (req.params.id) {
+      current = await Appointment.findOne({
+        _id: req.params.id,
+        ...doctorFilter(req),
+        ...(req.patientId && { patientId: req.patientId })
+      });
+      if (!current) return next();
+    }
+
+    const doctorId = req.body.doctorId || current?.doctorId;
+    const start = req.body.appointmentDate || current?.appointmentDate;
+    const status = req.body.status || current?.status || 'pending';
+    // Old appointments may have no date; there is no slot to check
+    if (!start || !BOOKED_STATUSES.includes(status)) return next();
+    if (current && BOOKED_STATUSES.includes(current.status) &&
+        String(doctorId) === String(current.doctorId) && start.getTime() === current.appointmentDate?.getTime()) {
+      return next();
+    }
+
+    if (start < new Date()) {
+      return res.status(409).json({ message: 'That time has already passed. Pick a later slot.' });
+    }
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) return next();
+    const duration = slotMinutesFor(await getSchedulingSettings(), doctor.specialization);
+    const problem = await slotProblem(doctor, start, addMinutes(start, duration), current?._id);
+    if (problem) {
+      return res.status(409).json({ message: problem });
+    }
+
+    req.body.duration = duration;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Medical Record History
+const REVISION_FIELDS = ['patientId', 'doctorId', 'diagnosis', 'prescription', 'treatment', 'notes', 'followUpDate', 'attachments'];
+
+const revisionSnapshot = (record) => {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, record[field]]));
+};
+
+// Legacy documents have no version field; they are on version 1
+const versionFilter = (version) => {
+  return version === 1 ? { version: { $in: [1, null] } } : { version };
+};
+
+// Records created before history was kept get their current state saved as
+// the first revision before anything changes
+const ensureBaselineRevision = async (record) => {
+  if (await MedicalRecordRevision.exists({ recordId: record._id })) return;
+  try {
+    await MedicalRecordRevision.create({
+      recordId: record._id,
+      version: record.version,
+      change: 'created',
+      snapshot: revisionSnapshot(record),
+      editedAt: record.createdAt
+    });
+  } catch (error) {
+    // Another request saved the baseline first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Applies an update to a loaded record and stores the result as its next
+// revision. Returns null if the record changed since it was loaded.
+const reviseMedicalRecord = async (record, update, userId, change, amendment) => {
+  await ensureBaselineRevision(record);
+  const revised = await MedicalRecord.findOneAndUpdate(
+    { _id: record._id, ...versionFilter(record.version) },
+    { ...update, version: record.version + 1 },
+    { new: true }
+  );
+  if (revised) {
+    await MedicalRecordRevision.create({
+      recordId: revised._id,
+      version: revised.version,
+      change,
+      snapshot: revisionSnapshot(revised),
+      amendment,
+      editedBy: userId
+    });
+  }
+  return revised;
+};
+
+// Marks a document deleted. Returns it, or null if it does not exist or is
+// already in the trash.
+const softDeleteById = (model, id, userId) => {
+  return model.findOneAndUpdate({ _id: id }, { deletedAt: new Date(), deletedBy: userId }, { new: true });
+};
+
+// Reject malformed ids with 400 before they reach a query
+app.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: 'Invalid id' });
+  }
+  next();
+});
+
+// Routes
+
+// Upload avatar route
+app.post('/api/upload/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    // Update user avatar
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { avatar: `/uploads/${req.file.filename}` },
+      { new: true }
+    ).select('-password');
+
+    res.json({
+      message: 'Avatar uploaded successfully',
+      avatar: user.avatar,
+      user: user
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// User Registration - Updated to prevent non-admin registration as admin
+app.post('/api/auth/register', validateBody('register'), async (req, res) => {
+  try {
+    const { name, email, password, role, phone, licenseNumber } = req.body;
+    
+    // Prevent registration as admin unless explicitly allowed (for security)
+    // Only allow doctor, nurse, or patient roles for public registration
+    const allowedRoles = ['doctor', 'nurse', 'patient'];
+    const finalRole = allowedRoles.includes(role) ? role : 'patient';
+    const isStaff = finalRole !== 'patient';
+
+    if (isStaff && !licenseNumber) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'licenseNumber', message: 'License number is required for staff accounts' }]
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Create new user
+    const user = new User({
+      name,
+      email,
+      password: hashedPassword,
+      role: finalRole,
+      phone,
+      licenseNumber: isStaff ? licenseNumber : undefined,
+      approvalStatus: isStaff ? 'pending' : 'approved',
+      emailVerified: false
+    });
+
+    await user.save();
+    await sendVerificationEmail(user);
+
+    // Staff get no session until an admin approves them
+    if (isStaff) {
+      const admins = await User.find({ role: 'admin', active: { $ne: false } }).select('_id');
+      await notifyUsers(admins.map(admin => admin._id), {
+        title: 'Staff registration awaiting approval',
+        message: `${user.name} registered as a ${user.role} (license ${licenseNumber}).`,
+        type: 'warning'
+      });
+      return res.status(202).json({
+        message: 'Registration received. You can sign in once an administrator approves your account.',
+        pending: true
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      token,
+      refreshToken,
+      user: authUser(user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// User Login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Find user
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (await rejectThrottledLogin(req, res, user)) {
+      return;
+    }
+    if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'unknown-email' });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Check password
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      await recordLoginFailure(req, user, 'invalid-password');
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (!user.active) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'inactive' });
+      return res.status(403).json({ message: 'This account has been deactivated' });
+    }
+    if (user.approvalStatus !== 'approved') {
+      await recordLoginAttempt(req, { user, success: false, reason: 'not-approved' });
+    }
+    if (user.approvalStatus === 'pending') {
+      return res.status(403).json({ message: 'Your account is awaiting approval by an administrator' });
+    }
+    if (user.approvalStatus === 'rejected') {
+      return res.status(403).json({
+        message: user.rejectionReason
+          ? `Your registration was not approved: ${user.rejectionReason}`
+          : 'Your registration was not approved'
+      });
+    }
+
+    // Password was right; the session is only opened by /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user) });
+    }
+
+    await recordLoginSuccess(req, user);
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: { ...authUser(user), twoFactorSetupRequired: await needsTwoFactorSetup(user) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Second sign-in step: an authenticator code or a backup code
+app.post('/api/auth/login/2fa', validateBody('two-factor-login'), async (req, res) => {
+  try {
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Sign-in attempt has expired, please log in again' });
+    }
+    if (challenge.purpose !== 'two-factor') {
+      return res.status(401).json({ message: 'Sign-in attempt has expired, please log in again' });
+    }
+
+    const user = await User.findById(challenge.userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+    if (!user || !user.active || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Sign-in attempt has expired, please log in again' });
+    }
+    if (await rejectThrottledLogin(req, res, user)) {
+      return;
+    }
+
+    const method = await verifyTwoFactorCode(user, user.twoFactorSecret, req.body.code);
+    if (!method) {
+      await recordLoginFailure(req, user, 'invalid-code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordLoginSuccess(req, user);
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: authUser(user),
+      backupCodesRemaining: method === 'backup' ? user.twoFactorBackupCodes.length : undefined
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ message: 'Refresh token required' });
+    }
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ tokenHash });
+    if (!session) {
+      // A swapped-out token coming back means it was copied: end that session
+      await revokeSessions({ previousTokenHash: tokenHash });
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Session has ended' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.active || user.approvalStatus !== 'approved') {
+      return res.status(401).json({ message: 'Session has ended' });
+    }
+
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    session.previousTokenHash = tokenHash;
+    session.tokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    res.json({ token: await signAccessToken(user, session._id), refreshToken: nextRefreshToken });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Ends the session the refresh token belongs to. Works with an expired
+// access token, so logging out never fails on the client.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ message: 'Refresh token required' });
+    }
+    await revokeSessions({ tokenHash: hashToken(refreshToken) });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Always answers the same way so it cannot be used to find registered emails
+app.post('/api/auth/forgot-password', validateBody('forgot-password'), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.active) {
+      const token = await createAuthToken(user._id, 'reset-password', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await sendEmail(user.email, 'resetPassword', { name: user.name, url: `${APP_URL}/reset-password?token=${token}` });
+    }
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/reset-password', validateBody('reset-password'), async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'reset-password');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const password = await bcrypt.hash(req.body.password, salt);
+    // Following the emailed link also proves the address, and lifts any lock
+    const user = await User.findByIdAndUpdate(
+      authToken.userId,
+      { password, emailVerified: true, failedLoginCount: 0, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    await revokeSessions({ userId: user._id });
+    await sendEmail(user.email, 'passwordChanged', { name: user.name });
+    res.json({ message: 'Password has been reset. You can now sign in.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/verify-email', validateBody('verify-email'), async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'verify-email');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+    await User.findByIdAndUpdate(authToken.userId, { emailVerified: true });
+    res.json({ message: 'Email address confirmed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email address is already confirmed' });
+    }
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get current user
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ ...user.toObject(), twoFactorSetupRequired: await needsTwoFactorSetup(user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/auth/login-history', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userId: req.user.userId };
+    const attempts = await paginate(
+      req, res,
+      LoginAttempt.find(filter).select(LOGIN_HISTORY_FIELDS).sort({ createdAt: -1 }),
+      filter
+    );
+    res.json(attempts);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Two-factor enrollment. Setup stores a pending secret and returns it with a
+// QR code; it only takes effect once /enable confirms a code from the app.
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TWO_FACTOR_ISSUER)}`;
+    res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/enable', authenticateToken, validateBody('two-factor-code'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactorPendingSecret +twoFactorLastCounter');
+    if (!user || !user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    if (!await verifyTwoFactorCode(user, user.twoFactorPendingSecret, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+
+    // A fresh access token without the setup restriction
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes,
+      token: await signAccessToken(user, req.user.sessionId)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/backup-codes', authenticateToken, validateBody('two-factor-code'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifyTwoFactorCode(user, user.twoFactorSecret, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+    res.json({ backupCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, validateBody('two-factor-disable'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastCounter');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if ((await getTwoFactorRequiredRoles()).includes(user.role)) {
+      return res.status(409).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    if (!await bcrypt.compare(req.body.password, user.password)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+    if (!await verifyTwoFactorCode(user, user.twoFactorSecret, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    await user.save();
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update user profile
+app.put('/api/auth/profile', authenticateToken, validateBody('profile'), async (req, res) => {
+  try {
+    const { name, phone } = req.body;
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { name, phone },
+      { new: true }
+    ).select('-password');
+    
+    res.json({
+      message: 'Profile updated successfully',
+      user: user
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Account Management
+// Each of these asks for the current password again, so a session left open
+// on a shared computer cannot be used to take over or close the account.
+// Wrong passwords count towards the login lockout.
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Checked against the user's own name and email as well
+    const { body, errors } = validateInput('change-password', { ...req.body, name: user.name, email: user.email }, true);
+    if (errors.length > 0) {
+      return res.status(422).json({ message: 'Validation failed', errors });
+    }
+    if (await rejectThrottledLogin(req, res, user)) {
+      return;
+    }
+    if (!await bcrypt.compare(body.currentPassword, user.password)) {
+      await recordLoginFailure(req, user, 'invalid-password');
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'currentPassword', message: 'Current password is incorrect' }]
+      });
+    }
+    if (await bcrypt.compare(body.newPassword, user.password)) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'newPassword', message: 'New password must be different from the current one' }]
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(body.newPassword, salt);
+    await user.save();
+
+    // This device stays signed in; every other session ends
+    await revokeSessions({ userId: user._id, _id: { $ne: req.user.sessionId } });
+    await sendEmail(user.email, 'passwordChanged', { name: user.name });
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The new address only replaces the old one once its confirmation link is followed
+app.post('/api/auth/change-email', authenticateToken, validateBody('change-email'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (await rejectThrottledLogin(req, res, user)) {
+      return;
+    }
+    if (!await bcrypt.compare(req.body.password, user.password)) {
+      await recordLoginFailure(req, user, 'invalid-password');
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'password', message: 'Password is incorrect' }]
+      });
+    }
+    if (req.body.email === user.email) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'email', message: 'This is already your email address' }]
+      });
+    }
+    if (await User.exists({ email: req.body.email })) {
+      return res.status(409).json({ message: 'That email address is already in use' });
+    }
+
+    user.pendingEmail = req.body.email;
+    await user.save();
+
+    const token = await createAuthToken(user._id, 'change-email', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendEmail(user.pendingEmail, 'confirmEmailChange', { name: user.name, url: `${APP_URL}/confirm-email?token=${token}` });
+    res.json({ message: `We sent a confirmation link to ${user.pendingEmail}`, pendingEmail: user.pendingEmail });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/auth/change-email', authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.userId }, { $unset: { pendingEmail: 1 } });
+    await AuthToken.deleteMany({ userId: req.user.userId, type: 'change-email', usedAt: null });
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Followed from the email, so it works without being signed in
+app.post('/api/auth/confirm-email-change', validateBody('verify-email'), async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'change-email');
+    const user = authToken && await User.findById(authToken.userId);
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({ message: 'This confirmation link is invalid or has expired' });
+    }
+    // The address may have been registered by someone else since the request
+    if (await User.exists({ email: user.pendingEmail })) {
+      return res.status(409).json({ message: 'That email address is already in use' });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.emailVerified = true;
+    await user.save();
+
+    await sendEmail(previousEmail, 'emailChanged', { name: user.name, email: user.email });
+    res.json({ message: 'Email address changed. Use your new address to sign in.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Self-service deactivation. Records are kept and an admin can reactivate
+// the account from the Users page.
+app.post('/api/auth/deactivate', authenticateToken, validateBody('account-deactivation'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (await rejectThrottledLogin(req, res, user)) {
+      return;
+    }
+    if (!await bcrypt.compare(req.body.password, user.password)) {
+      await recordLoginFailure(req, user, 'invalid-password');
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'password', message: 'Password is incorrect' }]
+      });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: 'At least one active admin account is required' });
+    }
+
+    user.active = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeSessions({ userId: user._id });
+
+    await sendEmail(user.email, 'accountDeactivated', { name: user.name });
+    res.json({ message: 'Your account has been deactivated' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reports Routes
+app.get('/api/reports/daily', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const stats = {
       date: today,
       type: 'daily',
       totalPatients: await Patient.countDocuments({
@@ -407,337 +3025,2456 @@ app.get('/api/reports/daily', authenticateToken, async (req, res) => {
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ])
     };
-    res.json(stats);
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/reports/weekly', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const today = new Date();
+    const weekAgo = new Date(today);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+
+    const stats = {
+      startDate: weekAgo,
+      endDate: today,
+      type: 'weekly',
+      totalPatients: await Patient.countDocuments({
+        createdAt: { $gte: weekAgo, $lt: today }
+      }),
+      totalAppointments: await Appointment.countDocuments({
+        createdAt: { $gte: weekAgo, $lt: today }
+      }),
+      completedAppointments: await Appointment.countDocuments({
+        status: 'completed',
+        createdAt: { $gte: weekAgo, $lt: today }
+      }),
+      newDoctors: await Doctor.countDocuments({
+        createdAt: { $gte: weekAgo, $lt: today }
+      }),
+      revenue: await Billing.aggregate([
+        { $match: { 
+            status: 'paid',
+            createdAt: { $gte: weekAgo, $lt: today }
+          } 
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
+    };
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/reports/monthly', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const today = new Date();
+    const monthAgo = new Date(today);
+    monthAgo.setMonth(monthAgo.getMonth() - 1);
+
+    const stats = {
+      startDate: monthAgo,
+      endDate: today,
+      type: 'monthly',
+      totalPatients: await Patient.countDocuments({
+        createdAt: { $gte: monthAgo, $lt: today }
+      }),
+      totalAppointments: await Appointment.countDocuments({
+        createdAt: { $gte: monthAgo, $lt: today }
+      }),
+      completedAppointments: await Appointment.countDocuments({
+        status: 'completed',
+        createdAt: { $gte: monthAgo, $lt: today }
+      }),
+      newDoctors: await Doctor.countDocuments({
+        createdAt: { $gte: monthAgo, $lt: today }
+      }),
+      revenue: await Billing.aggregate([
+        { $match: { 
+            status: 'paid',
+            createdAt: { $gte: monthAgo, $lt: today }
+          } 
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
+    };
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Duplicate Patients
+// A scan groups patients sharing a national ID, phone, date of birth or
+// name key, scores each pair in a group and stores pairs over the threshold
+// for an admin to merge or dismiss. Registered ahead of the /api/patients/:id
+// routes so "duplicates" and "merges" are not taken for patient ids.
+const DUPLICATE_SCORE_THRESHOLD = 60;
+// Groups larger than this (a very common name) are too broad to be useful
+const MAX_DUPLICATE_BLOCK_SIZE = 200;
+const MERGE_FILL_FIELDS = [
+  'nationalId', 'dateOfBirth', 'gender', 'phone', 'email', 'address',
+  'emergencyContact', 'medicalHistory', 'bloodType', 'allergies', 'avatar'
+];
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// Share of name keys matching between two patients (0 to 1), allowing one
+// typo in longer names. Word order is ignored, so swapped names still match.
+const nameSimilarity = (keysA = [], keysB = []) => {
+  if (keysA.length === 0 || keysB.length === 0) return 0;
+  const matched = keysA.filter(a => keysB.some(b => a === b || (a.length >= 5 && editDistance(a, b) <= 1)));
+  return matched.length / Math.max(keysA.length, keysB.length);
+};
+
+const scoreDuplicatePair = (a, b) => {
+  let score = 0;
+  const reasons = [];
+
+  if (a.nationalId && b.nationalId) {
+    if (a.nationalId === b.nationalId) {
+      score += 50;
+      reasons.push('Same national ID');
+    } else {
+      score -= 40;
+    }
+  }
+
+  const similarity = nameSimilarity(a.searchKeys, b.searchKeys);
+  if (similarity >= 0.5) {
+    score += Math.round(similarity * 40);
+    reasons.push(similarity === 1 ? 'Same name' : 'Similar name');
+  }
+
+  if (a.dateOfBirth && b.dateOfBirth) {
+    if (a.dateOfBirth.toISOString().slice(0, 10) === b.dateOfBirth.toISOString().slice(0, 10)) {
+      score += 25;
+      reasons.push('Same date of birth');
+    } else {
+      score -= 15;
+    }
+  }
+
+  if (a.phone && a.phone === b.phone) {
+    score += 20;
+    reasons.push('Same phone number');
+  }
+
+  return { score: Math.max(score, 0), reasons };
+};
+
+const detectDuplicatePatients = async () => {
+  const startedAt = new Date();
+  const blocks = [
+    [{ $match: { nationalId: { $nin: [null, ''] } } }, { $group: { _id: '$nationalId', ids: { $push: '$_id' } } }],
+    [{ $match: { phone: { $nin: [null, ''] } } }, { $group: { _id: '$phone', ids: { $push: '$_id' } } }],
+    [
+      { $match: { dateOfBirth: { $type: 'date' } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$dateOfBirth' } }, ids: { $push: '$_id' } } }
+    ],
+    [{ $unwind: '$searchKeys' }, { $group: { _id: '$searchKeys', ids: { $addToSet: '$_id' } } }]
+  ];
+
+  const pairs = new Set();
+  for (const pipeline of blocks) {
+    const groups = await Patient.aggregate([
+      ...pipeline,
+      { $match: { 'ids.1': { $exists: true }, [`ids.${MAX_DUPLICATE_BLOCK_SIZE}`]: { $exists: false } } }
+    ]);
+    groups.forEach(group => {
+      const ids = group.ids.map(id => id.toString()).sort();
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          pairs.add(`${ids[i]}:${ids[j]}`);
+        }
+      }
+    });
+  }
+
+  const ids = [...new Set([...pairs].flatMap(pair => pair.split(':')))];
+  const patients = await Patient.find({ _id: { $in: ids } }).select('+searchKeys').lean();
+  const byId = new Map(patients.map(patient => [patient._id.toString(), patient]));
+
+  const updates = [];
+  pairs.forEach(pair => {
+    const [idA, idB] = pair.split(':');
+    if (!byId.has(idA) || !byId.has(idB)) return;
+
+    const { score, reasons } = scoreDuplicatePair(byId.get(idA), byId.get(idB));
+    if (score < DUPLICATE_SCORE_THRESHOLD) return;
+
+    // Dismissed and merged pairs keep their status and are not reopened
+    updates.push({
+      updateOne: {
+        filter: { patientA: idA, patientB: idB },
+        update: { $set: { score, reasons, detectedAt: startedAt }, $setOnInsert: { status: 'open' } },
+        upsert: true
+      }
+    });
+  });
+
+  if (updates.length > 0) {
+    await DuplicateCandidate.bulkWrite(updates);
+  }
+  // Open pairs this scan did not flag again no longer look like duplicates
+  await DuplicateCandidate.deleteMany({ status: 'open', detectedAt: { $lt: startedAt } });
+
+  return { pairsChecked: pairs.size, flagged: updates.length };
+};
+
+app.get('/api/patients/duplicates', authenticateToken, authorize('patients:merge'), auditAccess('duplicate-candidate'), async (req, res) => {
+  try {
+    const filter = { status: req.query.status === 'dismissed' ? 'dismissed' : 'open' };
+    const query = DuplicateCandidate.find(filter)
+      .populate('patientA')
+      .populate('patientB')
+      .sort({ score: -1, detectedAt: -1 });
+    const candidates = await paginate(req, res, query, filter);
+    res.json(candidates);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/patients/duplicates/scan', authenticateToken, authorize('patients:merge'), async (req, res) => {
+  try {
+    const result = await detectDuplicatePatients();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/patients/duplicates/:id/dismiss', authenticateToken, authorize('patients:merge'), async (req, res) => {
+  try {
+    const candidate = await DuplicateCandidate.findByIdAndUpdate(
+      req.params.id,
+      { status: 'dismissed', reviewedBy: req.user.userId, reviewedAt: new Date() },
+      { new: true }
+    );
+    if (!candidate) {
+      return res.status(404).json({ message: 'Duplicate candidate not found' });
+    }
+    res.json(candidate);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Merge one patient into another: appointments, records, bills and linked
+// accounts move to the survivor, blank survivor fields are filled from the
+// merged patient, and the merged patient is deleted.
+app.post('/api/patients/merge', authenticateToken, authorize('patients:merge'), validateBody('patient-merge'), auditAccess('patient-merge', 'merge'), async (req, res) => {
+  try {
+    const { survivorId, mergedId } = req.body;
+    if (survivorId === mergedId) {
+      return res.status(400).json({ message: 'A patient cannot be merged into itself' });
+    }
+
+    const [survivor, merged] = await Promise.all([
+      Patient.findById(survivorId),
+      Patient.findById(mergedId).select('+searchKeys')
+    ]);
+    if (!survivor || !merged) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const filledFields = MERGE_FILL_FIELDS.filter(field => !survivor[field] && merged[field]);
+    const pluckIds = docs => docs.map(doc => doc._id);
+    const [appointments, medicalRecords, bills, users, candidates] = await Promise.all([
+      // Records in the trash move too, so they can still be restored
+      Appointment.find({ patientId: merged._id }).setOptions({ withDeleted: true }).select('_id').then(pluckIds),
+      MedicalRecord.find({ patientId: merged._id }).setOptions({ withDeleted: true }).select('_id').then(pluckIds),
+      Billing.find({ patientId: merged._id }).setOptions({ withDeleted: true }).select('_id').then(pluckIds),
+      User.find({ patientRef: merged._id }).select('_id').then(pluckIds),
+      DuplicateCandidate.find({
+        status: 'open',
+        $or: [{ patientA: merged._id }, { patientB: merged._id }]
+      }).select('_id').then(pluckIds)
+    ]);
+
+    // Written first so a merge interrupted part way can still be undone
+    const merge = await PatientMerge.create({
+      survivor: survivor._id,
+      mergedPatient: merged._id,
+      mergedSnapshot: merged.toObject(),
+      survivorSnapshot: survivor.toObject(),
+      filledFields,
+      moved: { appointments, medicalRecords, bills, users },
+      candidates,
+      mergedBy: req.user.userId
+    });
+
+    const withDeleted = { withDeleted: true };
+    await Appointment.updateMany({ _id: { $in: appointments } }, { patientId: survivor._id }, withDeleted);
+    await MedicalRecord.updateMany({ _id: { $in: medicalRecords } }, { patientId: survivor._id }, withDeleted);
+    await Billing.updateMany({ _id: { $in: bills } }, { patientId: survivor._id }, withDeleted);
+    await User.updateMany({ _id: { $in: users } }, { patientRef: survivor._id });
+    await DuplicateCandidate.updateMany(
+      { _id: { $in: candidates } },
+      { status: 'merged', reviewedBy: req.user.userId, reviewedAt: new Date() }
+    );
+
+    filledFields.forEach(field => {
+      survivor[field] = merged[field];
+    });
+    await survivor.save();
+    await Patient.deleteOne({ _id: merged._id });
+
+    res.status(201).json(merge);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/patients/merges', authenticateToken, authorize('patients:merge'), auditAccess('patient-merge'), async (req, res) => {
+  try {
+    const query = PatientMerge.find()
+      .select('-survivorSnapshot')
+      .populate('survivor', 'patientId firstName lastName')
+      .populate('mergedBy', 'name email')
+      .populate('undoneBy', 'name email')
+      .sort({ createdAt: -1 });
+    const merges = await paginate(req, res, query, {});
+    res.json(merges);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Recreate the merged patient and move back everything the merge moved.
+// Records added to the survivor after the merge stay with the survivor.
+app.post('/api/patients/merges/:id/undo', authenticateToken, authorize('patients:merge'), auditAccess('patient-merge', 'undo-merge'), async (req, res) => {
+  try {
+    const merge = await PatientMerge.findById(req.params.id);
+    if (!merge) {
+      return res.status(404).json({ message: 'Merge not found' });
+    }
+    if (merge.status === 'undone') {
+      return res.status(409).json({ message: 'This merge has already been undone' });
+    }
+
+    const survivor = await Patient.findById(merge.survivor);
+    if (!survivor) {
+      return res.status(409).json({ message: 'The surviving patient no longer exists; undo any later merge of it first' });
+    }
+    if (await Patient.exists({ _id: merge.mergedPatient }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({ message: 'The merged patient already exists' });
+    }
+
+    // Inserted raw so the original _id, patient ID and search keys are kept
+    await Patient.collection.insertOne(merge.mergedSnapshot);
+
+    const { appointments, medicalRecords, bills, users } = merge.moved;
+    const withDeleted = { withDeleted: true };
+    await Appointment.updateMany({ _id: { $in: appointments } }, { patientId: merge.mergedPatient }, withDeleted);
+    await MedicalRecord.updateMany({ _id: { $in: medicalRecords } }, { patientId: merge.mergedPatient }, withDeleted);
+    await Billing.updateMany({ _id: { $in: bills } }, { patientId: merge.mergedPatient }, withDeleted);
+    await User.updateMany({ _id: { $in: users } }, { patientRef: merge.mergedPatient });
+    await DuplicateCandidate.updateMany(
+      { _id: { $in: merge.candidates } },
+      { status: 'open', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+
+    // Clear fields the merge filled in, unless they were edited since
+    merge.filledFields.forEach(field => {
+      if (String(survivor[field]) === String(merge.mergedSnapshot[field])) {
+        survivor[field] = merge.survivorSnapshot[field];
+      }
+    });
+    await survivor.save();
+
+    merge.status = 'undone';
+    merge.undoneBy = req.user.userId;
+    merge.undoneAt = new Date();
+    await merge.save();
+
+    res.json(merge);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Patients Routes
+// Doctors only see patients they have seen, as in GET /api/me/patients
+app.get('/api/patients', authenticateToken, authorize('patients:read'), scopeToDoctor, auditAccess('patient'), async (req, res) => {
+  try {
+    const filter = exactFilters(req.query, ['gender', 'bloodType']);
+    if (req.doctorId) {
+      filter._id = { $in: await getDoctorPatientIds(req.doctorId) };
+    }
+    if (req.query.q) {
+      Object.assign(filter, patientSearchFilter(req.query.q));
+    }
+    const createdAt = dateRange(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const sort = parseSort(req.query.sort, ['firstName', 'lastName', 'dateOfBirth', 'createdAt'], { createdAt: -1 });
+    const patients = await paginate(req, res, Patient.find(filter).sort(sort), filter);
+    res.json(await withAttendance(patients));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Ranked type-ahead search over names, phone, patient ID and national ID
+app.get('/api/patients/search', authenticateToken, authorize('patients:read'), scopeToDoctor, auditAccess('patient'), async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.json([]);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PATIENT_SEARCH_LIMIT, 1), MAX_PATIENT_SEARCH_LIMIT);
+    const fields = 'patientId nationalId firstName lastName dateOfBirth gender phone';
+    const scope = req.doctorId ? { _id: { $in: await getDoctorPatientIds(req.doctorId) } } : {};
+
+    const [textMatches, keyMatches] = await Promise.all([
+      Patient.find({ $text: { $search: q }, ...scope }, { score: { $meta: 'textScore' } })
+        .select(fields)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_PATIENT_SEARCH_LIMIT)
+        .lean(),
+      Patient.find({ ...patientSearchFilter(q), ...scope }).select(fields).limit(MAX_PATIENT_SEARCH_LIMIT).lean()
+    ]);
+
+    const candidates = new Map();
+    [...textMatches, ...keyMatches].forEach(patient => {
+      const id = patient._id.toString();
+      if (!candidates.has(id)) {
+        candidates.set(id, { ...patient, score: patientRelevance(patient, q, patient.score) });
+      }
+    });
+
+    const results = [...candidates.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/patients/:id', authenticateToken, authorize('patients:read'), scopeToDoctor, auditAccess('patient'), async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient || await outsideDoctorScope(req, req.params.id)) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    res.json(patient);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/patients', authenticateToken, authorize('patients:write'), validateBody('patients'), auditAccess('patient'), async (req, res) => {
+  try {
+    const patient = new Patient(req.body);
+    await patient.save();
+    res.status(201).json(patient);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/patients/:id', authenticateToken, authorize('patients:write'), scopeToDoctor, validateBody('patients'), auditAccess('patient'), async (req, res) => {
+  try {
+    // Loaded and saved (not findByIdAndUpdate) so the search keys are rebuilt
+    const patient = await Patient.findById(req.params.id);
+    if (!patient || await outsideDoctorScope(req, req.params.id)) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    patient.set(req.body);
+    await patient.save();
+    res.json(patient);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/patients/:id', authenticateToken, authorize('patients:delete'), auditAccess('patient'), async (req, res) => {
+  try {
+    if (!await Patient.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    // Money still owed must be settled or written off before the patient goes
+    const unpaid = await Billing.countDocuments({ patientId: req.params.id, status: { $in: ['pending', 'overdue'] } });
+    if (unpaid > 0) {
+      return res.status(409).json({ message: `This patient has ${unpaid} unpaid bill(s). Settle or delete them first.` });
+    }
+
+    const patient = await softDeleteById(Patient, req.params.id, req.user.userId);
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    // Their appointments, records and bills go to the trash with them
+    const cascade = { deletedAt: patient.deletedAt, deletedBy: req.user.userId, deletedWith: patient._id };
+    await Appointment.updateMany({ patientId: patient._id }, cascade);
+    await MedicalRecord.updateMany({ patientId: patient._id }, cascade);
+    await Billing.updateMany({ patientId: patient._id }, cascade);
+    await DuplicateCandidate.deleteMany({ $or: [{ patientA: patient._id }, { patientB: patient._id }] });
+    res.json({ message: 'Patient moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Issue a one-time code the patient can use to link their account to this record
+app.post('/api/patients/:id/claim-code', authenticateToken, authorize('patients:write'), scopeToDoctor, auditAccess('patient', 'issue-claim-code'), async (req, res) => {
+  try {
+    if (await outsideDoctorScope(req, req.params.id)) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    const claimCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    const claimCodeExpires = new Date(Date.now() + CLAIM_CODE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const patient = await Patient.findByIdAndUpdate(
+      req.params.id,
+      { claimCode, claimCodeExpires },
+      { new: true }
+    );
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    res.json({ claimCode, expiresAt: claimCodeExpires });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Doctors Routes
+app.get('/api/doctors', authenticateToken, authorize('doctors:read'), async (req, res) => {
+  try {
+    const doctors = await Doctor.find().sort({ createdAt: -1 });
+    res.json(doctors);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/doctors/:id', authenticateToken, authorize('doctors:read'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    res.json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/doctors', authenticateToken, authorize('doctors:write'), validateBody('doctors'), async (req, res) => {
+  try {
+    const doctor = new Doctor(req.body);
+    await doctor.save();
+    res.status(201).json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/doctors/:id', authenticateToken, authorize('doctors:write'), validateBody('doctors'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true }
+    );
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    res.json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/doctors/:id', authenticateToken, authorize('doctors:delete'), async (req, res) => {
+  try {
+    const upcoming = await Appointment.countDocuments({
+      doctorId: req.params.id,
+      appointmentDate: { $gte: new Date() },
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    if (upcoming > 0) {
+      return res.status(409).json({ message: `This doctor has ${upcoming} upcoming appointment(s). Reassign or cancel them first.` });
+    }
+
+    const doctor = await softDeleteById(Doctor, req.params.id, req.user.userId);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    res.json({ message: 'Doctor moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Link a doctor profile to the staff account that logs in as that doctor
+app.post('/api/doctors/:id/link-account', authenticateToken, authorize('doctors:write'), validateBody('doctor-account-link'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const user = await User.findOne({ email: req.body.email, role: 'doctor' });
+    if (!user) {
+      return res.status(400).json({ message: 'No doctor account found with that email' });
+    }
+
+    const alreadyLinked = await User.findOne({ doctorRef: doctor._id, _id: { $ne: user._id } });
+    if (alreadyLinked) {
+      return res.status(409).json({ message: 'This doctor profile is already linked to another account' });
+    }
+
+    user.doctorRef = doctor._id;
+    await user.save();
+
+    res.json({ message: 'Doctor account linked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Free and taken slots for one day, e.g. ?date=2026-03-14. Pass excludeId
+// when moving an appointment so its own slot shows as free.
+app.get('/api/doctors/:id/availability', authenticateToken, authorize('doctors:read'), validateQueryIds('excludeId'), async (req, res) => {
+  try {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(req.query.date || ''));
+    if (!match) {
+      return res.status(400).json({ message: 'date must be given as YYYY-MM-DD' });
+    }
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const busy = await findBusyPeriods(doctor._id, day, nextDay, req.query.excludeId);
+    const workingHours = doctor.workingHours.filter(range => range.day === day.getDay());
+    const now = new Date();
+    const settings = await getSchedulingSettings();
+    const slotMinutes = slotMinutesFor(settings, doctor.specialization);
+    // Patients only see slots inside the booking window
+    const isPatient = req.user.role === 'patient';
+
+    const slots = [];
+    for (const range of workingHours) {
+      const close = atTime(day, range.end);
+      for (let start = atTime(day, range.start); addMinutes(start, slotMinutes) <= close; start = addMinutes(start, slotMinutes)) {
+        const end = addMinutes(start, slotMinutes);
+        let reason = busyReason(busy, start, end);
+        if (start < now) {
+          reason = 'past';
+        } else if (isPatient && bookingWindowError(settings, start)) {
+          reason = 'outside-window';
+        }
+        slots.push({ start, end, available: !reason, ...(reason && { reason }) });
+      }
+    }
+
+    res.json({
+      date: req.query.date,
+      doctorId: doctor._id,
+      slotMinutes,
+      workingHours,
+      // Reasons for personal leave stay private
+      leave: busy.leave.map(block => ({
+        start: block.start,
+        end: block.end,
+        holiday: !block.doctorId,
+        ...(!block.doctorId && { reason: block.reason })
+      })),
+      slots
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Doctors may only change their own hours
+app.put('/api/doctors/:id/schedule', authenticateToken, authorize('schedule:write'), scopeToDoctor, validateBody('schedule'), async (req, res) => {
+  try {
+    if (req.doctorId && !req.doctorId.equals(req.params.id)) {
+      return res.status(403).json({ message: 'You can only change your own working hours' });
+    }
+    const doctor = await Doctor.findByIdAndUpdate(
+      req.params.id,
+      { workingHours: req.body.workingHours },
+      { new: true }
+    );
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    res.json(doctor);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Leave & Holiday Routes
+// ?doctorId= lists that doctor's leave plus holidays; ?holidays=true lists
+// only holidays
+app.get('/api/leave', authenticateToken, authorize('appointments:read'), validateQueryIds('doctorId'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.holidays === 'true') {
+      filter.doctorId = null;
+    } else if (req.query.doctorId) {
+      filter.doctorId = { $in: [req.query.doctorId, null] };
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (!isNaN(from.getTime())) filter.end = { $gt: from };
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (to && !isNaN(to.getTime())) filter.start = { $lt: to };
+
+    const leave = await LeaveBlock.find(filter)
+      .populate('doctorId', 'firstName lastName')
+      .sort({ start: 1 });
+    res.json(leave);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Without a doctorId the block is a hospital holiday; doctors can only add
+// leave for themselves
+app.post('/api/leave', authenticateToken, authorize('schedule:write'), scopeToDoctor, validateBody('leave'), validateReferences({ doctorId: Doctor }), async (req, res) => {
+  try {
+    if (req.body.end <= req.body.start) {
+      return res.status(422).json({ message: 'Validation failed', errors: [{ field: 'end', message: 'End must be after start' }] });
+    }
+    const leave = await LeaveBlock.create({
+      ...req.body,
+      doctorId: req.doctorId || req.body.doctorId || null,
+      createdBy: req.user.userId
+    });
+
+    // Existing bookings are kept; staff are told how many need moving
+    const affected = await Appointment.countDocuments({
+      ...(leave.doctorId && { doctorId: leave.doctorId }),
+      status: { $in: BOOKED_STATUSES },
+      appointmentDate: { $gte: leave.start, $lt: leave.end }
+    });
+    res.status(201).json({ ...leave.toObject(), affectedAppointments: affected });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/leave/:id', authenticateToken, authorize('schedule:write'), scopeToDoctor, async (req, res) => {
+  try {
+    const leave = await LeaveBlock.findOneAndDelete({ _id: req.params.id, ...doctorFilter(req) });
+    if (!leave) {
+      return res.status(404).json({ message: 'Leave not found' });
+    }
+    res.json({ message: 'Leave removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Appointments Routes
+app.get('/api/appointments', authenticateToken, authorize('appointments:read'), validateQueryIds('patientId', 'doctorId'), scopeToDoctor, auditAccess('appointment'), async (req, res) => {
+  try {
+    const filter = {
+      ...exactFilters(req.query, ['status', 'priority', 'patientId', 'doctorId']),
+      ...doctorFilter(req)
+    };
+    if (req.query.department && !req.doctorId) {
+      const doctors = await Doctor.find({ department: String(req.query.department) }).select('_id');
+      filter.doctorId = { $in: doctors.map(doctor => doctor._id) };
+    }
+    if (req.query.q) {
+      filter.$or = [
+        { reason: new RegExp(escapeRegex(req.query.q), 'i') },
+        { patientId: { $in: await idsMatchingName(Patient, req.query.q) } },
+        { doctorId: { $in: await idsMatchingName(Doctor, req.query.q) } }
+      ];
+    }
+    const appointmentDate = dateRange(req.query.from, req.query.to);
+    if (appointmentDate) filter.appointmentDate = appointmentDate;
+
+    const sort = parseSort(req.query.sort, ['appointmentDate', 'status', 'priority', 'createdAt'], { createdAt: -1 });
+    const appointments = await paginate(req, res, Appointment.find(filter)
+      .populate('patientId')
+      .populate('doctorId')
+      .populate('statusHistory.by', 'name')
+      .sort(sort), filter);
+    res.json(appointments);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Every appointment between ?from= and ?to=, unpaginated, for the calendar.
+// A month view with its leading and trailing days is the widest range.
+const CALENDAR_MAX_DAYS = 42;
+
+app.get('/api/appointments/calendar', authenticateToken, authorize('appointments:read'), validateQueryIds('doctorId'), scopeToDoctor, auditAccess('appointment'), async (req, res) => {
+  try {
+    const from = new Date(String(req.query.from));
+    const to = new Date(String(req.query.to));
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: 'from and to must be dates, with to after from' });
+    }
+    // An hour of slack for ranges spanning a daylight saving change
+    if (to - from > (CALENDAR_MAX_DAYS * 24 + 1) * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `The calendar shows at most ${CALENDAR_MAX_DAYS} days at a time` });
+    }
+
+    const filter = {
+      ...exactFilters(req.query, ['doctorId', 'status']),
+      ...doctorFilter(req),
+      appointmentDate: { $gte: from, $lt: to }
+    };
+    if (req.query.department && !req.doctorId) {
+      const doctors = await Doctor.find({ department: String(req.query.department) }).select('_id');
+      filter.doctorId = { $in: doctors.map(doctor => doctor._id) };
+    }
+
+    const appointments = await Appointment.find(filter)
+      .populate('patientId', 'firstName lastName patientId')
+      .populate('doctorId', 'firstName lastName specialization department')
+      .populate('statusHistory.by', 'name')
+      .sort({ appointmentDate: 1 });
+    res.json(appointments);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/appointments/:id', authenticateToken, authorize('appointments:read'), scopeToDoctor, auditAccess('appointment'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ _id: req.params.id, ...doctorFilter(req) })
+      .populate('patientId')
+      .populate('doctorId')
+      .populate('statusHistory.by', 'name');
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    res.json(appointment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/appointments', authenticateToken, authorize('appointments:write'), validateBody('appointments'), validateReferences({ patientId: Patient, doctorId: Doctor }), checkAppointmentSlot, auditAccess('appointment'), async (req, res) => {
+  try {
+    const { recurrence, ...fields } = req.body;
+    if (req.body.status === 'confirmed') fields.confirmedAt = new Date();
+    if (!recurrence) {
+      const appointment = new Appointment(fields);
+      await appointment.save();
+      return res.status(201).json(appointment);
+    }
+
+    // The first visit passed checkAppointmentSlot; the rest are checked here.
+    // Clashes are listed unless ?skipConflicts=true books the free ones only.
+    const starts = seriesStarts(fields.appointmentDate, recurrence);
+    if (starts.length > MAX_SERIES_OCCURRENCES) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'recurrence', message: `A series can have at most ${MAX_SERIES_OCCURRENCES} visits` }]
+      });
+    }
+    const doctor = await Doctor.findById(fields.doctorId);
+    const free = [starts[0]];
+    const conflicts = [];
+    for (const start of starts.slice(1)) {
+      const problem = await slotProblem(doctor, start, addMinutes(start, fields.duration));
+      if (problem) {
+        conflicts.push({ appointmentDate: start, message: problem });
+      } else {
+        free.push(start);
+      }
+    }
+    if (conflicts.length > 0 && req.query.skipConflicts !== 'true') {
+      return res.status(409).json({
+        message: `${conflicts.length} of the ${starts.length} visits clash with the doctor's schedule`,
+        conflicts
+      });
+    }
+
+    const seriesId = new mongoose.Types.ObjectId();
+    const appointments = await Appointment.insertMany(
+      free.map(start => ({ ...fields, appointmentDate: start, seriesId, recurrence }))
+    );
+    res.locals.auditWrites = appointments.map(appointment => ({ before: null, after: appointment.toObject() }));
+    res.status(201).json({ seriesId, appointments });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/appointments/:id', authenticateToken, authorize('appointments:write'), scopeToDoctor, validateBody('appointments'), rejectLockedFields, validateReferences({ patientId: Patient, doctorId: Doctor }), checkAppointmentSlot, auditAccess('appointment'), async (req, res) => {
+  try {
+    const previous = await Appointment.findOneAndUpdate(
+      { _id: req.params.id, ...doctorFilter(req) },
+      req.body
+    );
+    if (!previous) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    const appointment = await Appointment.findById(previous._id);
+
+    // Patients hear about new times
+    if (appointment.appointmentDate?.getTime() !== previous.appointmentDate?.getTime() && BOOKED_STATUSES.includes(appointment.status)) {
+      await notifyAppointment(appointment, {
+        patient: { title: 'Appointment moved', message: 'Your appointment{doctor} has been moved to {when}.', type: 'warning' }
+      });
+    }
+    res.json(appointment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Booked occurrences of the appointment's series from it onwards
+const followingInSeries = (appointment, req) => Appointment.find({
+  seriesId: appointment.seriesId,
+  appointmentDate: { $gte: appointment.appointmentDate },
+  status: { $in: BOOKED_STATUSES },
+  ...doctorFilter(req)
+}).sort({ appointmentDate: 1 });
+
+// Edits this occurrence and every later booked one in its series. A new
+// time moves each of them by the same amount.
+app.put('/api/appointments/:id/following', authenticateToken, authorize('appointments:write'), scopeToDoctor, validateBody('appointments'), rejectLockedFields, validateReferences({ patientId: Patient, doctorId: Doctor }), auditAccess('appointment'), async (req, res) => {
+  try {
+    const current = await Appointment.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!current) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!current.seriesId || !BOOKED_STATUSES.includes(current.status)) {
+      return res.status(409).json({ message: 'Only pending or confirmed appointments in a series can be changed together' });
+    }
+
+    const { appointmentDate, ...fields } = req.body;
+    const shift = appointmentDate ? appointmentDate - current.appointmentDate : 0;
+    const doctorChanged = fields.doctorId && String(fields.doctorId) !== String(current.doctorId);
+    const occurrences = await followingInSeries(current, req);
+    const updates = occurrences.map(occurrence => ({
+      occurrence,
+      appointmentDate: new Date(occurrence.appointmentDate.getTime() + shift)
+    }));
+
+    if (shift || doctorChanged) {
+      if (updates[0].appointmentDate < new Date()) {
+        return res.status(409).json({ message: 'That time has already passed. Pick a later slot.' });
+      }
+      const doctor = await Doctor.findById(fields.doctorId || current.doctorId);
+      const duration = slotMinutesFor(await getSchedulingSettings(), doctor.specialization);
+      const ids = occurrences.map(occurrence => occurrence._id);
+      const conflicts = [];
+      for (const update of updates) {
+        update.duration = duration;
+        const problem = await slotProblem(doctor, update.appointmentDate, addMinutes(update.appointmentDate, duration), ids);
+        if (problem) conflicts.push({ appointmentDate: update.appointmentDate, message: problem });
+      }
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: `${conflicts.length} of the ${updates.length} visits clash with the doctor's schedule`,
+          conflicts
+        });
+      }
+    }
+
+    await Appointment.bulkWrite(updates.map(update => ({
+      updateOne: {
+        filter: { _id: update.occurrence._id },
+        update: {
+          $set: {
+            ...fields,
+            appointmentDate: update.appointmentDate,
+            ...(update.duration && { duration: update.duration })
+          }
+        }
+      }
+    })));
+    const updated = await Appointment.find({ _id: { $in: occurrences.map(occurrence => occurrence._id) } });
+    res.locals.auditWrites = occurrences.map(occurrence => ({
+      before: occurrence.toObject(),
+      after: updated.find(doc => doc._id.equals(occurrence._id))?.toObject()
+    }));
+    const appointment = updated.find(doc => doc._id.equals(current._id));
+    if (shift || doctorChanged) {
+      await notifyAppointment(appointment, {
+        patient: { title: 'Appointments moved', message: 'Your repeat appointments{doctor} from {when} onwards have been changed.', type: 'warning' }
+      });
+    }
+    res.json(appointment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/appointments/:id/cancel-following', authenticateToken, authorize('appointments:write'), scopeToDoctor, validateBody('appointment-cancellation'), auditAccess('appointment', 'update'), async (req, res) => {
+  try {
+    const current = await Appointment.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!current) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!current.seriesId || !BOOKED_STATUSES.includes(current.status)) {
+      return res.status(409).json({ message: 'Only pending or confirmed appointments in a series can be cancelled together' });
+    }
+
+    // Occurrences whose status changed since they were loaded (e.g. checked
+    // in meanwhile) are left alone and listed as skipped
+    const occurrences = await followingInSeries(current, req);
+    const writes = [];
+    const skipped = [];
+    for (const occurrence of occurrences) {
+      const cancelled = await transitionAppointment(occurrence, 'cancel', {
+        userId: req.user.userId,
+        note: req.body.note,
+        fields: { cancellationReason: req.body.reason, cancellationNote: req.body.note }
+      });
+      if (cancelled) {
+        writes.push({ before: occurrence.toObject(), after: cancelled.toObject() });
+      } else {
+        skipped.push({ _id: occurrence._id, appointmentDate: occurrence.appointmentDate });
+      }
+    }
+    res.locals.auditWrites = writes;
+
+    const appointment = await Appointment.findById(current._id);
+    if (writes.length > 0) {
+      await notifyAppointment(writes[0].after, {
+        patient: { title: 'Appointments cancelled', message: 'Your repeat appointments{doctor} from {when} onwards have been cancelled by the hospital.', type: 'error' }
+      });
+    }
+    res.json({ appointment, cancelled: writes.length, skipped });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// What the patient or doctor is told after each action
+const TRANSITION_NOTIFICATIONS = {
+  confirm: {
+    patient: { title: 'Appointment confirmed', message: 'Your appointment{doctor} on {when} is confirmed.', type: 'success' }
+  },
+  'check-in': {
+    doctor: { title: 'Patient checked in', message: 'Your patient for {when} has checked in.' }
+  },
+  cancel: {
+    patient: { title: 'Appointment cancelled', message: 'Your appointment{doctor} on {when} has been cancelled by the hospital.', type: 'error' }
+  },
+  'no-show': {
+    patient: { title: 'Missed appointment', message: 'You missed your appointment{doctor} on {when}. Please book a new one if you still need it.', type: 'warning' }
+  }
+};
+
+// POST /api/appointments/:id/confirm, /check-in, /start, /complete, /cancel
+// and /no-show
+Object.entries(APPOINTMENT_TRANSITIONS).forEach(([action, transition]) => {
+  app.post(`/api/appointments/:id/${action}`, authenticateToken, authorize('appointments:write'), scopeToDoctor, validateBody(transition.schema || 'appointment-transition'), auditAccess('appointment', 'update'), async (req, res) => {
+    try {
+      const current = await Appointment.findOne({ _id: req.params.id, ...doctorFilter(req) });
+      if (!current) {
+        return res.status(404).json({ message: 'Appointment not found' });
+      }
+      if (!transition.from.includes(current.status)) {
+        return res.status(409).json({ message: `Cannot ${action.replace('-', ' ')} an appointment that is ${current.status}` });
+      }
+      if (action === 'no-show' && current.appointmentDate > new Date()) {
+        return res.status(409).json({ message: 'An appointment can only be marked as a no-show after its start time' });
+      }
+
+      const appointment = await transitionAppointment(current, action, {
+        userId: req.user.userId,
+        note: req.body.note,
+        fields: action === 'cancel' ? { cancellationReason: req.body.reason, cancellationNote: req.body.note } : {}
+      });
+      if (!appointment) {
+        return res.status(409).json({ message: 'This appointment was changed by someone else. Reload it and try again.' });
+      }
+      if (TRANSITION_NOTIFICATIONS[action]) {
+        await notifyAppointment(appointment, TRANSITION_NOTIFICATIONS[action]);
+      }
+      res.json(appointment);
+    } catch (error) {
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+});
+
+app.delete('/api/appointments/:id', authenticateToken, authorize('appointments:delete'), auditAccess('appointment'), async (req, res) => {
+  try {
+    const appointment = await softDeleteById(Appointment, req.params.id, req.user.userId);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    res.json({ message: 'Appointment moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Medical Records Routes
+const MEDICAL_RECORD_CONFLICT = 'This record was changed by someone else. Reload it and try again.';
+
+app.get('/api/medical-records', authenticateToken, authorize('medical-records:read'), validateQueryIds('patientId', 'doctorId'), scopeToDoctor, auditAccess('medical-record'), async (req, res) => {
+  try {
+    const filter = {
+      ...exactFilters(req.query, ['patientId', 'doctorId']),
+      ...doctorFilter(req)
+    };
+    if (req.query.department && !req.doctorId) {
+      const doctors = await Doctor.find({ department: String(req.query.department) }).select('_id');
+      filter.doctorId = { $in: doctors.map(doctor => doctor._id) };
+    }
+    if (req.query.q) {
+      const regex = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [
+        { diagnosis: regex },
+        { treatment: regex },
+        { patientId: { $in: await idsMatchingName(Patient, req.query.q) } }
+      ];
+    }
+    const createdAt = dateRange(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const sort = parseSort(req.query.sort, ['createdAt', 'followUpDate'], { createdAt: -1 });
+    const records = await paginate(req, res, MedicalRecord.find(filter)
+      .populate('patientId')
+      .populate('doctorId')
+      .populate('signedBy', 'name')
+      .populate('amendments.authorId', 'name')
+      .sort(sort), filter);
+    res.json(records);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/medical-records/:id', authenticateToken, authorize('medical-records:read'), scopeToDoctor, auditAccess('medical-record'), async (req, res) => {
+  try {
+    const record = await MedicalRecord.findOne({ _id: req.params.id, ...doctorFilter(req) })
+      .populate('patientId')
+      .populate('doctorId')
+      .populate('signedBy', 'name')
+      .populate('amendments.authorId', 'name');
+    if (!record) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/medical-records', authenticateToken, authorize('medical-records:write'), scopeToDoctor, validateBody('medical-records'), validateReferences({ patientId: Patient, doctorId: Doctor }), auditAccess('medical-record'), async (req, res) => {
+  try {
+    // Doctors can only author records under their own name
+    const record = new MedicalRecord({ ...req.body, ...doctorFilter(req) });
+    await record.save();
+    await MedicalRecordRevision.create({
+      recordId: record._id,
+      version: record.version,
+      change: 'created',
+      snapshot: revisionSnapshot(record),
+      editedBy: req.user.userId
+    });
+    if (!record.followUpDate) {
+      return res.status(201).json(record);
+    }
+    const followUpAppointment = await bookFollowUp(record);
+    res.locals.auditWrites = [
+      { before: null, after: record.toObject() },
+      ...(followUpAppointment ? [followUpWrite(null, followUpAppointment, 'create')] : [])
+    ];
+    res.status(201).json({ ...record.toObject(), followUpAppointment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/medical-records/:id', authenticateToken, authorize('medical-records:write'), scopeToDoctor, validateBody('medical-records'), validateReferences({ patientId: Patient, doctorId: Doctor }), auditAccess('medical-record'), async (req, res) => {
+  try {
+    const current = await MedicalRecord.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!current) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+    if (current.signedAt) {
+      return res.status(409).json({ message: 'This record is signed and can no longer be edited. Add an amendment instead.' });
+    }
+    // Older follow-up dates can stay on the record, but a new one must not
+    // be in the past
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    if (req.body.followUpDate && req.body.followUpDate.getTime() !== current.followUpDate?.getTime() &&
+        req.body.followUpDate < startOfToday) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors: [{ field: 'followUpDate', message: 'Follow-up date cannot be in the past' }]
+      });
+    }
+    const before = current.toObject();
+
+    const record = await reviseMedicalRecord(current, { ...req.body, ...doctorFilter(req) }, req.user.userId, 'updated');
+    if (!record) {
+      return res.status(409).json({ message: MEDICAL_RECORD_CONFLICT });
+    }
+
+    // A new follow-up date or doctor replaces the follow-up booked for the
+    // old one
+    if (record.followUpDate?.getTime() === current.followUpDate?.getTime() &&
+        String(record.doctorId) === String(current.doctorId)) {
+      return res.json(record);
+    }
+    const writes = [{ before, after: record.toObject() }];
+    const booked = await Appointment.find({ followUpOf: record._id, status: { $in: BOOKED_STATUSES } });
+    for (const appointment of booked) {
+      const cancelled = await transitionAppointment(appointment, 'cancel', {
+        userId: req.user.userId,
+        note: 'Follow-up changed on the medical record',
+        fields: { cancellationReason: 'rescheduled' }
+      });
+      if (cancelled) writes.push(followUpWrite(appointment, cancelled, 'update'));
+    }
+    const followUpAppointment = record.followUpDate ? await bookFollowUp(record) : null;
+    if (followUpAppointment) writes.push(followUpWrite(null, followUpAppointment, 'create'));
+    res.locals.auditWrites = writes;
+    res.json({ ...record.toObject(), followUpAppointment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/medical-records/:id/history', authenticateToken, authorize('medical-records:read'), scopeToDoctor, auditAccess('medical-record', 'read-history'), async (req, res) => {
+  try {
+    const record = await MedicalRecord.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!record) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+
+    let revisions = await MedicalRecordRevision.find({ recordId: record._id })
+      .populate('editedBy', 'name role')
+      .sort({ version: 1 });
+    if (revisions.length === 0) {
+      revisions = [{
+        version: record.version,
+        change: 'created',
+        snapshot: revisionSnapshot(record),
+        editedAt: record.createdAt
+      }];
+    }
+    res.json({ _id: record._id, patientId: record.patientId, version: record.version, revisions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/medical-records/:id/sign', authenticateToken, authorize('medical-records:write'), scopeToDoctor, auditAccess('medical-record', 'update'), async (req, res) => {
+  try {
+    const current = await MedicalRecord.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!current) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+    if (current.signedAt) {
+      return res.status(409).json({ message: 'This record is already signed' });
+    }
+
+    const record = await reviseMedicalRecord(current, { signedAt: new Date(), signedBy: req.user.userId }, req.user.userId, 'signed');
+    if (!record) {
+      return res.status(409).json({ message: MEDICAL_RECORD_CONFLICT });
+    }
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/medical-records/:id/amendments', authenticateToken, authorize('medical-records:write'), scopeToDoctor, validateBody('medical-record-amendment'), auditAccess('medical-record', 'update'), async (req, res) => {
+  try {
+    const current = await MedicalRecord.findOne({ _id: req.params.id, ...doctorFilter(req) });
+    if (!current) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+
+    const amendment = { text: req.body.text, reason: req.body.reason };
+    const record = await reviseMedicalRecord(
+      current,
+      { $push: { amendments: { ...amendment, authorId: req.user.userId } } },
+      req.user.userId,
+      'amended',
+      amendment
+    );
+    if (!record) {
+      return res.status(409).json({ message: MEDICAL_RECORD_CONFLICT });
+    }
+    res.status(201).json(record);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/medical-records/:id', authenticateToken, authorize('medical-records:delete'), auditAccess('medical-record'), async (req, res) => {
+  try {
+    const record = await softDeleteById(MedicalRecord, req.params.id, req.user.userId);
+    if (!record) {
+      return res.status(404).json({ message: 'Medical record not found' });
+    }
+    res.json({ message: 'Medical record moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Billing Routes
+app.get('/api/billing', authenticateToken, authorize('billing:read'), validateQueryIds('patientId'), auditAccess('billing'), async (req, res) => {
+  try {
+    const filter = exactFilters(req.query, ['status', 'patientId', 'paymentMethod']);
+    if (req.query.q) {
+      const regex = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [
+        { description: regex },
+        { invoiceNumber: regex },
+        { patientId: { $in: await idsMatchingName(Patient, req.query.q) } }
+      ];
+    }
+    const dueDate = dateRange(req.query.from, req.query.to);
+    if (dueDate) filter.dueDate = dueDate;
+
+    const sort = parseSort(req.query.sort, ['amount', 'dueDate', 'status', 'createdAt'], { createdAt: -1 });
+    const bills = await paginate(req, res, Billing.find(filter)
+      .populate('patientId')
+      .sort(sort), filter);
+    res.json(bills);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Totals for the billing screen, over all bills rather than the current page
+app.get('/api/billing/summary', authenticateToken, authorize('billing:read'), async (req, res) => {
+  try {
+    const byStatus = await Billing.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 }, total: { $sum: '$amount' } } }
+    ]);
+    const summary = {};
+    ['pending', 'paid', 'overdue'].forEach(status => {
+      const group = byStatus.find(g => g._id === status);
+      summary[status] = { count: group ? group.count : 0, total: group ? group.total : 0 };
+    });
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/billing/:id', authenticateToken, authorize('billing:read'), auditAccess('billing'), async (req, res) => {
+  try {
+    const bill = await Billing.findById(req.params.id).populate('patientId');
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    res.json(bill);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/billing', authenticateToken, authorize('billing:write'), validateBody('billing'), validateReferences({ patientId: Patient }), auditAccess('billing'), async (req, res) => {
+  try {
+    const bill = new Billing(req.body);
+    await bill.save();
+    res.status(201).json(bill);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/billing/:id', authenticateToken, authorize('billing:write'), validateBody('billing'), validateReferences({ patientId: Patient }), auditAccess('billing'), async (req, res) => {
+  try {
+    const bill = await Billing.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true }
+    );
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    res.json(bill);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/billing/:id', authenticateToken, authorize('billing:delete'), auditAccess('billing'), async (req, res) => {
+  try {
+    const existing = await Billing.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    if (existing.status === 'paid') {
+      return res.status(409).json({ message: 'Paid bills are part of the accounts and cannot be deleted' });
+    }
+
+    const bill = await softDeleteById(Billing, req.params.id, req.user.userId);
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    res.json({ message: 'Bill moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Departments Routes
+app.get('/api/departments', authenticateToken, authorize('departments:read'), async (req, res) => {
+  try {
+    const departments = await Department.find().sort({ createdAt: -1 });
+    res.json(departments);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/departments/:id', authenticateToken, authorize('departments:read'), async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.json(department);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/departments', authenticateToken, authorize('departments:write'), validateBody('departments'), async (req, res) => {
+  try {
+    const department = new Department(req.body);
+    await department.save();
+    res.status(201).json(department);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.get('/api/reports/weekly', authenticateToken, async (req, res) => {
+app.put('/api/departments/:id', authenticateToken, authorize('departments:write'), validateBody('departments'), async (req, res) => {
   try {
-    const today = new Date();
-    const weekAgo = new Date(today);
-    weekAgo.setDate(weekAgo.getDate() - 7);
+    const department = await Department.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true }
+    );
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.json(department);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    const stats = {
-      startDate: weekAgo,
-      endDate: today,
-      type: 'weekly',
-      totalPatients: await Patient.countDocuments({
-        createdAt: { $gte: weekAgo, $lt: today }
-      }),
-      totalAppointments: await Appointment.countDocuments({
-        createdAt: { $gte: weekAgo, $lt: today }
-      }),
-      completedAppointments: await Appointment.countDocuments({
-        status: 'completed',
-        createdAt: { $gte: weekAgo, $lt: today }
-      }),
-      newDoctors: await Doctor.countDocuments({
-        createdAt: { $gte: weekAgo, $lt: today }
-      }),
-      revenue: await Billing.aggregate([
-        { $match: { 
-            status: 'paid',
-            createdAt: { $gte: weekAgo, $lt: today }
-          } 
-        },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ])
-    };
-    res.json(stats);
+app.delete('/api/departments/:id', authenticateToken, authorize('departments:delete'), async (req, res) => {
+  try {
+    const existing = await Department.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    const doctors = await Doctor.countDocuments({ department: existing.name });
+    if (doctors > 0) {
+      return res.status(409).json({ message: `${doctors} doctor(s) still belong to this department. Move them first.` });
+    }
+
+    const department = await softDeleteById(Department, req.params.id, req.user.userId);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.json({ message: 'Department moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Inventory Routes
+app.get('/api/inventory', authenticateToken, authorize('inventory:read'), async (req, res) => {
+  try {
+    const filter = exactFilters(req.query, ['category', 'status', 'supplier']);
+    if (req.query.q) {
+      const regex = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [{ itemName: regex }, { category: regex }, { supplier: regex }];
+    }
+    const expiryDate = dateRange(req.query.from, req.query.to);
+    if (expiryDate) filter.expiryDate = expiryDate;
+
+    const sort = parseSort(req.query.sort, ['itemName', 'category', 'quantity', 'unitPrice', 'expiryDate', 'createdAt'], { createdAt: -1 });
+    const inventory = await paginate(req, res, Inventory.find(filter).sort(sort), filter);
+    res.json(inventory);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Totals for the inventory screen, over all items rather than the current page
+app.get('/api/inventory/summary', authenticateToken, authorize('inventory:read'), async (req, res) => {
+  try {
+    const byStatus = await Inventory.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          value: { $sum: { $multiply: [{ $ifNull: ['$quantity', 0] }, { $ifNull: ['$unitPrice', 0] }] } }
+        }
+      }
+    ]);
+    const summary = { totalValue: 0 };
+    ['available', 'low', 'out'].forEach(status => {
+      const group = byStatus.find(g => g._id === status);
+      summary[status] = group ? group.count : 0;
+    });
+    summary.totalValue = byStatus.reduce((sum, group) => sum + group.value, 0);
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/inventory/:id', authenticateToken, authorize('inventory:read'), async (req, res) => {
+  try {
+    const item = await Inventory.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/inventory', authenticateToken, authorize('inventory:write'), validateBody('inventory'), async (req, res) => {
+  try {
+    const item = new Inventory(req.body);
+    await item.save();
+    res.status(201).json(item);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/inventory/:id', authenticateToken, authorize('inventory:write'), validateBody('inventory'), async (req, res) => {
+  try {
+    const item = await Inventory.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true }
+    );
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.delete('/api/inventory/:id', authenticateToken, authorize('inventory:delete'), async (req, res) => {
+  try {
+    const item = await softDeleteById(Inventory, req.params.id, req.user.userId);
+    if (!item) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
+    res.json({ message: 'Inventory item moved to the trash' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Trash Routes (admin)
+// Soft-deleted documents by type. The patient reference of clinical and
+// billing records is populated (deleted or not) so the trash can name them.
+const TRASH_TYPES = {
+  patients: { model: Patient, audit: 'patient', label: 'Patient' },
+  doctors: { model: Doctor, label: 'Doctor' },
+  appointments: { model: Appointment, audit: 'appointment', label: 'Appointment', patientField: 'patientId' },
+  'medical-records': { model: MedicalRecord, audit: 'medical-record', label: 'Medical record', patientField: 'patientId' },
+  billing: { model: Billing, audit: 'billing', label: 'Bill', patientField: 'patientId' },
+  departments: { model: Department, label: 'Department' },
+  inventory: { model: Inventory, label: 'Inventory item' }
+};
+
+const validateTrashType = (req, res, next) => {
+  if (!TRASH_TYPES[req.params.type]) {
+    return res.status(404).json({ message: 'Unknown record type' });
+  }
+  next();
+};
+
+// Reads, restores and purges of patient data go in the audit log like any
+// other access
+const auditTrash = (action) => (req, res, next) => {
+  const resourceType = TRASH_TYPES[req.params.type].audit;
+  return resourceType ? auditAccess(resourceType, action)(req, res, next) : next();
+};
+
+const purgeableAt = (doc) => new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Number of deleted documents of each type
+app.get('/api/trash', authenticateToken, authorize('trash:read'), async (req, res) => {
+  try {
+    const counts = {};
+    for (const [type, { model }] of Object.entries(TRASH_TYPES)) {
+      counts[type] = await model.countDocuments({ deletedAt: { $ne: null } });
+    }
+    res.json({ counts, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/trash/:type', authenticateToken, authorize('trash:read'), validateTrashType, auditTrash(), async (req, res) => {
+  try {
+    const { model, patientField } = TRASH_TYPES[req.params.type];
+    const filter = { deletedAt: { $ne: null } };
+    let query = model.find(filter).populate('deletedBy', 'name email').sort({ deletedAt: -1 });
+    if (patientField) {
+      query = query.populate({
+        path: patientField,
+        select: 'patientId firstName lastName deletedAt',
+        options: { withDeleted: true }
+      });
+    }
+    const docs = await paginate(req, res, query.lean(), filter);
+    res.json(docs.map(doc => ({ ...doc, purgeableAt: purgeableAt(doc) })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/trash/:type/:id/restore', authenticateToken, authorize('trash:write'), validateTrashType, auditTrash('restore'), async (req, res) => {
+  try {
+    const { model, label, patientField } = TRASH_TYPES[req.params.type];
+    const doc = await model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!doc) {
+      return res.status(404).json({ message: `${label} not found in the trash` });
+    }
+    if (patientField && doc[patientField] && !await Patient.exists({ _id: doc[patientField] })) {
+      return res.status(409).json({ message: 'The patient this belongs to is in the trash. Restore the patient first.' });
+    }
+
+    const restore = { $unset: { deletedAt: 1, deletedBy: 1, deletedWith: 1 } };
+    await model.updateOne({ _id: doc._id, deletedAt: { $ne: null } }, restore);
+    if (req.params.type === 'patients') {
+      const cascaded = { deletedWith: doc._id, deletedAt: { $ne: null } };
+      await Appointment.updateMany(cascaded, restore);
+      await MedicalRecord.updateMany(cascaded, restore);
+      await Billing.updateMany(cascaded, restore);
+    }
+
+    res.json(await model.findById(doc._id));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Permanent deletion, only once the retention period has passed
+app.delete('/api/trash/:type/:id', authenticateToken, authorize('trash:write'), validateTrashType, auditTrash('purge'), async (req, res) => {
+  try {
+    const { model, label } = TRASH_TYPES[req.params.type];
+    const doc = await model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!doc) {
+      return res.status(404).json({ message: `${label} not found in the trash` });
+    }
+    if (purgeableAt(doc) > new Date()) {
+      return res.status(409).json({
+        message: `Deleted records are kept for ${TRASH_RETENTION_DAYS} days. This one can be purged from ${purgeableAt(doc).toLocaleDateString()}.`
+      });
+    }
+
+    await model.deleteOne({ _id: doc._id });
+    if (req.params.type === 'patients') {
+      // Everything of theirs is in the trash too, whether it went with them or before
+      const theirs = { patientId: doc._id, deletedAt: { $ne: null } };
+      const records = await MedicalRecord.find(theirs).select('_id');
+      await Appointment.deleteMany(theirs);
+      await MedicalRecord.deleteMany(theirs);
+      await MedicalRecordRevision.deleteMany({ recordId: { $in: records.map(record => record._id) } });
+      await Billing.deleteMany(theirs);
+      await User.updateMany({ patientRef: doc._id }, { $unset: { patientRef: 1 } });
+    }
+    if (req.params.type === 'medical-records') {
+      await MedicalRecordRevision.deleteMany({ recordId: doc._id });
+    }
+    if (req.params.type === 'doctors') {
+      await User.updateMany({ doctorRef: doc._id }, { $unset: { doctorRef: 1 } });
+      await LeaveBlock.deleteMany({ doctorId: doc._id });
+    }
+
+    res.json({ message: `${label} permanently deleted` });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// User Management Routes (admin)
+const USER_FIELDS = '-password';
+
+// Refuses changes that would leave no active admin able to sign in
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.active) return false;
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', active: { $ne: false } });
+  return others === 0;
+};
+
+app.get('/api/users', authenticateToken, authorize('users:read'), async (req, res) => {
+  try {
+    const filter = exactFilters(req.query, ['role', 'approvalStatus']);
+    if (req.query.active === 'true') filter.active = { $ne: false };
+    if (req.query.active === 'false') filter.active = false;
+    if (req.query.q) {
+      const regex = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = [{ name: regex }, { email: regex }];
+    }
+
+    const sort = parseSort(req.query.sort, ['name', 'email', 'role', 'createdAt'], { createdAt: -1 });
+    const users = await paginate(req, res, User.find(filter).select(USER_FIELDS).sort(sort), filter);
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/users/:id', authenticateToken, authorize('users:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a staff account; patients still register themselves
+app.post('/api/users', authenticateToken, authorize('users:write'), validateBody('users'), async (req, res) => {
+  try {
+    const { name, email, password, phone, role } = req.body;
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = new User({
+      name,
+      email,
+      password: await bcrypt.hash(password, salt),
+      phone,
+      role
+    });
+    await user.save();
+
+    const { password: _password, ...created } = user.toObject();
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.put('/api/users/:id', authenticateToken, authorize('users:write'), validateBody('user-update'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const roleChanged = req.body.role && req.body.role !== user.role;
+    if (roleChanged && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: 'At least one active admin account is required' });
+    }
+
+    user.set(req.body);
+    await user.save();
+    // The role is carried in access tokens, so sign the user in again
+    if (roleChanged) {
+      await revokeSessions({ userId: user._id });
+    }
+
+    res.json(await User.findById(user._id).select(USER_FIELDS));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/users/:id/deactivate', authenticateToken, authorize('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user._id.equals(req.user.userId)) {
+      return res.status(409).json({ message: 'You cannot deactivate your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ message: 'At least one active admin account is required' });
+    }
+
+    user.active = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeSessions({ userId: user._id });
+
+    res.json(await User.findById(user._id).select(USER_FIELDS));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/users/:id/activate', authenticateToken, authorize('users:write'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { active: true, $unset: { deactivatedAt: 1 } },
+      { new: true }
+    ).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.post('/api/users/:id/unlock', authenticateToken, authorize('users:write'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginCount: 0, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } },
+      { new: true }
+    ).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/users/:id/login-history', authenticateToken, authorize('users:read'), async (req, res) => {
+  try {
+    const filter = { userId: req.params.id };
+    const attempts = await paginate(
+      req, res,
+      LoginAttempt.find(filter).select(LOGIN_HISTORY_FIELDS).sort({ createdAt: -1 }),
+      filter
+    );
+    res.json(attempts);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Staff registration approval
+app.post('/api/users/:id/approve', authenticateToken, authorize('users:write'), async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, approvalStatus: { $ne: 'approved' } },
+      {
+        approvalStatus: 'approved',
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date(),
+        $unset: { rejectionReason: 1 }
+      },
+      { new: true }
+    ).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'No registration awaiting approval' });
+    }
+
+    await notifyUsers([user._id], {
+      title: 'Account approved',
+      message: `Welcome! Your ${user.role} account has been approved.`,
+      type: 'success'
+    });
+    await sendEmail(user.email, 'accountApproved', { name: user.name, role: user.role });
+    res.json(user);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.get('/api/reports/monthly', authenticateToken, async (req, res) => {
+app.post('/api/users/:id/reject', authenticateToken, authorize('users:write'), validateBody('user-rejection'), async (req, res) => {
   try {
-    const today = new Date();
-    const monthAgo = new Date(today);
-    monthAgo.setMonth(monthAgo.getMonth() - 1);
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, approvalStatus: 'pending' },
+      {
+        approvalStatus: 'rejected',
+        rejectionReason: req.body.reason,
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    ).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'No registration awaiting approval' });
+    }
 
-    const stats = {
-      startDate: monthAgo,
-      endDate: today,
-      type: 'monthly',
-      totalPatients: await Patient.countDocuments({
-        createdAt: { $gte: monthAgo, $lt: today }
-      }),
-      totalAppointments: await Appointment.countDocuments({
-        createdAt: { $gte: monthAgo, $lt: today }
-      }),
-      completedAppointments: await Appointment.countDocuments({
-        status: 'completed',
-        createdAt: { $gte: monthAgo, $lt: today }
-      }),
-      newDoctors: await Doctor.countDocuments({
-        createdAt: { $gte: monthAgo, $lt: today }
-      }),
-      revenue: await Billing.aggregate([
-        { $match: { 
-            status: 'paid',
-            createdAt: { $gte: monthAgo, $lt: today }
-          } 
-        },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ])
-    };
-    res.json(stats);
+    // The reason is also given to the applicant when they try to sign in
+    await notifyUsers([user._id], {
+      title: 'Registration not approved',
+      message: req.body.reason || 'Your registration was not approved.',
+      type: 'error'
+    });
+    await sendEmail(user.email, 'accountRejected', { name: user.name, reason: req.body.reason });
+    res.json(user);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Patients Routes
-app.get('/api/patients', authenticateToken, async (req, res) => {
+// For a user who lost both their device and backup codes. They sign in with
+// their password alone and, if their role requires it, enroll again.
+app.post('/api/users/:id/2fa/reset', authenticateToken, authorize('users:write'), async (req, res) => {
   try {
-    const patients = await Patient.find().sort({ createdAt: -1 });
-    res.json(patients);
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        twoFactorEnabled: false,
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorBackupCodes: 1, twoFactorLastCounter: 1 }
+      },
+      { new: true }
+    ).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await revokeSessions({ userId: user._id });
+    res.json(user);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/patients', authenticateToken, async (req, res) => {
+// Security Settings Routes
+app.get('/api/settings/security', authenticateToken, authorize('settings:read'), async (req, res) => {
   try {
-    const patient = new Patient(req.body);
-    await patient.save();
-    res.status(201).json(patient);
+    res.json({ twoFactorRequiredRoles: await getTwoFactorRequiredRoles() });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/patients/:id', authenticateToken, async (req, res) => {
+app.put('/api/settings/security', authenticateToken, authorize('settings:write'), validateBody('security-settings'), async (req, res) => {
   try {
-    const patient = await Patient.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
+    await Setting.findByIdAndUpdate(
+      'twoFactorRequiredRoles',
+      { value: req.body.twoFactorRequiredRoles, updatedBy: req.user.userId, updatedAt: new Date() },
+      { upsert: true }
     );
-    res.json(patient);
+    res.json({ twoFactorRequiredRoles: req.body.twoFactorRequiredRoles });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.delete('/api/patients/:id', authenticateToken, async (req, res) => {
+// Scheduling Settings Routes
+app.get('/api/settings/scheduling', authenticateToken, authorize('settings:read'), async (req, res) => {
   try {
-    await Patient.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Patient deleted successfully' });
+    res.json(await getSchedulingSettings());
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Doctors Routes
-app.get('/api/doctors', authenticateToken, async (req, res) => {
+app.put('/api/settings/scheduling', authenticateToken, authorize('settings:write'), validateBody('scheduling-settings'), async (req, res) => {
   try {
-    const doctors = await Doctor.find().sort({ createdAt: -1 });
-    res.json(doctors);
+    await Setting.findByIdAndUpdate(
+      'scheduling',
+      { value: req.body, updatedBy: req.user.userId, updatedAt: new Date() },
+      { upsert: true }
+    );
+    res.json(req.body);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/doctors', authenticateToken, async (req, res) => {
+// Audit Log Routes
+app.get('/api/audit-logs', authenticateToken, authorize('audit:read'), validateQueryIds('actorId', 'patientId'), async (req, res) => {
   try {
-    const doctor = new Doctor(req.body);
-    await doctor.save();
-    res.status(201).json(doctor);
+    const filter = exactFilters(req.query, ['actorId', 'action', 'resourceType', 'resourceId']);
+    if (req.query.patientId) filter.patientIds = req.query.patientId;
+    if (req.query.actor) {
+      const regex = new RegExp(escapeRegex(req.query.actor), 'i');
+      const users = await User.find({ $or: [{ name: regex }, { email: regex }] }).select('_id');
+      filter.$or = [{ actorEmail: regex }, { actorId: { $in: users.map(user => user._id) } }];
+    }
+    const createdAt = dateRange(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const entries = await paginate(req, res, AuditLog.find(filter)
+      .populate('actorId', 'name email')
+      .populate('patientIds', 'patientId firstName lastName')
+      .sort({ seq: -1 }), filter);
+    res.json(entries);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Appointments Routes
-app.get('/api/appointments', authenticateToken, async (req, res) => {
+// Recomputes every hash in order and reports the first entry that does not
+// match, or a gap in the sequence where an entry was removed
+app.get('/api/audit-logs/verify', authenticateToken, authorize('audit:read'), async (req, res) => {
   try {
-    const appointments = await Appointment.find()
-      .populate('patientId')
-      .populate('doctorId')
-      .sort({ createdAt: -1 });
-    res.json(appointments);
+    let previous = null;
+    let checked = 0;
+    for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      const expectedPrevHash = previous ? previous.hash : AUDIT_GENESIS_HASH;
+      let problem = null;
+      if (entry.seq !== expectedSeq) {
+        problem = `Entries ${expectedSeq} to ${entry.seq - 1} are missing`;
+      } else if (entry.prevHash !== expectedPrevHash) {
+        problem = 'Entry does not follow the one before it';
+      } else if (auditHash(entry) !== entry.hash) {
+        problem = 'Entry has been modified';
+      }
+      if (problem) {
+        return res.json({ valid: false, checked, brokenAt: entry.seq, message: problem });
+      }
+      previous = entry;
+      checked++;
+    }
+    res.json({ valid: true, checked });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/appointments', authenticateToken, async (req, res) => {
+// User Session Routes
+app.get('/api/users/:id/sessions', authenticateToken, authorize('sessions:read'), async (req, res) => {
   try {
-    const appointment = new Appointment(req.body);
-    await appointment.save();
-    res.status(201).json(appointment);
+    const sessions = await Session.find({
+      userId: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
+// Sign the user out everywhere
+app.delete('/api/users/:id/sessions', authenticateToken, authorize('sessions:delete'), async (req, res) => {
   try {
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    res.json(appointment);
+    const result = await revokeSessions({ userId: req.params.id });
+    res.json({ message: 'Sessions revoked successfully', revoked: result.modifiedCount });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Medical Records Routes
-app.get('/api/medical-records', authenticateToken, async (req, res) => {
+app.delete('/api/users/:id/sessions/:sessionId', authenticateToken, authorize('sessions:delete'), async (req, res) => {
   try {
-    const records = await MedicalRecord.find()
-      .populate('patientId')
-      .populate('doctorId')
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+    const result = await revokeSessions({ _id: req.params.sessionId, userId: req.params.id });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Notifications Routes
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const notifications = await Notification.find({ userId: req.user.userId })
       .sort({ createdAt: -1 });
-    res.json(records);
+    res.json(notifications);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/medical-records', authenticateToken, async (req, res) => {
+app.post('/api/notifications', authenticateToken, async (req, res) => {
   try {
-    const record = new MedicalRecord(req.body);
-    await record.save();
-    res.status(201).json(record);
+    const notification = new Notification({
+      ...req.body,
+      userId: req.user.userId
+    });
+    await notification.save();
+    res.status(201).json(notification);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Billing Routes
-app.get('/api/billing', authenticateToken, async (req, res) => {
+app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
   try {
-    const bills = await Billing.find()
-      .populate('patientId')
-      .sort({ createdAt: -1 });
-    res.json(bills);
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/billing', authenticateToken, async (req, res) => {
+app.delete('/api/notifications/:id', authenticateToken, async (req, res) => {
   try {
-    const bill = new Billing(req.body);
-    await bill.save();
-    res.status(201).json(bill);
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json({ message: 'Notification deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/billing/:id', authenticateToken, async (req, res) => {
+// Patient Self-Service Routes
+// Resolves the Patient record linked to the logged-in user
+const loadLinkedPatient = async (req, res, next) => {
   try {
-    const bill = await Billing.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.patientRef || !await Patient.exists({ _id: user.patientRef })) {
+      return res.status(404).json({ message: 'No patient record is linked to this account' });
+    }
+    req.patientId = user.patientRef;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Link account to a patient record, either by patientId + date of birth or
+// by claim code. An account links once; changing it is up to the hospital.
+app.post('/api/me/link-patient', authenticateToken, authorize('self:link'), validateBody('link-patient'), async (req, res) => {
+  try {
+    const { dateOfBirth, claimCode } = req.body;
+    // Matched regardless of case, and counted under one spelling so typing
+    // it in lower case does not dodge the limits
+    const patientId = req.body.patientId?.toUpperCase();
+    if (!claimCode && !(patientId && dateOfBirth)) {
+      return res.status(400).json({ message: 'Provide a claim code, or patient ID and date of birth' });
+    }
+
+    const account = await User.findById(req.user.userId).select('patientRef');
+    if (account?.patientRef) {
+      return res.status(409).json({ message: 'This account is already linked to a patient record. Ask the hospital if it needs to change.' });
+    }
+
+    const attempt = {
+      userId: req.user.userId,
+      patientId: claimCode ? undefined : patientId,
+      method: claimCode ? 'claim-code' : 'date-of-birth',
+      ip: req.ip
+    };
+    const since = new Date(Date.now() - LINK_WINDOW_MINUTES * 60 * 1000);
+    const [accountFailures, patientFailures, ipFailures] = await Promise.all([
+      LinkAttempt.countDocuments({ userId: req.user.userId, success: false, createdAt: { $gt: since } }),
+      attempt.patientId
+        ? LinkAttempt.countDocuments({ patientId: attempt.patientId, success: false, createdAt: { $gt: since } })
+        : 0,
+      LinkAttempt.countDocuments({ ip: req.ip, success: false, createdAt: { $gt: since } })
+    ]);
+    if (accountFailures >= LINK_MAX_FAILURES || patientFailures >= LINK_MAX_FAILURES || ipFailures >= LINK_IP_MAX_FAILURES) {
+      res.set('Retry-After', String(LINK_WINDOW_MINUTES * 60));
+      return res.status(429).json({ message: 'Too many failed attempts to link a patient record. Try again later or ask the hospital for a claim code.' });
+    }
+
+    let patient = null;
+    if (claimCode) {
+      patient = await Patient.findOne({
+        claimCode: claimCode.toUpperCase(),
+        claimCodeExpires: { $gt: new Date() }
+      });
+    } else {
+      const nextDay = new Date(dateOfBirth);
+      nextDay.setDate(nextDay.getDate() + 1);
+      patient = await Patient.findOne({
+        patientId: attempt.patientId,
+        dateOfBirth: { $gte: dateOfBirth, $lt: nextDay }
+      }).collation({ locale: 'en', strength: 2 });
+    }
+
+    if (!patient) {
+      await LinkAttempt.create({ ...attempt, success: false });
+      return res.status(400).json({ message: 'No matching patient record found' });
+    }
+
+    const alreadyLinked = await User.findOne({ patientRef: patient._id, _id: { $ne: req.user.userId } });
+    if (alreadyLinked) {
+      return res.status(409).json({ message: 'This patient record is already linked to another account' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { patientRef: patient._id },
       { new: true }
-    );
-    res.json(bill);
+    ).select('-password');
+
+    // Claim codes are single use
+    if (claimCode) {
+      patient.claimCode = undefined;
+      patient.claimCodeExpires = undefined;
+      await patient.save();
+    }
+
+    await LinkAttempt.create({ ...attempt, success: true });
+    await recordAudit(req, {
+      action: 'link-account',
+      resourceType: 'patient',
+      resourceId: patient._id,
+      patientIds: [patient._id],
+      details: { method: attempt.method, userId: req.user.userId }
+    });
+
+    res.json({
+      message: 'Patient record linked successfully',
+      user: user
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Departments Routes
-app.get('/api/departments', authenticateToken, async (req, res) => {
+app.get('/api/me/patient', authenticateToken, authorize('self:read'), loadLinkedPatient, auditAccess('patient'), async (req, res) => {
   try {
-    const departments = await Department.find().sort({ createdAt: -1 });
-    res.json(departments);
+    const patient = await Patient.findById(req.patientId).select('-claimCode -claimCodeExpires');
+    res.json(patient);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/departments', authenticateToken, async (req, res) => {
+app.get('/api/me/appointments', authenticateToken, authorize('self:read'), loadLinkedPatient, auditAccess('appointment'), async (req, res) => {
   try {
-    const department = new Department(req.body);
-    await department.save();
-    res.status(201).json(department);
+    const appointments = await Appointment.find({ patientId: req.patientId })
+      .populate('doctorId', 'firstName lastName specialization department')
+      .sort({ appointmentDate: -1 });
+    res.json(appointments);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Inventory Routes
-app.get('/api/inventory', authenticateToken, async (req, res) => {
+app.get('/api/me/booking-policy', authenticateToken, authorize('self:book'), async (req, res) => {
   try {
-    const inventory = await Inventory.find().sort({ createdAt: -1 });
-    res.json(inventory);
+    const { bookingNoticeHours, maxAdvanceDays, rescheduleCutoffHours, cancellationCutoffHours } = await getSchedulingSettings();
+    res.json({ bookingNoticeHours, maxAdvanceDays, rescheduleCutoffHours, cancellationCutoffHours });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/inventory', authenticateToken, async (req, res) => {
+// Self-booked appointments stay pending until staff confirm them
+app.post('/api/me/appointments', authenticateToken, authorize('self:book'), loadLinkedPatient, validateBody('self-booking'), validateReferences({ doctorId: Doctor }), checkAppointmentSlot, auditAccess('appointment'), async (req, res) => {
   try {
-    const item = new Inventory(req.body);
-    await item.save();
-    res.status(201).json(item);
+    const windowError = bookingWindowError(await getSchedulingSettings(), req.body.appointmentDate);
+    if (windowError) {
+      return res.status(409).json({ message: windowError });
+    }
+
+    const appointment = await Appointment.create({
+      ...req.body,
+      patientId: req.patientId,
+      status: 'pending',
+      priority: 'medium'
+    });
+    await notifyAppointment(appointment, {
+      patient: { title: 'Appointment requested', message: 'Your appointment{doctor} on {when} is booked and waiting for confirmation.' },
+      doctor: { title: 'New appointment request', message: 'A patient booked {when} online. Please confirm it.' }
+    });
+    res.status(201).json(appointment);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/inventory/:id', authenticateToken, async (req, res) => {
+// Finds one of the patient's own appointments that can still be changed,
+// at least cutoffHours before it starts
+const loadOwnAppointment = (cutoffSetting, action) => async (req, res, next) => {
   try {
-    const item = await Inventory.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const appointment = await Appointment.findOne({ _id: req.params.id, patientId: req.patientId });
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!BOOKED_STATUSES.includes(appointment.status)) {
+      return res.status(409).json({ message: `Only pending or confirmed appointments can be ${action}` });
+    }
+    const cutoffHours = (await getSchedulingSettings())[cutoffSetting];
+    if (appointment.appointmentDate < addMinutes(new Date(), cutoffHours * 60)) {
+      return res.status(409).json({
+        message: `Appointments can only be ${action} up to ${cutoffHours} hour(s) before they start. Please call the hospital.`
+      });
+    }
+    req.appointment = appointment;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// A new time with the same doctor; it needs confirming again
+app.put('/api/me/appointments/:id', authenticateToken, authorize('self:book'), loadLinkedPatient, validateBody('self-reschedule'), loadOwnAppointment('rescheduleCutoffHours', 'rescheduled'), checkAppointmentSlot, auditAccess('appointment'), async (req, res) => {
+  try {
+    const windowError = bookingWindowError(await getSchedulingSettings(), req.body.appointmentDate);
+    if (windowError) {
+      return res.status(409).json({ message: windowError });
+    }
+
+    // Outside the state machine: a moved appointment goes back to pending
+    const history = req.appointment.status === 'pending'
+      ? {}
+      : { $push: { statusHistory: { from: req.appointment.status, to: 'pending', by: req.user.userId, at: new Date(), note: 'Rescheduled by the patient' } } };
+    const appointment = await Appointment.findByIdAndUpdate(
+      req.appointment._id,
+      { appointmentDate: req.body.appointmentDate, status: 'pending', ...(req.body.duration && { duration: req.body.duration }), ...history },
       { new: true }
     );
-    res.json(item);
+    await notifyAppointment(appointment, {
+      patient: { title: 'Appointment rescheduled', message: 'Your appointment{doctor} is moved to {when} and waiting for confirmation.' },
+      doctor: { title: 'Appointment rescheduled', message: 'A patient moved their appointment to {when}. Please confirm it.', type: 'warning' }
+    });
+    res.json(appointment);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Notifications Routes
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+app.post('/api/me/appointments/:id/cancel', authenticateToken, authorize('self:book'), loadLinkedPatient, validateBody('self-cancellation'), loadOwnAppointment('cancellationCutoffHours', 'cancelled'), auditAccess('appointment', 'update'), async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user.userId })
+    const appointment = await transitionAppointment(req.appointment, 'cancel', {
+      userId: req.user.userId,
+      note: req.body.reason,
+      fields: { cancellationReason: 'patient-request', cancellationNote: req.body.reason }
+    });
+    if (!appointment) {
+      return res.status(409).json({ message: 'This appointment was changed in the meantime. Reload it and try again.' });
+    }
+    await notifyAppointment(appointment, {
+      patient: { title: 'Appointment cancelled', message: 'Your appointment{doctor} on {when} is cancelled.' },
+      doctor: { title: 'Appointment cancelled', message: 'A patient cancelled their appointment on {when}.', type: 'warning' }
+    });
+    res.json(appointment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+app.get('/api/me/medical-records', authenticateToken, authorize('self:read'), loadLinkedPatient, auditAccess('medical-record'), async (req, res) => {
+  try {
+    const records = await MedicalRecord.find({ patientId: req.patientId })
+      .populate('doctorId', 'firstName lastName specialization')
+      .populate('amendments.authorId', 'name')
       .sort({ createdAt: -1 });
-    res.json(notifications);
+    res.json(records);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.post('/api/notifications', authenticateToken, async (req, res) => {
+app.get('/api/me/bills', authenticateToken, authorize('self:read'), loadLinkedPatient, auditAccess('billing'), async (req, res) => {
   try {
-    const notification = new Notification({
-      ...req.body,
-      userId: req.user.userId
-    });
-    await notification.save();
-    res.status(201).json(notification);
+    const bills = await Billing.find({ patientId: req.patientId })
+      .sort({ createdAt: -1 });
+    res.json(bills);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+// Doctor's own patient list
+app.get('/api/me/patients', authenticateToken, authorize('self:patients'), scopeToDoctor, auditAccess('patient'), async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
-      { read: true },
-      { new: true }
-    );
-    res.json(notification);
+    const filter = { _id: { $in: await getDoctorPatientIds(req.doctorId) } };
+    if (req.query.q) {
+      Object.assign(filter, patientSearchFilter(req.query.q));
+    }
+    const patients = await paginate(req, res, Patient.find(filter).sort({ lastName: 1, firstName: 1 }), filter);
+    res.json(await withAttendance(patients));
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Dashboard Statistics
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+// Appointments per day of the current week, Monday first
+const getWeeklySchedule = async (filter) => {
+  const monday = new Date();
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  const nextMonday = new Date(monday);
+  nextMonday.setDate(nextMonday.getDate() + 7);
+
+  const appointments = await Appointment.find({
+    ...filter,
+    status: { $nin: ['cancelled', 'no-show'] },
+    appointmentDate: { $gte: monday, $lt: nextMonday }
+  }).select('appointmentDate');
+
+  return Array.from({ length: 7 }, (_, index) => {
+    const date = new Date(monday);
+    date.setDate(date.getDate() + index);
+    const count = appointments.filter(appointment => appointment.appointmentDate.toDateString() === date.toDateString()).length;
+    return { date, count };
+  });
+};
+
+app.get('/api/dashboard/stats', authenticateToken, authorize('dashboard:read'), scopeToDoctor, async (req, res) => {
   try {
+    if (req.doctorId) {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      const filter = doctorFilter(req);
+
+      return res.json({
+        totalPatients: (await getDoctorPatientIds(req.doctorId)).length,
+        totalAppointments: await Appointment.countDocuments(filter),
+        todayAppointments: await Appointment.countDocuments({
+          ...filter,
+          appointmentDate: { $gte: today, $lt: tomorrow }
+        }),
+        pendingAppointments: await Appointment.countDocuments({ ...filter, status: 'pending' }),
+        completedToday: await Appointment.countDocuments({
+          ...filter,
+          status: 'completed',
+          appointmentDate: { $gte: today, $lt: tomorrow }
+        }),
+        weeklySchedule: await getWeeklySchedule(filter)
+      });
+    }
+
     const stats = {
       totalPatients: await Patient.countDocuments(),
       totalDoctors: await Doctor.countDocuments(),
@@ -757,7 +5494,114 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Admin Bootstrap
+// `node app.js create-admin [--name=..] [--email=..] [--phone=..]` creates
+// the first admin from the server's shell, prompting for anything missing.
+// Once an admin exists it refuses; further accounts go through /api/users.
+const createAdminFromCli = async (args) => {
+  const options = {};
+  args.forEach(arg => {
+    const match = arg.match(/^--(\w+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+  });
+
+  if (await User.exists({ role: 'admin' })) {
+    throw new Error('An admin account already exists. Use the Users screen to add more.');
+  }
+
+  // Prompts write through a stream that drops output while muted, so a
+  // typed password is not echoed: on a terminal readline does the echoing
+  // through it, and piped input is never echoed. Lines are read from the
+  // iterator, which keeps piped lines that arrive before they are asked for.
+  const readline = require('readline');
+  const { Writable } = require('stream');
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (prompt, hidden = false) => {
+    rl.setPrompt(prompt);
+    rl.prompt();
+    muted = hidden;
+    const { value = '' } = await lines.next();
+    muted = false;
+    if (hidden) process.stdout.write('\n');
+    return value;
+  };
+  try {
+    const input = {
+      name: options.name || await ask('Name: '),
+      email: options.email || await ask('Email: '),
+      phone: options.phone || undefined,
+      // Never taken from a flag, so it does not end up in shell history
+      password: process.env.ADMIN_PASSWORD || await ask('Password: ', true),
+      role: 'admin'
+    };
+
+    const { body, errors } = validateInput('users', input, true);
+    if (errors.length > 0) {
+      throw new Error(errors.map(error => error.message).join('; '));
+    }
+    if (await User.exists({ email: body.email })) {
+      throw new Error('A user with that email already exists');
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    await User.create({ ...body, password: await bcrypt.hash(body.password, salt) });
+    console.log(`Admin account created for ${body.email}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// Start server - skipped when the app is required by tests, which connect
+// mongoose to their own (in-memory) database
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/rwanda_hospital';
+
+  if (process.argv[2] === 'create-admin') {
+    mongoose.connect(MONGODB_URI)
+      .then(() => createAdminFromCli(process.argv.slice(3)))
+      .catch(error => {
+        console.error(`Could not create admin: ${error.message}`);
+        process.exitCode = 1;
+      })
+      .finally(() => mongoose.disconnect());
+  } else {
+    if (!JWT_SECRET) {
+      console.error('JWT_SECRET is not set. Add it to the environment or backend/.env before starting the server.');
+      process.exit(1);
+    }
+
+    // MongoDB Connection
+    mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+
+    // Periodic duplicate patient scan
+    setInterval(() => {
+      detectDuplicatePatients().catch(error => {
+        console.error('Duplicate patient scan failed:', error.message);
+      });
+    }, DUPLICATE_SCAN_INTERVAL_HOURS * 60 * 60 * 1000);
+
+    // Periodic no-show scan
+    setInterval(() => {
+      markNoShows().catch(error => {
+        console.error('No-show scan failed:', error.message);
+      });
+    }, NO_SHOW_SCAN_INTERVAL_MINUTES * 60 * 1000);
+  }
+}
+
+module.exports = app;
@@ -0,0 +1,64 @@
+// Issues generated identifiers (patientId, doctorId, invoiceNumber) to
+// records created before they were automatic: records with no identifier and
+// every record but the oldest sharing a duplicated one. Then builds the
+// unique indexes, which cannot be created while duplicates exist.
+// Loading app.js registers the models without starting the server.
+//
+// Usage: node migrations/assign-identifiers.js [--dry-run]
+const mongoose = require('mongoose');
+require('../app');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/rwanda_hospital';
+const dryRun = process.argv.includes('--dry-run');
+
+// model -> identifier field
+const IDENTIFIERS = {
+  Patient: 'patientId',
+  Doctor: 'doctorId',
+  Billing: 'invoiceNumber'
+};
+
+const migrate = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  for (const [modelName, field] of Object.entries(IDENTIFIERS)) {
+    const Model = mongoose.model(modelName);
+    const seen = new Set();
+    const changes = [];
+
+    // Oldest first, so the original holder of a duplicated id keeps it.
+    // Records in the trash hold identifiers too and can be restored.
+    const cursor = Model.find().setOptions({ withDeleted: true }).sort({ createdAt: 1, _id: 1 }).cursor();
+    for await (const doc of cursor) {
+      const current = doc[field];
+      if (current && !seen.has(current)) {
+        seen.add(current);
+        continue;
+      }
+
+      const previous = current || null;
+      if (!dryRun) {
+        // The pre-save hook issues a new identifier once the field is empty
+        doc[field] = undefined;
+        await doc.save();
+      }
+      changes.push({ _id: doc._id, previous, next: dryRun ? '(new)' : doc[field] });
+    }
+
+    if (!dryRun) {
+      await Model.createIndexes();
+    }
+
+    console.log(`${modelName}: ${dryRun ? 'would assign' : 'assigned'} ${changes.length} ${field}(s)`);
+    changes.forEach(change => {
+      console.log(`  ${change._id}: ${JSON.stringify(change.previous)} -> ${change.next}`);
+    });
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
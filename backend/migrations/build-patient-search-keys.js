@@ -0,0 +1,39 @@
+// Fills in the spelling-tolerant name keys used by patient search for
+// patients created before search was added, and builds the search indexes.
+// Loading app.js registers the models without starting the server.
+//
+// Usage: node migrations/build-patient-search-keys.js [--dry-run]
+const mongoose = require('mongoose');
+require('../app');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/rwanda_hospital';
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(MONGODB_URI);
+  const Patient = mongoose.model('Patient');
+  let updated = 0;
+
+  // Including patients in the trash, so they are found once restored
+  const cursor = Patient.find({ searchKeys: { $exists: false } }).setOptions({ withDeleted: true }).cursor();
+  for await (const patient of cursor) {
+    if (!dryRun) {
+      // The pre-save hook rebuilds the keys once the names are marked dirty
+      patient.markModified('firstName');
+      await patient.save();
+    }
+    updated++;
+  }
+
+  if (!dryRun) {
+    await Patient.createIndexes();
+  }
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} patient(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,67 @@
+// Converts patientId/doctorId values stored as plain strings into ObjectId
+// references, in place. Values that are not valid ObjectIds, or that point at
+// a patient/doctor that no longer exists, are left untouched and reported as
+// orphans so they can be fixed by hand.
+//
+// Usage: node migrations/convert-string-refs.js [--dry-run]
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/rwanda_hospital';
+const dryRun = process.argv.includes('--dry-run');
+
+// collection -> { field: referenced collection }
+const REFERENCES = {
+  appointments: { patientId: 'patients', doctorId: 'doctors' },
+  medicalrecords: { patientId: 'patients', doctorId: 'doctors' },
+  billings: { patientId: 'patients' }
+};
+
+const migrate = async () => {
+  await mongoose.connect(MONGODB_URI);
+  const db = mongoose.connection.db;
+  const orphans = [];
+  let converted = 0;
+
+  for (const [collectionName, fields] of Object.entries(REFERENCES)) {
+    const collection = db.collection(collectionName);
+
+    for (const [field, targetName] of Object.entries(fields)) {
+      const target = db.collection(targetName);
+      const cursor = collection.find({ [field]: { $type: 'string' } }, { projection: { [field]: 1 } });
+
+      for await (const doc of cursor) {
+        const value = doc[field];
+        const isValid = /^[0-9a-f]{24}$/i.test(value);
+        const exists = isValid && await target.countDocuments({ _id: new mongoose.Types.ObjectId(value) }, { limit: 1 });
+
+        if (!exists) {
+          orphans.push({ collection: collectionName, _id: doc._id, field, value });
+          continue;
+        }
+
+        if (!dryRun) {
+          await collection.updateOne(
+            { _id: doc._id },
+            { $set: { [field]: new mongoose.Types.ObjectId(value) } }
+          );
+        }
+        converted++;
+      }
+    }
+  }
+
+  console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} reference(s)`);
+  if (orphans.length > 0) {
+    console.log(`Found ${orphans.length} orphaned reference(s):`);
+    orphans.forEach(orphan => {
+      console.log(`  ${orphan.collection} ${orphan._id}: ${orphan.field} = ${JSON.stringify(orphan.value)}`);
+    });
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,212 @@
+// Role x route authorization matrix, run against an in-memory MongoDB.
+// Each route is called as every role with a signed-in session and must
+// answer with the listed status: 403 where the role lacks the permission,
+// otherwise whatever the route itself returns for the seeded data.
+//
+// mongodb-memory-server downloads the MongoDB version pinned in
+// package.json ("config.mongodbMemoryServer") on first use and caches it.
+// Offline, point MONGOMS_SYSTEM_BINARY at an installed mongod instead, e.g.
+// MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+process.env.JWT_SECRET = 'test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+
+const ROLES = ['admin', 'doctor', 'nurse', 'patient'];
+
+// Expected status per role; roles not listed must be refused with 403
+const allow = (statuses) => Object.fromEntries(ROLES.map(role => [role, statuses[role] || 403]));
+const everyone = (status) => allow(Object.fromEntries(ROLES.map(role => [role, status])));
+
+// {name} in a path is replaced by the id of the seeded document of that
+// name; {missing} is a valid id that matches nothing, so deletes that are
+// allowed answer 404 without removing seeded data. Write routes are sent the
+// optional body, else an empty one: roles that may write get past
+// authorization to validation. The seeded doctor has seen {patient} but
+// not {otherPatient}, which doctors must not reach.
+const PATIENT_NAMES = { firstName: 'Aline', lastName: 'Uwase' };
+const OTHER_PATIENT_NAMES = { firstName: 'Claudine', lastName: 'Mukamana' };
+
+const MATRIX = [
+  ['GET', '/api/patients', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['GET', '/api/patients/search?q=Uwase', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['GET', '/api/patients/{patient}', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['GET', '/api/patients/{otherPatient}', allow({ admin: 200, doctor: 404, nurse: 200 })],
+  ['POST', '/api/patients', allow({ admin: 422, doctor: 422, nurse: 422 })],
+  ['PUT', '/api/patients/{patient}', allow({ admin: 200, doctor: 200, nurse: 200 }), PATIENT_NAMES],
+  ['PUT', '/api/patients/{otherPatient}', allow({ admin: 200, doctor: 404, nurse: 200 }), OTHER_PATIENT_NAMES],
+  ['POST', '/api/patients/{patient}/claim-code', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['POST', '/api/patients/{otherPatient}/claim-code', allow({ admin: 200, doctor: 404, nurse: 200 })],
+  ['DELETE', '/api/patients/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/doctors', everyone(200)],
+  ['GET', '/api/doctors/{doctor}', everyone(200)],
+  ['POST', '/api/doctors', allow({ admin: 422 })],
+  ['DELETE', '/api/doctors/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/appointments', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['GET', '/api/appointments/{appointment}', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['POST', '/api/appointments', allow({ admin: 422, doctor: 422, nurse: 422 })],
+  ['DELETE', '/api/appointments/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/medical-records', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['GET', '/api/medical-records/{medicalRecord}', allow({ admin: 200, doctor: 200, nurse: 200 })],
+  ['POST', '/api/medical-records', allow({ admin: 422, doctor: 422 })],
+  ['DELETE', '/api/medical-records/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/billing', allow({ admin: 200 })],
+  ['GET', '/api/billing/{bill}', allow({ admin: 200 })],
+  ['POST', '/api/billing', allow({ admin: 422 })],
+  ['DELETE', '/api/billing/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/departments', everyone(200)],
+  ['GET', '/api/departments/{department}', everyone(200)],
+  ['POST', '/api/departments', allow({ admin: 422 })],
+  ['DELETE', '/api/departments/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/inventory', allow({ admin: 200, nurse: 200 })],
+  ['GET', '/api/inventory/{inventoryItem}', allow({ admin: 200, nurse: 200 })],
+  ['POST', '/api/inventory', allow({ admin: 422 })],
+  ['DELETE', '/api/inventory/{missing}', allow({ admin: 404 })],
+
+  ['GET', '/api/reports/daily', allow({ admin: 200 })],
+  ['GET', '/api/reports/weekly', allow({ admin: 200 })],
+  ['GET', '/api/reports/monthly', allow({ admin: 200 })],
+  ['GET', '/api/dashboard/stats', allow({ admin: 200, doctor: 200, nurse: 200 })],
+
+  ['GET', '/api/users', allow({ admin: 200 })],
+  ['GET', '/api/audit-logs', allow({ admin: 200 })],
+  ['GET', '/api/trash', allow({ admin: 200 })],
+  ['GET', '/api/patients/duplicates', allow({ admin: 200 })],
+
+  ['GET', '/api/me/patients', allow({ doctor: 200 })],
+  ['GET', '/api/me/patient', allow({ patient: 200 })],
+  ['GET', '/api/me/appointments', allow({ patient: 200 })],
+  // Nothing to link with, then a claim code for an account that is already linked
+  ['POST', '/api/me/link-patient', allow({ patient: 400 })],
+  ['POST', '/api/me/link-patient', allow({ patient: 409 }), { claimCode: 'ABCD1234' }]
+];
+
+let mongo;
+const ids = {};
+const users = {};
+const tokens = {};
+
+const signIn = async (role, fields = {}) => {
+  const user = await mongoose.model('User').create({
+    name: `Test ${role}`,
+    email: `${role}@example.rw`,
+    password: 'not-used',
+    role,
+    ...fields
+  });
+  users[role] = user;
+  const session = await mongoose.model('Session').create({
+    userId: user._id,
+    tokenHash: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return jwt.sign({ userId: user._id, email: user.email, role, sessionId: session._id }, process.env.JWT_SECRET);
+};
+
+before(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+
+  const model = (name) => mongoose.model(name);
+  const doctor = await model('Doctor').create({ firstName: 'Jean', lastName: 'Habimana', specialization: 'General Medicine' });
+  const patient = await model('Patient').create({ ...PATIENT_NAMES, gender: 'Female' });
+  const otherPatient = await model('Patient').create({ ...OTHER_PATIENT_NAMES, gender: 'Female' });
+  // Search needs the text index in place
+  await model('Patient').init();
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const appointment = await model('Appointment').create({
+    patientId: patient._id,
+    doctorId: doctor._id,
+    appointmentDate: tomorrow,
+    reason: 'Check-up'
+  });
+  const medicalRecord = await model('MedicalRecord').create({
+    patientId: patient._id,
+    doctorId: doctor._id,
+    diagnosis: 'Malaria'
+  });
+  const bill = await model('Billing').create({ patientId: patient._id, amount: 5000, description: 'Consultation' });
+  const department = await model('Department').create({ name: 'Outpatients', description: 'Walk-in clinic' });
+  const inventoryItem = await model('Inventory').create({ itemName: 'Paracetamol', category: 'Medicine', quantity: 100 });
+
+  Object.assign(ids, {
+    doctor: doctor._id,
+    patient: patient._id,
+    otherPatient: otherPatient._id,
+    appointment: appointment._id,
+    medicalRecord: medicalRecord._id,
+    bill: bill._id,
+    department: department._id,
+    inventoryItem: inventoryItem._id,
+    missing: new mongoose.Types.ObjectId()
+  });
+
+  tokens.admin = await signIn('admin');
+  tokens.doctor = await signIn('doctor', { doctorRef: doctor._id });
+  tokens.nurse = await signIn('nurse');
+  tokens.patient = await signIn('patient', { patientRef: patient._id });
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await mongo?.stop();
+});
+
+const resolve = (path) => path.replace(/\{(\w+)\}/g, (_, name) => String(ids[name]));
+
+const send = (method, path, token, body = {}) => {
+  const call = request(app)[method.toLowerCase()](resolve(path));
+  if (token) call.set('Authorization', `Bearer ${token}`);
+  return method === 'GET' || method === 'DELETE' ? call : call.send(body);
+};
+
+for (const [method, path, expected, body] of MATRIX) {
+  test(`${method} ${path} requires a signed-in user`, async () => {
+    const res = await send(method, path);
+    assert.equal(res.status, 401);
+  });
+
+  for (const role of ROLES) {
+    test(`${method} ${path} as ${role} -> ${expected[role]}`, async () => {
+      const res = await send(method, path, tokens[role], body);
+      assert.equal(res.status, expected[role], JSON.stringify(res.body));
+      if (expected[role] === 403) {
+        assert.equal(res.body.message, 'You do not have permission to perform this action');
+        assert.ok(Array.isArray(res.body.required));
+      }
+    });
+  }
+}
+
+// Lists answer 200 either way, so check doctors only get their own patients
+test('doctors only list and find patients they have seen', async () => {
+  const list = await send('GET', '/api/patients', tokens.doctor);
+  assert.deepEqual(list.body.map(patient => patient._id), [String(ids.patient)]);
+
+  for (const q of [PATIENT_NAMES.lastName, OTHER_PATIENT_NAMES.lastName]) {
+    const search = await send('GET', `/api/patients/search?q=${q}`, tokens.doctor);
+    assert.deepEqual(search.body.map(patient => patient._id), q === PATIENT_NAMES.lastName ? [String(ids.patient)] : []);
+  }
+});
+
+// The password step of a two-factor sign-in returns a challenge token signed
+// with the same secret; only POST /api/auth/login/2fa may accept it
+test('a two-factor challenge token is refused as an access token', async () => {
+  const challenge = jwt.sign({ userId: users.admin._id, purpose: 'two-factor' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+  for (const path of ['/api/auth/me', '/api/notifications', '/api/patients']) {
+    const res = await request(app).get(path).set('Authorization', `Bearer ${challenge}`);
+    assert.equal(res.status, 401, path);
+  }
+});
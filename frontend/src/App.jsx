@@ -1,10 +1,46 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, Link, useSearchParams, useLocation } from 'react-router-dom';
 import axios from 'axios';
 
 // Set base URL for axios
 axios.defaults.baseURL = 'http://localhost:5000';
 
+// Token storage. The access token is short-lived; the refresh token is
+// swapped for a new pair whenever the API answers 401.
+const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete axios.defaults.headers.common['Authorization'];
+};
+
+// Requests whose 401 means bad credentials rather than an expired token
+const SESSION_URLS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// Shared by requests failing at the same time, since each refresh token
+// can only be used once
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post('/api/auth/refresh', { refreshToken })
+      .then(response => {
+        saveTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Auth Context
 const AuthContext = React.createContext();
 
@@ -16,6 +52,33 @@ const AuthProvider = ({ children }) => {
   const [isScrolled, setIsScrolled] = useState(false);
 
   useEffect(() => {
+    // Refresh and retry once on 401; if refreshing fails the session is over
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const request = error.config;
+        const canRefresh = error.response?.status === 401 &&
+          request && !request._retried &&
+          !SESSION_URLS.includes(request.url) &&
+          localStorage.getItem('refreshToken');
+        if (!canRefresh) {
+          return Promise.reject(error);
+        }
+
+        request._retried = true;
+        try {
+          const token = await refreshTokens();
+          request.headers['Authorization'] = `Bearer ${token}`;
+          return axios(request);
+        } catch (refreshError) {
+          clearTokens();
+          setUser(null);
+          setNotifications([]);
+          return Promise.reject(error);
+        }
+      }
+    );
+
     const token = localStorage.getItem('token');
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
@@ -31,7 +94,10 @@ const AuthProvider = ({ children }) => {
     };
 
     window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      axios.interceptors.response.eject(interceptor);
+    };
   }, []);
 
   const fetchUser = async () => {
@@ -40,8 +106,7 @@ const AuthProvider = ({ children }) => {
       setUser(response.data);
       setLoading(false);
     } catch (error) {
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
+      clearTokens();
       setLoading(false);
     }
   };
@@ -69,10 +134,12 @@ const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
+      // Accounts with two-factor get a challenge to answer with a code
+      if (response.data.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+      saveTokens(response.data);
+      setUser(response.data.user);
       fetchNotifications();
       return { success: true };
     } catch (error) {
@@ -80,16 +147,38 @@ const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+      saveTokens(response.data);
+      setUser(response.data.user);
+      fetchNotifications();
+      return { success: true, backupCodesRemaining: response.data.backupCodesRemaining };
+    } catch (error) {
+      return {
+        success: false,
+        expired: error.response?.status === 401,
+        message: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
-      const { token, user } = response.data;
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
+      // Staff registrations wait for approval and come back without tokens
+      if (response.data.pending) {
+        return { success: true, pending: true, message: response.data.message };
+      }
+      saveTokens(response.data);
+      setUser(response.data.user);
       return { success: true };
     } catch (error) {
-      return { success: false, message: error.response?.data?.message || 'Registration failed' };
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Registration failed',
+        errors: getValidationErrors(error)
+      };
     }
   };
 
@@ -99,7 +188,11 @@ const AuthProvider = ({ children }) => {
       setUser(response.data.user);
       return { success: true };
     } catch (error) {
-      return { success: false, message: error.response?.data?.message || 'Update failed' };
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Update failed',
+        errors: getValidationErrors(error)
+      };
     }
   };
 
@@ -121,11 +214,34 @@ const AuthProvider = ({ children }) => {
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return { success: false, message: error.response?.data?.message || 'Could not send email' };
+    }
+  };
+
+  const linkPatientRecord = async (linkData) => {
+    try {
+      const response = await axios.post('/api/me/link-patient', linkData);
+      setUser(response.data.user);
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Linking failed' };
+    }
+  };
+
   const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearTokens();
     setUser(null);
     setNotifications([]);
+    if (refreshToken) {
+      axios.post('/api/auth/logout', { refreshToken })
+        .catch(error => console.error('Error ending session:', error));
+    }
   };
 
   const unreadNotifications = notifications.filter(n => !n.read).length;
@@ -133,6 +249,7 @@ const AuthProvider = ({ children }) => {
   const value = {
     user,
     login,
+    verifyTwoFactor,
     register,
     logout,
     loading,
@@ -141,7 +258,10 @@ const AuthProvider = ({ children }) => {
     markNotificationAsRead,
     fetchNotifications,
     updateProfile,
-    uploadAvatar
+    uploadAvatar,
+    linkPatientRecord,
+    resendVerification,
+    fetchUser
   };
 
   return (
@@ -155,9 +275,305 @@ const useAuth = () => {
   return React.useContext(AuthContext);
 };
 
+// Page size for server-paginated tables
+const PAGE_SIZE = 20;
+
+// Returns the value once it has stopped changing for `delay` ms
+const useDebounce = (value, delay = 400) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+// Total row count sent by list endpoints in the X-Total-Count header
+const getTotalCount = (response) => {
+  return parseInt(response.headers['x-total-count'], 10) || response.data.length;
+};
+
+// Previous/next navigation under a server-paginated table
+const Pagination = ({ page, total, onPageChange, pageSize = PAGE_SIZE }) => {
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+  if (total <= pageSize) return null;
+
+  return (
+    <div className="pagination">
+      <button
+        className="btn btn-info"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+      >
+        <i className="fas fa-chevron-left"></i> Previous
+      </button>
+      <span>Page {page} of {totalPages} ({total} total)</span>
+      <button
+        className="btn btn-info"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+      >
+        Next <i className="fas fa-chevron-right"></i>
+      </button>
+    </div>
+  );
+};
+
+// Type-ahead patient selector backed by /api/patients/search. Calls
+// onChange with the chosen patient's id, or '' when cleared.
+const PatientPicker = ({ value, onChange, initialPatient, required }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(initialPatient?.firstName ? initialPatient : null);
+  const [open, setOpen] = useState(false);
+  const debouncedQuery = useDebounce(query, 250);
+
+  useEffect(() => {
+    if (!value) setSelected(null);
+  }, [value]);
+
+  useEffect(() => {
+    if (debouncedQuery.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+    axios.get('/api/patients/search', { params: { q: debouncedQuery } })
+      .then(response => setResults(response.data))
+      .catch(error => console.error('Error searching patients:', error));
+  }, [debouncedQuery]);
+
+  const handleSelect = (patient) => {
+    setSelected(patient);
+    setQuery('');
+    setResults([]);
+    setOpen(false);
+    onChange(patient._id);
+  };
+
+  const handleClear = () => {
+    setSelected(null);
+    onChange('');
+  };
+
+  if (selected) {
+    return (
+      <div className="patient-picker-selected">
+        <span>
+          {selected.firstName} {selected.lastName}
+          {selected.patientId && <small> · {selected.patientId}</small>}
+        </span>
+        <button type="button" className="btn btn-danger" onClick={handleClear} title="Change patient">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="patient-picker">
+      <input
+        type="text"
+        placeholder="Search by name, phone, patient ID or national ID..."
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        required={required}
+      />
+      {open && results.length > 0 && (
+        <ul className="patient-picker-results">
+          {results.map(patient => (
+            <li key={patient._id} onMouseDown={() => handleSelect(patient)}>
+              <strong>{patient.firstName} {patient.lastName}</strong>
+              <small>
+                {[patient.patientId, patient.phone, patient.nationalId].filter(Boolean).join(' · ')}
+              </small>
+            </li>
+          ))}
+        </ul>
+      )}
+      {open && debouncedQuery.trim().length >= 2 && results.length === 0 && (
+        <ul className="patient-picker-results">
+          <li className="empty">No matching patients</li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Formats a date for a datetime-local input (local time, no seconds)
+const toDateTimeLocal = (value) => {
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// "2026-03-14" in local time, for date inputs
+const toLocalDate = (value) => toDateTimeLocal(value).slice(0, 10);
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SLOT_REASONS = {
+  past: 'Already passed',
+  booked: 'Already booked',
+  leave: 'Doctor unavailable',
+  'outside-window': 'Outside the online booking window'
+};
+
+const APPOINTMENT_STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  'checked-in': 'Checked in',
+  'in-consultation': 'In consultation',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  'no-show': 'No-show'
+};
+
+// Mirrors the server's transitions; `from` decides which buttons a row shows
+const APPOINTMENT_ACTIONS = [
+  { action: 'confirm', label: 'Confirm', icon: 'fas fa-check', className: 'btn-success', from: ['pending'] },
+  { action: 'check-in', label: 'Check in', icon: 'fas fa-sign-in-alt', className: 'btn-info', from: ['pending', 'confirmed'] },
+  { action: 'start', label: 'Start consultation', icon: 'fas fa-stethoscope', className: 'btn-primary', from: ['checked-in'] },
+  { action: 'complete', label: 'Complete', icon: 'fas fa-flag-checkered', className: 'btn-success', from: ['in-consultation'] },
+  { action: 'no-show', label: 'Mark as no-show', icon: 'fas fa-user-slash', className: 'btn-secondary', from: ['pending', 'confirmed'], afterStart: true },
+  { action: 'cancel', label: 'Cancel', icon: 'fas fa-ban', className: 'btn-danger', from: ['pending', 'confirmed', 'checked-in'] }
+];
+
+const CANCELLATION_REASONS = {
+  'patient-request': 'Patient request',
+  'doctor-unavailable': 'Doctor unavailable',
+  'hospital-closure': 'Hospital closure',
+  rescheduled: 'Rescheduled',
+  duplicate: 'Duplicate booking',
+  other: 'Other'
+};
+
+const EMPTY_REPEAT = { frequency: '', interval: 1, ends: 'count', count: 4, until: '' };
+
+// "Every 2 weeks, 6 visits" for an appointment series' rule
+const describeRecurrence = ({ frequency, interval, count, until }) => {
+  const unit = frequency === 'weekly' ? 'week' : 'day';
+  const every = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+  return `${every}, ${count ? `${count} visits` : `until ${new Date(until).toLocaleDateString()}`}`;
+};
+
+const AppointmentStatusBadge = ({ status }) => (
+  <span className={`badge badge-${status}`}>{APPOINTMENT_STATUS_LABELS[status] || status}</span>
+);
+
+// A doctor's slots for one day; picking one passes its start time to onChange
+const SlotPicker = ({ doctorId, value, onChange, excludeId }) => {
+  const [date, setDate] = useState(toLocalDate(value || new Date()));
+  const [availability, setAvailability] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (doctorId && date) {
+      fetchAvailability();
+    } else {
+      setAvailability(null);
+    }
+  }, [doctorId, date]);
+
+  const fetchAvailability = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/doctors/${doctorId}/availability`, { params: { date, excludeId } });
+      setAvailability(response.data);
+    } catch (error) {
+      console.error('Error fetching availability:', error);
+      setError(error.response?.data?.message || 'Could not load free slots');
+    }
+    setLoading(false);
+  };
+
+  const handleDateChange = (e) => {
+    setDate(e.target.value);
+    onChange('');
+  };
+
+  const selected = value ? new Date(value).getTime() : null;
+  const selectedIsSlot = availability?.slots.some(slot => new Date(slot.start).getTime() === selected);
+
+  return (
+    <div>
+      <input type="date" value={date} min={toLocalDate(new Date())} onChange={handleDateChange} required />
+      {!doctorId ? (
+        <p className="slot-hint">Select a doctor to see free slots.</p>
+      ) : loading ? (
+        <p className="slot-hint">Loading free slots...</p>
+      ) : error ? (
+        <p className="slot-hint">{error}</p>
+      ) : availability && (
+        <>
+          {availability.leave.map(block => (
+            <p key={block.start} className="slot-hint">
+              <i className="fas fa-umbrella-beach"></i> {block.holiday ? `Hospital closed${block.reason ? ` (${block.reason})` : ''}` : 'Doctor on leave'}:
+              {' '}{new Date(block.start).toLocaleString()} – {new Date(block.end).toLocaleString()}
+            </p>
+          ))}
+          {availability.slots.length === 0 ? (
+            <p className="slot-hint">The doctor does not work on this day.</p>
+          ) : (
+            <div className="slot-grid">
+              {availability.slots.map(slot => (
+                <button
+                  type="button"
+                  key={slot.start}
+                  className={`slot ${new Date(slot.start).getTime() === selected ? 'selected' : ''}`}
+                  disabled={!slot.available}
+                  title={SLOT_REASONS[slot.reason]}
+                  onClick={() => onChange(slot.start)}
+                >
+                  {formatTime(slot.start)}
+                </button>
+              ))}
+            </div>
+          )}
+          <p className="slot-hint">
+            {availability.slotMinutes}-minute slots
+            {selected && !selectedIsSlot && ` · currently booked for ${new Date(value).toLocaleString()}`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Validation errors from a 422 response, as [{ field, message }]
+const getValidationErrors = (error) => {
+  return error.response?.status === 422 ? error.response.data.errors || [] : [];
+};
+
+// Mirrors the server's password rules so users know them before submitting
+const PasswordHint = () => (
+  <small style={{ display: 'block', color: '#6b7280', marginTop: '5px' }}>
+    At least 8 characters with letters and numbers, not containing your name or email
+  </small>
+);
+
+// Inline validation message shown under a form field
+const FieldError = ({ errors, field }) => {
+  const error = errors.find(e => e.field === field);
+  if (!error) return null;
+  return (
+    <div className="field-error">
+      <i className="fas fa-exclamation-circle"></i> {error.message}
+    </div>
+  );
+};
+
 // Protected Route Component
 const ProtectedRoute = ({ children, allowedRoles }) => {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -173,6 +589,11 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
     return <Navigate to="/login" />;
   }
 
+  // Roles that must use two-factor can only reach the profile until enrolled
+  if (user.twoFactorSetupRequired && location.pathname !== '/profile') {
+    return <Navigate to="/profile" />;
+  }
+
   if (allowedRoles && !allowedRoles.includes(user.role)) {
     return <Navigate to="/dashboard" />;
   }
@@ -491,341 +912,813 @@ const ReportsSidebar = ({ isOpen, onClose, onGenerateReport }) => {
 };
 
 // Profile Component with Avatar
-const Profile = () => {
-  const { user, updateProfile, uploadAvatar } = useAuth();
-  const [isEditing, setIsEditing] = useState(false);
-  const [formData, setFormData] = useState({
-    name: user?.name || '',
-    phone: user?.phone || ''
-  });
-  const [avatarFile, setAvatarFile] = useState(null);
-  const [avatarPreview, setAvatarPreview] = useState(null);
+// Password, email and deactivation forms, shown on the profile. Each asks
+// for the current password again.
+const AccountSettings = () => {
+  const { user, fetchUser, logout } = useAuth();
+  const [section, setSection] = useState(null);
+  const [formData, setFormData] = useState({});
+  const [formErrors, setFormErrors] = useState([]);
+  const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [message, setMessage] = useState('');
-  const [messageType, setMessageType] = useState('');
-  const fileInputRef = useRef(null);
-
-  useEffect(() => {
-    if (user) {
-      setFormData({
-        name: user.name || '',
-        phone: user.phone || ''
-      });
-    }
-  }, [user]);
 
-  const handleInputChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
-    });
+  const open = (name) => {
+    setSection(section === name ? null : name);
+    setFormData({});
+    setFormErrors([]);
+    setMessage(null);
   };
 
-  const handleAvatarChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) {
-        showMessage('File size must be less than 5MB', 'error');
-        return;
-      }
-      
-      setAvatarFile(file);
-      setAvatarPreview(URL.createObjectURL(file));
-    }
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
-  const handleAvatarUpload = async () => {
-    if (!avatarFile) return;
-    
+  const submit = async (request, onSuccess) => {
     setLoading(true);
-    const result = await uploadAvatar(avatarFile);
-    if (result.success) {
-      showMessage('Avatar updated successfully!', 'success');
-      setAvatarFile(null);
-      setAvatarPreview(null);
-    } else {
-      showMessage(result.message, 'error');
+    setFormErrors([]);
+    setMessage(null);
+    try {
+      const response = await request();
+      setSection(null);
+      setFormData({});
+      setMessage({ type: 'success', text: response.data.message });
+      if (onSuccess) await onSuccess();
+    } catch (error) {
+      setFormErrors(getValidationErrors(error));
+      // Field errors are shown next to their inputs
+      if (error.response?.status !== 422) {
+        setMessage({ type: 'error', text: error.response?.data?.message || 'Something went wrong' });
+      }
     }
     setLoading(false);
   };
 
-  const handleSubmit = async (e) => {
+  const handleChangePassword = (e) => {
     e.preventDefault();
-    setLoading(true);
-    
-    const result = await updateProfile(formData);
-    if (result.success) {
-      showMessage('Profile updated successfully!', 'success');
-      setIsEditing(false);
-    } else {
-      showMessage(result.message, 'error');
+    if (formData.newPassword !== formData.confirmPassword) {
+      setFormErrors([{ field: 'confirmPassword', message: 'Passwords do not match' }]);
+      return;
     }
-    setLoading(false);
+    submit(() => axios.post('/api/auth/change-password', {
+      currentPassword: formData.currentPassword,
+      newPassword: formData.newPassword
+    }));
   };
 
-  const showMessage = (msg, type) => {
-    setMessage(msg);
-    setMessageType(type);
-    setTimeout(() => {
-      setMessage('');
-      setMessageType('');
-    }, 3000);
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    submit(() => axios.post('/api/auth/change-email', {
+      email: formData.email,
+      password: formData.password
+    }), fetchUser);
   };
 
-  const getAvatarUrl = () => {
-    if (avatarPreview) return avatarPreview;
-    if (user?.avatar) return `http://localhost:5000${user.avatar}`;
-    return 'https://ui-avatars.com/api/?name=' + (user?.name || 'U').replace(/\s+/g, '+');
+  const handleCancelEmailChange = () => {
+    submit(() => axios.delete('/api/auth/change-email'), fetchUser);
   };
 
-  if (!user) return <Navigate to="/login" />;
+  const handleDeactivate = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Deactivate your account? You will be signed out and will need the hospital administration to reactivate it.')) {
+      return;
+    }
+    submit(() => axios.post('/api/auth/deactivate', { password: formData.password }), logout);
+  };
 
   return (
-    <div className="container">
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-circle"></i> My Profile</h1>
-        <button 
-          className="btn btn-primary" 
-          onClick={() => setIsEditing(!isEditing)}
-        >
-          <i className={`fas fa-${isEditing ? 'times' : 'edit'}`}></i> {isEditing ? 'Cancel' : 'Edit Profile'}
-        </button>
-      </div>
+    <div className="card">
+      <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-user-lock"></i> Account Security</h3>
 
       {message && (
-        <div className={`alert alert-${messageType}`}>
-          <i className={`fas fa-${messageType === 'success' ? 'check-circle' : 'exclamation-circle'}`}></i> {message}
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'}`}></i> {message.text}
         </div>
       )}
 
-      <div className="profile-header">
-        <div className="avatar-upload">
-          <label className="avatar-upload-label">
-            <img 
-              src={getAvatarUrl()} 
-              alt="Profile" 
-              className="avatar-large"
-            />
-            <div className="avatar-overlay">
-              <i className="fas fa-camera"></i>
-            </div>
-            <input 
-              type="file" 
-              accept="image/*" 
-              onChange={handleAvatarChange}
-              ref={fileInputRef}
-              style={{ display: 'none' }}
-            />
-          </label>
-        </div>
-        
-        <div>
-          <h2 style={{ color: '#667eea', marginBottom: '10px' }}>{user.name}</h2>
-          <p style={{ color: '#6b7280', marginBottom: '10px' }}>
-            <i className="fas fa-envelope"></i> {user.email}
-          </p>
-          <p style={{ color: '#6b7280', marginBottom: '10px' }}>
-            <i className="fas fa-user-tag"></i> {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
-          </p>
-          {user.phone && (
-            <p style={{ color: '#6b7280' }}>
-              <i className="fas fa-phone"></i> {user.phone}
-            </p>
-          )}
+      {user.pendingEmail && (
+        <div className="alert alert-warning">
+          <i className="fas fa-envelope"></i> Waiting for you to confirm <strong>{user.pendingEmail}</strong> from the link we emailed.{' '}
+          <button className="btn btn-secondary" onClick={handleCancelEmailChange} disabled={loading}>
+            Cancel change
+          </button>
         </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: section ? '20px' : 0 }}>
+        <button className="btn btn-primary" onClick={() => open('password')}>
+          <i className="fas fa-key"></i> Change Password
+        </button>
+        <button className="btn btn-info" onClick={() => open('email')}>
+          <i className="fas fa-at"></i> Change Email
+        </button>
+        <button className="btn btn-danger" onClick={() => open('deactivate')}>
+          <i className="fas fa-user-slash"></i> Deactivate Account
+        </button>
       </div>
 
-      {avatarFile && (
-        <div className="card" style={{ textAlign: 'center', marginBottom: '20px' }}>
-          <button 
-            className="btn btn-success" 
-            onClick={handleAvatarUpload}
-            disabled={loading}
-          >
-            {loading ? (
-              <>
-                <div className="spinner" style={{ width: '20px', height: '20px', border: '2px solid rgba(255,255,255,0.3)', borderTop: '2px solid white', marginRight: '10px' }}></div>
-                Uploading...
-              </>
-            ) : (
-              <>
-                <i className="fas fa-upload"></i> Save Avatar
-              </>
-            )}
+      {section === 'password' && (
+        <form onSubmit={handleChangePassword}>
+          <div className="form-group">
+            <label>Current Password *</label>
+            <input type="password" name="currentPassword" value={formData.currentPassword || ''} onChange={handleInputChange} required />
+            <FieldError errors={formErrors} field="currentPassword" />
+          </div>
+          <div className="form-group">
+            <label>New Password *</label>
+            <input type="password" name="newPassword" value={formData.newPassword || ''} onChange={handleInputChange} required />
+            <PasswordHint />
+            <FieldError errors={formErrors} field="newPassword" />
+          </div>
+          <div className="form-group">
+            <label>Confirm New Password *</label>
+            <input type="password" name="confirmPassword" value={formData.confirmPassword || ''} onChange={handleInputChange} required />
+            <FieldError errors={formErrors} field="confirmPassword" />
+          </div>
+          <p style={{ color: '#6b7280', marginBottom: '15px' }}>You will stay signed in here; your other devices will be signed out.</p>
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            <i className="fas fa-save"></i> {loading ? 'Saving...' : 'Change Password'}
           </button>
-        </div>
+        </form>
       )}
 
-      {isEditing ? (
-        <div className="card">
-          <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-user-edit"></i> Edit Profile</h3>
-          <form onSubmit={handleSubmit}>
-            <div className="form-group">
-              <label><i className="fas fa-user"></i> Full Name</label>
-              <input
-                type="text"
-                name="name"
-                value={formData.name}
-                onChange={handleInputChange}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label><i className="fas fa-phone"></i> Phone Number</label>
-              <input
-                type="tel"
-                name="phone"
-                value={formData.phone}
-                onChange={handleInputChange}
-              />
-            </div>
-            <button 
-              type="submit" 
-              className="btn btn-primary" 
-              style={{ width: '100%' }}
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <div className="spinner" style={{ width: '20px', height: '20px', border: '2px solid rgba(255,255,255,0.3)', borderTop: '2px solid white', marginRight: '10px' }}></div>
-                  Saving...
-                </>
-              ) : (
-                <>
-                  <i className="fas fa-save"></i> Save Changes
-                </>
-              )}
-            </button>
-          </form>
-        </div>
-      ) : (
-        <div className="card">
-          <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-info-circle"></i> Profile Information</h3>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
-            <div>
-              <h4 style={{ color: '#6b7280', marginBottom: '10px' }}>Personal Information</h4>
-              <p><strong>Name:</strong> {user.name}</p>
-              <p><strong>Email:</strong> {user.email}</p>
-              <p><strong>Phone:</strong> {user.phone || 'Not provided'}</p>
-            </div>
-            <div>
-              <h4 style={{ color: '#6b7280', marginBottom: '10px' }}>Account Information</h4>
-              <p><strong>Role:</strong> {user.role.charAt(0).toUpperCase() + user.role.slice(1)}</p>
-              <p><strong>Member Since:</strong> {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}</p>
-            </div>
+      {section === 'email' && (
+        <form onSubmit={handleChangeEmail}>
+          <div className="form-group">
+            <label>New Email *</label>
+            <input type="email" name="email" value={formData.email || ''} onChange={handleInputChange} required />
+            <FieldError errors={formErrors} field="email" />
           </div>
-        </div>
+          <div className="form-group">
+            <label>Current Password *</label>
+            <input type="password" name="password" value={formData.password || ''} onChange={handleInputChange} required />
+            <FieldError errors={formErrors} field="password" />
+          </div>
+          <p style={{ color: '#6b7280', marginBottom: '15px' }}>
+            We will email a confirmation link to the new address. Until it is confirmed you keep signing in with {user.email}.
+          </p>
+          <button type="submit" className="btn btn-info" disabled={loading}>
+            <i className="fas fa-paper-plane"></i> {loading ? 'Sending...' : 'Send Confirmation Link'}
+          </button>
+        </form>
+      )}
+
+      {section === 'deactivate' && (
+        <form onSubmit={handleDeactivate}>
+          <div className="alert alert-warning">
+            <i className="fas fa-exclamation-triangle"></i> Deactivating signs you out everywhere and blocks sign-in. Your records are kept, and the hospital administration can reactivate the account.
+          </div>
+          <div className="form-group">
+            <label>Current Password *</label>
+            <input type="password" name="password" value={formData.password || ''} onChange={handleInputChange} required />
+            <FieldError errors={formErrors} field="password" />
+          </div>
+          <button type="submit" className="btn btn-danger" disabled={loading}>
+            <i className="fas fa-user-slash"></i> Deactivate My Account
+          </button>
+        </form>
       )}
     </div>
   );
 };
 
-// Navigation Component with Scroll Effect
-const Navigation = () => {
-  const { user, logout, unreadNotifications } = useAuth();
-  const [showNotifications, setShowNotifications] = useState(false);
-  const [isScrolled, setIsScrolled] = useState(false);
-  const [showReports, setShowReports] = useState(false);
+const LOGIN_FAILURE_REASONS = {
+  'invalid-password': 'Wrong password',
+  'invalid-code': 'Wrong two-factor code',
+  'unknown-email': 'Unknown email',
+  locked: 'Account locked',
+  throttled: 'Too many attempts',
+  inactive: 'Account deactivated',
+  'not-approved': 'Awaiting approval'
+};
+
+// Sign-in attempts from /api/auth/login-history or /api/users/:id/login-history
+const LoginHistory = ({ url }) => {
+  const [attempts, setAttempts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const handleScroll = () => {
-      setIsScrolled(window.scrollY > 50);
+    const fetchAttempts = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(url, { params: { page, limit: 10 } });
+        setAttempts(response.data);
+        setTotal(getTotalCount(response));
+      } catch (error) {
+        console.error('Error fetching login history:', error);
+      }
+      setLoading(false);
     };
+    fetchAttempts();
+  }, [url, page]);
 
-    window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
 
-  if (!user) return null;
+  if (attempts.length === 0) {
+    return <p style={{ color: '#6b7280' }}>No sign-ins recorded yet.</p>;
+  }
 
-  const getNavLinks = () => {
-    switch (user.role) {
-      case 'admin':
-        return [
-          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
-          { path: '/patients', label: 'Patients', icon: 'fas fa-user-injured' },
-          { path: '/doctors', label: 'Doctors', icon: 'fas fa-user-md' },
-          { path: '/appointments', label: 'Appointments', icon: 'fas fa-calendar-check' },
-          { path: '/medical-records', label: 'Medical Records', icon: 'fas fa-file-medical' },
-          { path: '/billing', label: 'Billing', icon: 'fas fa-money-bill' },
-          { path: '/departments', label: 'Departments', icon: 'fas fa-building' },
-          { path: '/inventory', label: 'Inventory', icon: 'fas fa-boxes' }
-        ];
-      case 'doctor':
-        return [
-          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
-          { path: '/patients', label: 'Patients', icon: 'fas fa-user-injured' },
-          { path: '/appointments', label: 'My Appointments', icon: 'fas fa-calendar-check' },
-          { path: '/medical-records', label: 'Medical Records', icon: 'fas fa-file-medical' }
-        ];
-      case 'nurse':
-        return [
-          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
-          { path: '/patients', label: 'Patients', icon: 'fas fa-user-injured' },
-          { path: '/appointments', label: 'Appointments', icon: 'fas fa-calendar-check' }
-        ];
-      default:
-        return [
-          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
-          { path: '/appointments', label: 'My Appointments', icon: 'fas fa-calendar-check' },
-          { path: '/medical-records', label: 'My Records', icon: 'fas fa-file-medical' }
-        ];
+  return (
+    <>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Result</th>
+            <th>IP Address</th>
+            <th>Device</th>
+          </tr>
+        </thead>
+        <tbody>
+          {attempts.map(attempt => (
+            <tr key={attempt._id}>
+              <td>{new Date(attempt.createdAt).toLocaleString()}</td>
+              <td>
+                <span className={`badge ${attempt.success ? 'badge-completed' : 'badge-cancelled'}`}>
+                  {attempt.success ? 'Success' : LOGIN_FAILURE_REASONS[attempt.reason] || 'Failed'}
+                </span>
+              </td>
+              <td>{attempt.ip || 'Unknown'}</td>
+              <td style={{ fontSize: '0.85rem', color: '#6b7280', maxWidth: '300px' }}>{attempt.userAgent || 'Unknown'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <Pagination page={page} total={total} pageSize={10} onPageChange={setPage} />
+    </>
+  );
+};
+
+// Two-factor enrollment, backup codes and disabling, shown on the profile
+const TwoFactorSettings = () => {
+  const { user, fetchUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const startSetup = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not start setup');
+    }
+    setLoading(false);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code });
+      // The new access token is no longer limited to enrollment
+      saveTokens({ token: response.data.token, refreshToken: localStorage.getItem('refreshToken') });
+      setBackupCodes(response.data.backupCodes);
+      setSetup(null);
+      reset();
+      await fetchUser();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not enable two-factor authentication');
+    }
+    setLoading(false);
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/auth/2fa/backup-codes', { code });
+      setBackupCodes(response.data.backupCodes);
+      reset();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not generate backup codes');
+    }
+    setLoading(false);
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await axios.post('/api/auth/2fa/disable', { password, code });
+      setBackupCodes(null);
+      reset();
+      await fetchUser();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Could not disable two-factor authentication');
     }
+    setLoading(false);
   };
 
+  if (user.role === 'patient' && !user.twoFactorEnabled) {
+    return null;
+  }
+
   return (
-    <>
-      <header className={`header ${isScrolled ? 'scrolled' : ''}`}>
-        <div className="container navbar">
-          <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
-            <h2 style={{ margin: 0, fontSize: isScrolled ? '1.2rem' : '1.5rem' }}>
-              <i className="fas fa-hospital"></i> Rwanda Hospital
-            </h2>
+    <div className="card">
+      <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-shield-alt"></i> Two-Factor Authentication</h3>
+
+      {user.twoFactorSetupRequired && (
+        <div className="alert alert-warning">
+          <i className="fas fa-exclamation-triangle"></i> Your role requires two-factor authentication. Set it up to continue using the system.
+        </div>
+      )}
+
+      {error && (
+        <div className="alert alert-error">
+          <i className="fas fa-exclamation-circle"></i> {error}
+        </div>
+      )}
+
+      {backupCodes && (
+        <div className="alert alert-success">
+          <p style={{ marginBottom: '10px' }}>
+            <strong>Save these backup codes somewhere safe.</strong> Each can be used once to sign in if you lose your phone. They will not be shown again.
+          </p>
+          <div className="backup-codes">
+            {backupCodes.map(backupCode => <code key={backupCode}>{backupCode}</code>)}
           </div>
-          <nav className="nav-links">
-            {getNavLinks().map((link) => (
-              <Link key={link.path} to={link.path}>
-                <i className={link.icon}></i> {link.label}
-              </Link>
-            ))}
-            <Link to="/profile">
-              <i className="fas fa-user-circle"></i> Profile
-            </Link>
-            <div className="notification-badge" style={{ position: 'relative' }}>
-              <button 
-                className="btn btn-info" 
-                onClick={() => setShowNotifications(!showNotifications)}
-                style={{ minWidth: 'auto', padding: '10px 15px' }}
-              >
-                <i className="fas fa-bell"></i>
-                {unreadNotifications > 0 && (
-                  <span style={{
-                    position: 'absolute',
-                    top: '-5px',
-                    right: '-5px',
-                    background: '#ff416c',
-                    color: 'white',
-                    borderRadius: '50%',
-                    width: '20px',
-                    height: '20px',
-                    fontSize: '0.7rem',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontWeight: 'bold'
-                  }}>
-                    {unreadNotifications}
-                  </span>
-                )}
-              </button>
+          <button className="btn btn-secondary" style={{ marginTop: '10px' }} onClick={() => setBackupCodes(null)}>
+            I have saved them
+          </button>
+        </div>
+      )}
+
+      {!user.twoFactorEnabled && !setup && (
+        <>
+          <p style={{ color: '#6b7280', marginBottom: '15px' }}>
+            Protect your account with a code from an authenticator app such as Google Authenticator or Authy.
+          </p>
+          <button className="btn btn-primary" onClick={startSetup} disabled={loading}>
+            <i className="fas fa-qrcode"></i> Set Up Two-Factor
+          </button>
+        </>
+      )}
+
+      {!user.twoFactorEnabled && setup && (
+        <form onSubmit={handleEnable}>
+          <p style={{ color: '#6b7280', marginBottom: '15px' }}>
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <div style={{ textAlign: 'center', marginBottom: '15px' }}>
+            <img src={setup.qrCode} alt="Two-factor QR code" style={{ width: '200px', height: '200px' }} />
+            <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>
+              Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+            </p>
+          </div>
+          <div className="form-group">
+            <label><i className="fas fa-key"></i> Authentication Code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-success" disabled={loading}>
+            <i className="fas fa-check"></i> Enable
+          </button>
+          <button type="button" className="btn btn-secondary" style={{ marginLeft: '10px' }} onClick={() => { setSetup(null); reset(); }}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {user.twoFactorEnabled && !mode && (
+        <>
+          <p style={{ marginBottom: '15px' }}>
+            <span className="badge badge-completed">Enabled</span>
+          </p>
+          <button className="btn btn-secondary" onClick={() => setMode('regenerate')}>
+            <i className="fas fa-redo"></i> New Backup Codes
+          </button>
+          <button className="btn btn-danger" style={{ marginLeft: '10px' }} onClick={() => setMode('disable')}>
+            <i className="fas fa-times"></i> Disable
+          </button>
+        </>
+      )}
+
+      {user.twoFactorEnabled && mode && (
+        <form onSubmit={mode === 'disable' ? handleDisable : handleRegenerate}>
+          {mode === 'disable' && (
+            <div className="form-group">
+              <label><i className="fas fa-lock"></i> Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label><i className="fas fa-key"></i> Authentication Code</label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Code from your app or a backup code"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <button type="submit" className={`btn ${mode === 'disable' ? 'btn-danger' : 'btn-primary'}`} disabled={loading}>
+            {mode === 'disable' ? 'Disable Two-Factor' : 'Generate Codes'}
+          </button>
+          <button type="button" className="btn btn-secondary" style={{ marginLeft: '10px' }} onClick={reset}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const Profile = () => {
+  const { user, updateProfile, uploadAvatar } = useAuth();
+  const [isEditing, setIsEditing] = useState(false);
+  const [formData, setFormData] = useState({
+    name: user?.name || '',
+    phone: user?.phone || ''
+  });
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [messageType, setMessageType] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (user) {
+      setFormData({
+        name: user.name || '',
+        phone: user.phone || ''
+      });
+    }
+  }, [user]);
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (file.size > 5 * 1024 * 1024) {
+        showMessage('File size must be less than 5MB', 'error');
+        return;
+      }
+      
+      setAvatarFile(file);
+      setAvatarPreview(URL.createObjectURL(file));
+    }
+  };
+
+  const handleAvatarUpload = async () => {
+    if (!avatarFile) return;
+    
+    setLoading(true);
+    const result = await uploadAvatar(avatarFile);
+    if (result.success) {
+      showMessage('Avatar updated successfully!', 'success');
+      setAvatarFile(null);
+      setAvatarPreview(null);
+    } else {
+      showMessage(result.message, 'error');
+    }
+    setLoading(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setFormErrors([]);
+    
+    const result = await updateProfile(formData);
+    if (result.success) {
+      showMessage('Profile updated successfully!', 'success');
+      setIsEditing(false);
+    } else {
+      showMessage(result.message, 'error');
+      setFormErrors(result.errors || []);
+    }
+    setLoading(false);
+  };
+
+  const showMessage = (msg, type) => {
+    setMessage(msg);
+    setMessageType(type);
+    setTimeout(() => {
+      setMessage('');
+      setMessageType('');
+    }, 3000);
+  };
+
+  const getAvatarUrl = () => {
+    if (avatarPreview) return avatarPreview;
+    if (user?.avatar) return `http://localhost:5000${user.avatar}`;
+    return 'https://ui-avatars.com/api/?name=' + (user?.name || 'U').replace(/\s+/g, '+');
+  };
+
+  if (!user) return <Navigate to="/login" />;
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-circle"></i> My Profile</h1>
+        <button 
+          className="btn btn-primary" 
+          onClick={() => setIsEditing(!isEditing)}
+        >
+          <i className={`fas fa-${isEditing ? 'times' : 'edit'}`}></i> {isEditing ? 'Cancel' : 'Edit Profile'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`alert alert-${messageType}`}>
+          <i className={`fas fa-${messageType === 'success' ? 'check-circle' : 'exclamation-circle'}`}></i> {message}
+        </div>
+      )}
+
+      <div className="profile-header">
+        <div className="avatar-upload">
+          <label className="avatar-upload-label">
+            <img 
+              src={getAvatarUrl()} 
+              alt="Profile" 
+              className="avatar-large"
+            />
+            <div className="avatar-overlay">
+              <i className="fas fa-camera"></i>
+            </div>
+            <input 
+              type="file" 
+              accept="image/*" 
+              onChange={handleAvatarChange}
+              ref={fileInputRef}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+        
+        <div>
+          <h2 style={{ color: '#667eea', marginBottom: '10px' }}>{user.name}</h2>
+          <p style={{ color: '#6b7280', marginBottom: '10px' }}>
+            <i className="fas fa-envelope"></i> {user.email}
+          </p>
+          <p style={{ color: '#6b7280', marginBottom: '10px' }}>
+            <i className="fas fa-user-tag"></i> {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
+          </p>
+          {user.phone && (
+            <p style={{ color: '#6b7280' }}>
+              <i className="fas fa-phone"></i> {user.phone}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {avatarFile && (
+        <div className="card" style={{ textAlign: 'center', marginBottom: '20px' }}>
+          <button 
+            className="btn btn-success" 
+            onClick={handleAvatarUpload}
+            disabled={loading}
+          >
+            {loading ? (
+              <>
+                <div className="spinner" style={{ width: '20px', height: '20px', border: '2px solid rgba(255,255,255,0.3)', borderTop: '2px solid white', marginRight: '10px' }}></div>
+                Uploading...
+              </>
+            ) : (
+              <>
+                <i className="fas fa-upload"></i> Save Avatar
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {isEditing ? (
+        <div className="card">
+          <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-user-edit"></i> Edit Profile</h3>
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label><i className="fas fa-user"></i> Full Name</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                required
+              />
+              <FieldError errors={formErrors} field="name" />
+            </div>
+            <div className="form-group">
+              <label><i className="fas fa-phone"></i> Phone Number</label>
+              <input
+                type="tel"
+                name="phone"
+                value={formData.phone}
+                onChange={handleInputChange}
+              />
+              <FieldError errors={formErrors} field="phone" />
             </div>
             <button 
-              className="btn btn-success" 
-              onClick={() => setShowReports(true)}
-              style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              type="submit" 
+              className="btn btn-primary" 
+              style={{ width: '100%' }}
+              disabled={loading}
             >
-              <i className="fas fa-chart-bar"></i> Reports
+              {loading ? (
+                <>
+                  <div className="spinner" style={{ width: '20px', height: '20px', border: '2px solid rgba(255,255,255,0.3)', borderTop: '2px solid white', marginRight: '10px' }}></div>
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <i className="fas fa-save"></i> Save Changes
+                </>
+              )}
             </button>
+          </form>
+        </div>
+      ) : (
+        <div className="card">
+          <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-info-circle"></i> Profile Information</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
+            <div>
+              <h4 style={{ color: '#6b7280', marginBottom: '10px' }}>Personal Information</h4>
+              <p><strong>Name:</strong> {user.name}</p>
+              <p><strong>Email:</strong> {user.email}</p>
+              <p><strong>Phone:</strong> {user.phone || 'Not provided'}</p>
+            </div>
+            <div>
+              <h4 style={{ color: '#6b7280', marginBottom: '10px' }}>Account Information</h4>
+              <p><strong>Role:</strong> {user.role.charAt(0).toUpperCase() + user.role.slice(1)}</p>
+              <p><strong>Member Since:</strong> {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <AccountSettings />
+
+      <TwoFactorSettings />
+
+      <div className="card">
+        <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-history"></i> Recent Sign-ins</h3>
+        <p style={{ color: '#6b7280', marginBottom: '15px' }}>
+          If you see a sign-in you don't recognise, change your password.
+        </p>
+        <LoginHistory url="/api/auth/login-history" />
+      </div>
+    </div>
+  );
+};
+
+// Navigation Component with Scroll Effect
+const Navigation = () => {
+  const { user, logout, unreadNotifications } = useAuth();
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [isScrolled, setIsScrolled] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+
+  useEffect(() => {
+    const handleScroll = () => {
+      setIsScrolled(window.scrollY > 50);
+    };
+
+    window.addEventListener('scroll', handleScroll);
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, []);
+
+  if (!user) return null;
+
+  const getNavLinks = () => {
+    switch (user.role) {
+      case 'admin':
+        return [
+          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
+          { path: '/patients', label: 'Patients', icon: 'fas fa-user-injured' },
+          { path: '/doctors', label: 'Doctors', icon: 'fas fa-user-md' },
+          { path: '/appointments', label: 'Appointments', icon: 'fas fa-calendar-check' },
+          { path: '/medical-records', label: 'Medical Records', icon: 'fas fa-file-medical' },
+          { path: '/billing', label: 'Billing', icon: 'fas fa-money-bill' },
+          { path: '/departments', label: 'Departments', icon: 'fas fa-building' },
+          { path: '/inventory', label: 'Inventory', icon: 'fas fa-boxes' },
+          { path: '/scheduling', label: 'Scheduling', icon: 'fas fa-clock' },
+          { path: '/users', label: 'Users', icon: 'fas fa-users-cog' },
+          { path: '/audit-log', label: 'Audit Log', icon: 'fas fa-clipboard-list' },
+          { path: '/trash', label: 'Trash', icon: 'fas fa-trash-restore' }
+        ];
+      case 'doctor':
+        return [
+          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
+          { path: '/patients', label: 'My Patients', icon: 'fas fa-user-injured' },
+          { path: '/appointments', label: 'My Appointments', icon: 'fas fa-calendar-check' },
+          { path: '/schedule', label: 'My Schedule', icon: 'fas fa-clock' },
+          { path: '/medical-records', label: 'Medical Records', icon: 'fas fa-file-medical' }
+        ];
+      case 'nurse':
+        return [
+          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
+          { path: '/patients', label: 'Patients', icon: 'fas fa-user-injured' },
+          { path: '/appointments', label: 'Appointments', icon: 'fas fa-calendar-check' }
+        ];
+      default:
+        return [
+          { path: '/dashboard', label: 'Dashboard', icon: 'fas fa-home' },
+          { path: '/appointments', label: 'My Appointments', icon: 'fas fa-calendar-check' },
+          { path: '/book', label: 'Book Appointment', icon: 'fas fa-calendar-plus' },
+          { path: '/medical-records', label: 'My Records', icon: 'fas fa-file-medical' }
+        ];
+    }
+  };
+
+  return (
+    <>
+      <header className={`header ${isScrolled ? 'scrolled' : ''}`}>
+        <div className="container navbar">
+          <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
+            <h2 style={{ margin: 0, fontSize: isScrolled ? '1.2rem' : '1.5rem' }}>
+              <i className="fas fa-hospital"></i> Rwanda Hospital
+            </h2>
+          </div>
+          <nav className="nav-links">
+            {getNavLinks().map((link) => (
+              <Link key={link.path} to={link.path}>
+                <i className={link.icon}></i> {link.label}
+              </Link>
+            ))}
+            <Link to="/profile">
+              <i className="fas fa-user-circle"></i> Profile
+            </Link>
+            <div className="notification-badge" style={{ position: 'relative' }}>
+              <button 
+                className="btn btn-info" 
+                onClick={() => setShowNotifications(!showNotifications)}
+                style={{ minWidth: 'auto', padding: '10px 15px' }}
+              >
+                <i className="fas fa-bell"></i>
+                {unreadNotifications > 0 && (
+                  <span style={{
+                    position: 'absolute',
+                    top: '-5px',
+                    right: '-5px',
+                    background: '#ff416c',
+                    color: 'white',
+                    borderRadius: '50%',
+                    width: '20px',
+                    height: '20px',
+                    fontSize: '0.7rem',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontWeight: 'bold'
+                  }}>
+                    {unreadNotifications}
+                  </span>
+                )}
+              </button>
+            </div>
+            {user.role === 'admin' && (
+              <button 
+                className="btn btn-success" 
+                onClick={() => setShowReports(true)}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <i className="fas fa-chart-bar"></i> Reports
+              </button>
+            )}
             <button 
               className="btn btn-danger" 
               onClick={logout}
@@ -835,318 +1728,1063 @@ const Navigation = () => {
             </button>
           </nav>
         </div>
-        
-        {showNotifications && (
-          <div className="card" style={{ 
-            position: 'absolute', 
-            right: '20px', 
-            top: isScrolled ? '70px' : '90px', 
-            width: '350px', 
-            zIndex: 1000,
-            boxShadow: '0 20px 40px rgba(0,0,0,0.2)'
-          }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-              <h3><i className="fas fa-bell"></i> Notifications</h3>
-              <button className="close-btn" onClick={() => setShowNotifications(false)}>
+        
+        {showNotifications && (
+          <div className="card" style={{ 
+            position: 'absolute', 
+            right: '20px', 
+            top: isScrolled ? '70px' : '90px', 
+            width: '350px', 
+            zIndex: 1000,
+            boxShadow: '0 20px 40px rgba(0,0,0,0.2)'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+              <h3><i className="fas fa-bell"></i> Notifications</h3>
+              <button className="close-btn" onClick={() => setShowNotifications(false)}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+              {unreadNotifications === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '20px' }}>
+                  <i className="fas fa-check-circle" style={{ fontSize: '2rem', marginBottom: '10px', display: 'block' }}></i>
+                  No new notifications
+                </p>
+              ) : (
+                <ul style={{ listStyle: 'none', padding: 0 }}>
+                  {notifications.filter(n => !n.read).map(notification => (
+                    <li key={notification._id} style={{ 
+                      padding: '15px', 
+                      borderBottom: '1px solid #eee', 
+                      backgroundColor: notification.type === 'warning' ? '#fef3c7' : 
+                                     notification.type === 'error' ? '#fee2e2' : 
+                                     notification.type === 'success' ? '#d1fae5' : '#dbeafe'
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                        <div>
+                          <h4 style={{ margin: '0 0 5px 0', fontSize: '1rem' }}>{notification.title}</h4>
+                          <p style={{ margin: 0, fontSize: '0.9rem', color: '#6b7280' }}>{notification.message}</p>
+                          <small style={{ color: '#9ca3af' }}>
+                            {new Date(notification.createdAt).toLocaleDateString()}
+                          </small>
+                        </div>
+                        <button 
+                          className="btn btn-success" 
+                          onClick={() => useAuth().markNotificationAsRead(notification._id)}
+                          style={{ padding: '5px 10px', fontSize: '0.8rem' }}
+                        >
+                          <i className="fas fa-check"></i>
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </header>
+
+      <ReportsSidebar 
+        isOpen={showReports}
+        onClose={() => setShowReports(false)}
+        onGenerateReport={(type) => {
+          alert(`Export ${type} report functionality would be implemented here`);
+        }}
+      />
+    </>
+  );
+};
+
+// Reminder for self-registered users who have not confirmed their email yet
+const EmailVerificationBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const [message, setMessage] = useState('');
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    const result = await resendVerification();
+    setMessage(result.message);
+  };
+
+  return (
+    <div className="alert alert-warning">
+      <i className="fas fa-envelope"></i> Please confirm your email address using the link we sent to {user.email}.{' '}
+      {message || (
+        <button className="btn btn-info" onClick={handleResend} style={{ marginLeft: '10px', padding: '6px 12px' }}>
+          Resend email
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Dashboard Component
+const Dashboard = () => {
+  const [stats, setStats] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [myData, setMyData] = useState({ appointments: [], records: [], bills: [] });
+  const [linkData, setLinkData] = useState({ patientId: '', dateOfBirth: '', claimCode: '' });
+  const [linkError, setLinkError] = useState('');
+  const { user, linkPatientRecord } = useAuth();
+
+  useEffect(() => {
+    // Hospital-wide statistics are staff only
+    if (user?.role !== 'patient') {
+      fetchStats();
+    } else if (user.patientRef) {
+      fetchMyData();
+    } else {
+      setLoading(false);
+    }
+  }, [user?.patientRef]);
+
+  const fetchMyData = async () => {
+    try {
+      setLoading(true);
+      const [appointments, records, bills] = await Promise.all([
+        axios.get('/api/me/appointments'),
+        axios.get('/api/me/medical-records'),
+        axios.get('/api/me/bills')
+      ]);
+      setMyData({
+        appointments: appointments.data,
+        records: records.data,
+        bills: bills.data
+      });
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching patient data:', error);
+      setLoading(false);
+    }
+  };
+
+  const handleLinkChange = (e) => {
+    setLinkData({
+      ...linkData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleLinkSubmit = async (e) => {
+    e.preventDefault();
+    setLinkError('');
+    const payload = linkData.claimCode
+      ? { claimCode: linkData.claimCode }
+      : { patientId: linkData.patientId, dateOfBirth: linkData.dateOfBirth };
+    const result = await linkPatientRecord(payload);
+    if (!result.success) {
+      setLinkError(result.message);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const response = await axios.get('/api/dashboard/stats');
+      setStats(response.data);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      setLoading(false);
+    }
+  };
+
+  const renderAdminDashboard = () => (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-chart-line"></i> Admin Dashboard</h1>
+        <div className="btn btn-info">
+          <i className="fas fa-sync-alt"></i> Refresh Data
+        </div>
+      </div>
+      
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          <div className="dashboard-grid">
+            <div className="stat-card">
+              <i className="fas fa-user-injured" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
+              <h3>{stats.totalPatients || 0}</h3>
+              <p>Total Patients</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-user-md" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
+              <h3>{stats.totalDoctors || 0}</h3>
+              <p>Total Doctors</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-calendar-check" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
+              <h3>{stats.totalAppointments || 0}</h3>
+              <p>Total Appointments</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#ff416c' }}></i>
+              <h3>{stats.pendingAppointments || 0}</h3>
+              <p>Pending Appointments</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-box" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#2193b0' }}></i>
+              <h3>{stats.lowInventory || 0}</h3>
+              <p>Low Stock Items</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-exclamation-triangle" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#ff416c' }}></i>
+              <h3>{stats.outOfStock || 0}</h3>
+              <p>Out of Stock</p>
+            </div>
+          </div>
+          
+          <div className="chart-container">
+            <h3 className="chart-title"><i className="fas fa-chart-pie"></i> Hospital Overview</h3>
+            <div style={{ display: 'flex', justifyContent: 'space-around', alignItems: 'center', flexWrap: 'wrap', gap: '30px' }}>
+              <div style={{ textAlign: 'center' }}>
+                <div style={{ width: '150px', height: '150px', borderRadius: '50%', background: 'conic-gradient(#667eea 0% 40%, #11998e 40% 70%, #f09819 70% 100%)', margin: '0 auto 20px' }}></div>
+                <p>Appointments Distribution</p>
+              </div>
+              <div style={{ textAlign: 'center' }}>
+                <div style={{ width: '150px', height: '150px', borderRadius: '50%', background: 'conic-gradient(#11998e 0% 60%, #ff416c 60% 85%, #2193b0 85% 100%)', margin: '0 auto 20px' }}></div>
+                <p>Inventory Status</p>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  // Tallest bar of the weekly schedule chart
+  const weeklyMax = Math.max(0, ...(stats.weeklySchedule || []).map(day => day.count));
+
+  const renderDoctorDashboard = () => (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-stethoscope"></i> Doctor Dashboard</h1>
+        <div className="btn btn-info" onClick={fetchStats}>
+          <i className="fas fa-sync-alt"></i> Refresh Data
+        </div>
+      </div>
+
+      {!user.doctorRef && (
+        <div className="alert alert-error">
+          <i className="fas fa-exclamation-circle"></i> Your account is not linked to a doctor profile yet. Ask an administrator to link it.
+        </div>
+      )}
+      
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          <div className="dashboard-grid">
+            <div className="stat-card">
+              <i className="fas fa-user-injured" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
+              <h3>{stats.totalPatients || 0}</h3>
+              <p>Your Patients</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-calendar-check" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
+              <h3>{stats.completedToday || 0} / {stats.todayAppointments || 0}</h3>
+              <p>Completed Today</p>
+            </div>
+            <div className="stat-card">
+              <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
+              <h3>{stats.pendingAppointments || 0}</h3>
+              <p>Pending Appointments</p>
+            </div>
+          </div>
+          
+          <div className="chart-container">
+            <h3 className="chart-title"><i className="fas fa-calendar-alt"></i> Weekly Schedule</h3>
+            <div style={{ height: '200px', display: 'flex', alignItems: 'flex-end', justifyContent: 'space-around', gap: '10px', padding: '20px' }}>
+              {(stats.weeklySchedule || []).map(({ date, count }, index) => (
+                <div key={date} title={`${new Date(date).toLocaleDateString()}: ${count} appointment(s)`} style={{ 
+                  height: `${weeklyMax ? Math.max((count / weeklyMax) * 100, 2) : 2}%`, 
+                  width: '40px', 
+                  backgroundColor: '#667eea', 
+                  borderRadius: '5px 5px 0 0',
+                  position: 'relative',
+                  animation: 'float 3s ease-in-out infinite',
+                  animationDelay: `${index * 0.2}s`
+                }}>
+                  <div style={{ 
+                    position: 'absolute', 
+                    bottom: '-25px', 
+                    left: '50%', 
+                    transform: 'translateX(-50%)',
+                    fontSize: '0.8rem',
+                    color: '#6b7280'
+                  }}>
+                    {new Date(date).toLocaleDateString(undefined, { weekday: 'narrow' })}
+                  </div>
+                  <div style={{ 
+                    position: 'absolute', 
+                    top: '-20px', 
+                    left: '50%', 
+                    transform: 'translateX(-50%)',
+                    fontSize: '0.8rem',
+                    color: '#374151'
+                  }}>
+                    {count}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  const renderLinkPatientForm = () => (
+    <div className="card">
+      <h3 style={{ color: '#667eea', marginBottom: '15px' }}><i className="fas fa-link"></i> Link Your Patient Record</h3>
+      <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+        Enter your hospital patient ID and date of birth, or the claim code given to you at the front desk.
+      </p>
+      {linkError && (
+        <div className="alert alert-error">
+          <i className="fas fa-exclamation-circle"></i> {linkError}
+        </div>
+      )}
+      <form onSubmit={handleLinkSubmit}>
+        <div className="form-group">
+          <label>Patient ID</label>
+          <input
+            type="text"
+            name="patientId"
+            value={linkData.patientId}
+            onChange={handleLinkChange}
+          />
+        </div>
+        <div className="form-group">
+          <label>Date of Birth</label>
+          <input
+            type="date"
+            name="dateOfBirth"
+            value={linkData.dateOfBirth}
+            onChange={handleLinkChange}
+          />
+        </div>
+        <div className="form-group">
+          <label>Or Claim Code</label>
+          <input
+            type="text"
+            name="claimCode"
+            value={linkData.claimCode}
+            onChange={handleLinkChange}
+            placeholder="e.g., 3FA9C21B"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+          <i className="fas fa-link"></i> Link Record
+        </button>
+      </form>
+    </div>
+  );
+
+  const renderPatientDashboard = () => {
+    const nextAppointment = myData.appointments
+      .filter(a => new Date(a.appointmentDate) >= new Date() && ['pending', 'confirmed'].includes(a.status))
+      .sort((a, b) => new Date(a.appointmentDate) - new Date(b.appointmentDate))[0];
+    const unpaidBills = myData.bills.filter(b => b.status !== 'paid');
+    const amountDue = unpaidBills.reduce((sum, bill) => sum + (bill.amount || 0), 0);
+
+    return (
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+          <h1 style={{ color: '#667eea' }}><i className="fas fa-user"></i> Patient Dashboard</h1>
+        </div>
+
+        {!user.patientRef ? renderLinkPatientForm() : loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <div className="dashboard-grid">
+            <div className="card" style={{ textAlign: 'center' }}>
+              <i className="fas fa-calendar-check" style={{ fontSize: '3rem', color: '#667eea', marginBottom: '20px' }}></i>
+              <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Next Appointment</h3>
+              <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+                {nextAppointment
+                  ? new Date(nextAppointment.appointmentDate).toLocaleString()
+                  : 'No upcoming appointments'}
+              </p>
+              <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                <Link to="/book" className="btn btn-primary">
+                  <i className="fas fa-calendar-plus"></i> Book Appointment
+                </Link>
+                <Link to="/appointments" className="btn btn-secondary">
+                  <i className="fas fa-calendar-alt"></i> My Appointments
+                </Link>
+              </div>
+            </div>
+
+            <div className="card" style={{ textAlign: 'center' }}>
+              <i className="fas fa-file-medical" style={{ fontSize: '3rem', color: '#11998e', marginBottom: '20px' }}></i>
+              <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Medical Records</h3>
+              <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+                {myData.records.length} {myData.records.length === 1 ? 'record' : 'records'} available
+              </p>
+              <Link to="/medical-records" className="btn btn-info">
+                <i className="fas fa-eye"></i> View Records
+              </Link>
+            </div>
+
+            <div className="card" style={{ textAlign: 'center' }}>
+              <i className="fas fa-file-invoice" style={{ fontSize: '3rem', color: '#f09819', marginBottom: '20px' }}></i>
+              <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Bills</h3>
+              <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+                {unpaidBills.length > 0
+                  ? `RWF ${amountDue.toLocaleString()} due on ${unpaidBills.length} ${unpaidBills.length === 1 ? 'bill' : 'bills'}`
+                  : 'No outstanding bills'}
+              </p>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderDashboard = () => {
+    switch (user?.role) {
+      case 'admin':
+        return renderAdminDashboard();
+      case 'doctor':
+        return renderDoctorDashboard();
+      case 'nurse':
+        return renderAdminDashboard();
+      default:
+        return renderPatientDashboard();
+    }
+  };
+
+  return (
+    <div className="container">
+      <EmailVerificationBanner />
+      {renderDashboard()}
+    </div>
+  );
+};
+
+// Departments Component
+const Departments = () => {
+  const [departments, setDepartments] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingDepartment, setEditingDepartment] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    headDoctor: '',
+    staffCount: ''
+  });
+
+  useEffect(() => {
+    fetchDepartments();
+  }, []);
+
+  const fetchDepartments = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/departments');
+      setDepartments(response.data);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching departments:', error);
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    try {
+      if (editingDepartment) {
+        await axios.put(`/api/departments/${editingDepartment._id}`, formData);
+      } else {
+        await axios.post('/api/departments', formData);
+      }
+      fetchDepartments();
+      setShowModal(false);
+      resetForm();
+    } catch (error) {
+      console.error('Error saving department:', error);
+      setFormErrors(getValidationErrors(error));
+    }
+  };
+
+  const handleEdit = (department) => {
+    setEditingDepartment(department);
+    setFormData({
+      name: department.name || '',
+      description: department.description || '',
+      headDoctor: department.headDoctor || '',
+      staffCount: department.staffCount || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Move this department to the trash?')) {
+      try {
+        await axios.delete(`/api/departments/${id}`);
+        fetchDepartments();
+      } catch (error) {
+        console.error('Error deleting department:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
+      }
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({
+      name: '',
+      description: '',
+      headDoctor: '',
+      staffCount: ''
+    });
+    setEditingDepartment(null);
+    setFormErrors([]);
+  };
+
+  const filteredDepartments = departments.filter(department =>
+    department.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    department.description?.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-building"></i> Departments</h1>
+        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+          <i className="fas fa-plus"></i> Add Department
+        </button>
+      </div>
+
+      <div className="search-bar">
+        <i className="fas fa-search"></i>
+        <input
+          type="text"
+          placeholder="Search departments..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Department Name</th>
+                <th>Description</th>
+                <th>Head Doctor</th>
+                <th>Staff Count</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredDepartments.map((department) => (
+                <tr key={department._id}>
+                  <td><strong>{department.name}</strong></td>
+                  <td>{department.description}</td>
+                  <td>{department.headDoctor}</td>
+                  <td>{department.staffCount}</td>
+                  <td>
+                    <button
+                      className="btn btn-warning"
+                      onClick={() => handleEdit(department)}
+                      style={{ marginRight: '10px' }}
+                    >
+                      <i className="fas fa-edit"></i>
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleDelete(department._id)}
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h2>{editingDepartment ? 'Edit Department' : 'Add New Department'}</h2>
+              <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
             </div>
-            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
-              {unreadNotifications === 0 ? (
-                <p style={{ textAlign: 'center', color: '#6b7280', padding: '20px' }}>
-                  <i className="fas fa-check-circle" style={{ fontSize: '2rem', marginBottom: '10px', display: 'block' }}></i>
-                  No new notifications
-                </p>
-              ) : (
-                <ul style={{ listStyle: 'none', padding: 0 }}>
-                  {notifications.filter(n => !n.read).map(notification => (
-                    <li key={notification._id} style={{ 
-                      padding: '15px', 
-                      borderBottom: '1px solid #eee', 
-                      backgroundColor: notification.type === 'warning' ? '#fef3c7' : 
-                                     notification.type === 'error' ? '#fee2e2' : 
-                                     notification.type === 'success' ? '#d1fae5' : '#dbeafe'
-                    }}>
-                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-                        <div>
-                          <h4 style={{ margin: '0 0 5px 0', fontSize: '1rem' }}>{notification.title}</h4>
-                          <p style={{ margin: 0, fontSize: '0.9rem', color: '#6b7280' }}>{notification.message}</p>
-                          <small style={{ color: '#9ca3af' }}>
-                            {new Date(notification.createdAt).toLocaleDateString()}
-                          </small>
-                        </div>
-                        <button 
-                          className="btn btn-success" 
-                          onClick={() => useAuth().markNotificationAsRead(notification._id)}
-                          style={{ padding: '5px 10px', fontSize: '0.8rem' }}
-                        >
-                          <i className="fas fa-check"></i>
-                        </button>
-                      </div>
-                    </li>
-                  ))}
-                </ul>
-              )}
-            </div>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Department Name *</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="name" />
+              </div>
+              <div className="form-group">
+                <label>Description *</label>
+                <textarea
+                  name="description"
+                  value={formData.description}
+                  onChange={handleInputChange}
+                  rows="3"
+                  required
+                ></textarea>
+                <FieldError errors={formErrors} field="description" />
+              </div>
+              <div className="form-group">
+                <label>Head Doctor</label>
+                <input
+                  type="text"
+                  name="headDoctor"
+                  value={formData.headDoctor}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="headDoctor" />
+              </div>
+              <div className="form-group">
+                <label>Staff Count</label>
+                <input
+                  type="number"
+                  name="staffCount"
+                  value={formData.staffCount}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="staffCount" />
+              </div>
+              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                {editingDepartment ? 'Update Department' : 'Add Department'}
+              </button>
+            </form>
           </div>
-        )}
-      </header>
-
-      <ReportsSidebar 
-        isOpen={showReports}
-        onClose={() => setShowReports(false)}
-        onGenerateReport={(type) => {
-          alert(`Export ${type} report functionality would be implemented here`);
-        }}
-      />
-    </>
+        </div>
+      )}
+    </div>
   );
 };
 
-// Dashboard Component
-const Dashboard = () => {
-  const [stats, setStats] = useState({});
+// Inventory Component
+const Inventory = () => {
+  const [inventory, setInventory] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [summary, setSummary] = useState({});
   const [loading, setLoading] = useState(true);
-  const { user } = useAuth();
+  const [formErrors, setFormErrors] = useState([]);
+  const [formData, setFormData] = useState({
+    itemName: '',
+    category: '',
+    quantity: '',
+    unitPrice: '',
+    supplier: '',
+    expiryDate: '',
+    status: 'available'
+  });
+
+  useEffect(() => {
+    fetchInventory();
+  }, [page, debouncedSearch, statusFilter]);
 
   useEffect(() => {
-    fetchStats();
+    fetchSummary();
   }, []);
 
-  const fetchStats = async () => {
+  const fetchInventory = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/inventory', {
+        params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined, status: statusFilter || undefined }
+      });
+      setInventory(response.data);
+      setTotal(getTotalCount(response));
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching inventory:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchSummary = async () => {
+    try {
+      const response = await axios.get('/api/inventory/summary');
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Error fetching inventory summary:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
     try {
-      const response = await axios.get('/api/dashboard/stats');
-      setStats(response.data);
-      setLoading(false);
+      if (editingItem) {
+        await axios.put(`/api/inventory/${editingItem._id}`, formData);
+      } else {
+        await axios.post('/api/inventory', formData);
+      }
+      fetchInventory();
+      fetchSummary();
+      setShowModal(false);
+      resetForm();
     } catch (error) {
-      console.error('Error fetching stats:', error);
-      setLoading(false);
+      console.error('Error saving inventory item:', error);
+      setFormErrors(getValidationErrors(error));
     }
   };
 
-  const renderAdminDashboard = () => (
-    <div>
+  const handleEdit = (item) => {
+    setEditingItem(item);
+    setFormData({
+      itemName: item.itemName || '',
+      category: item.category || '',
+      quantity: item.quantity || '',
+      unitPrice: item.unitPrice || '',
+      supplier: item.supplier || '',
+      expiryDate: item.expiryDate ? item.expiryDate.split('T')[0] : '',
+      status: item.status || 'available'
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Move this inventory item to the trash?')) {
+      try {
+        await axios.delete(`/api/inventory/${id}`);
+        fetchInventory();
+        fetchSummary();
+      } catch (error) {
+        console.error('Error deleting inventory item:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
+      }
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({
+      itemName: '',
+      category: '',
+      quantity: '',
+      unitPrice: '',
+      supplier: '',
+      expiryDate: '',
+      status: 'available'
+    });
+    setEditingItem(null);
+    setFormErrors([]);
+  };
+
+  const getStatusBadge = (status) => {
+    const statusClasses = {
+      available: 'badge-available',
+      low: 'badge-low',
+      out: 'badge-out'
+    };
+    return (
+      <span className={`badge ${statusClasses[status]}`}>
+        {status.charAt(0).toUpperCase() + status.slice(1)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-chart-line"></i> Admin Dashboard</h1>
-        <div className="btn btn-info">
-          <i className="fas fa-sync-alt"></i> Refresh Data
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-boxes"></i> Inventory Management</h1>
+        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+          <i className="fas fa-plus"></i> Add Item
+        </button>
+      </div>
+
+      <div className="dashboard-grid">
+        <div className="stat-card">
+          <h3>RWF {(summary.totalValue || 0).toLocaleString()}</h3>
+          <p>Total Inventory Value</p>
+        </div>
+        <div className="stat-card">
+          <h3>{summary.available || 0}</h3>
+          <p>Available Items</p>
+        </div>
+        <div className="stat-card">
+          <h3>{summary.low || 0}</h3>
+          <p>Low Stock Items</p>
+        </div>
+        <div className="stat-card">
+          <h3>{summary.out || 0}</h3>
+          <p>Out of Stock</p>
         </div>
       </div>
-      
+
+      <div className="search-bar with-filter">
+        <i className="fas fa-search"></i>
+        <input
+          type="text"
+          placeholder="Search inventory..."
+          value={searchTerm}
+          onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
+        />
+        <select
+          value={statusFilter}
+          onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
+        >
+          <option value="">All Statuses</option>
+          <option value="available">Available</option>
+          <option value="low">Low Stock</option>
+          <option value="out">Out of Stock</option>
+        </select>
+      </div>
+
       {loading ? (
         <div className="loading">
           <div className="spinner"></div>
         </div>
       ) : (
-        <>
-          <div className="dashboard-grid">
-            <div className="stat-card">
-              <i className="fas fa-user-injured" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
-              <h3>{stats.totalPatients || 0}</h3>
-              <p>Total Patients</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-user-md" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
-              <h3>{stats.totalDoctors || 0}</h3>
-              <p>Total Doctors</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-calendar-check" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
-              <h3>{stats.totalAppointments || 0}</h3>
-              <p>Total Appointments</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#ff416c' }}></i>
-              <h3>{stats.pendingAppointments || 0}</h3>
-              <p>Pending Appointments</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-box" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#2193b0' }}></i>
-              <h3>{stats.lowInventory || 0}</h3>
-              <p>Low Stock Items</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-exclamation-triangle" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#ff416c' }}></i>
-              <h3>{stats.outOfStock || 0}</h3>
-              <p>Out of Stock</p>
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Item Name</th>
+                <th>Category</th>
+                <th>Quantity</th>
+                <th>Unit Price</th>
+                <th>Supplier</th>
+                <th>Expiry Date</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {inventory.map((item) => (
+                <tr key={item._id}>
+                  <td><strong>{item.itemName}</strong></td>
+                  <td>{item.category}</td>
+                  <td>{item.quantity}</td>
+                  <td>RWF {item.unitPrice?.toLocaleString()}</td>
+                  <td>{item.supplier}</td>
+                  <td>{item.expiryDate ? new Date(item.expiryDate).toLocaleDateString() : 'N/A'}</td>
+                  <td>{getStatusBadge(item.status)}</td>
+                  <td>
+                    <button
+                      className="btn btn-warning"
+                      onClick={() => handleEdit(item)}
+                      style={{ marginRight: '10px' }}
+                    >
+                      <i className="fas fa-edit"></i>
+                    </button>
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleDelete(item._id)}
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h2>{editingItem ? 'Edit Inventory Item' : 'Add New Inventory Item'}</h2>
+              <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
+                <i className="fas fa-times"></i>
+              </button>
             </div>
-          </div>
-          
-          <div className="chart-container">
-            <h3 className="chart-title"><i className="fas fa-chart-pie"></i> Hospital Overview</h3>
-            <div style={{ display: 'flex', justifyContent: 'space-around', alignItems: 'center', flexWrap: 'wrap', gap: '30px' }}>
-              <div style={{ textAlign: 'center' }}>
-                <div style={{ width: '150px', height: '150px', borderRadius: '50%', background: 'conic-gradient(#667eea 0% 40%, #11998e 40% 70%, #f09819 70% 100%)', margin: '0 auto 20px' }}></div>
-                <p>Appointments Distribution</p>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Item Name *</label>
+                <input
+                  type="text"
+                  name="itemName"
+                  value={formData.itemName}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="itemName" />
               </div>
-              <div style={{ textAlign: 'center' }}>
-                <div style={{ width: '150px', height: '150px', borderRadius: '50%', background: 'conic-gradient(#11998e 0% 60%, #ff416c 60% 85%, #2193b0 85% 100%)', margin: '0 auto 20px' }}></div>
-                <p>Inventory Status</p>
+              <div className="form-group">
+                <label>Category *</label>
+                <input
+                  type="text"
+                  name="category"
+                  value={formData.category}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="category" />
+              </div>
+              <div className="form-group">
+                <label>Quantity *</label>
+                <input
+                  type="number"
+                  name="quantity"
+                  value={formData.quantity}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="quantity" />
+              </div>
+              <div className="form-group">
+                <label>Unit Price (RWF) *</label>
+                <input
+                  type="number"
+                  name="unitPrice"
+                  value={formData.unitPrice}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="unitPrice" />
+              </div>
+              <div className="form-group">
+                <label>Supplier</label>
+                <input
+                  type="text"
+                  name="supplier"
+                  value={formData.supplier}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="supplier" />
+              </div>
+              <div className="form-group">
+                <label>Expiry Date</label>
+                <input
+                  type="date"
+                  name="expiryDate"
+                  value={formData.expiryDate}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="expiryDate" />
               </div>
-            </div>
+              <div className="form-group">
+                <label>Status</label>
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                >
+                  <option value="available">Available</option>
+                  <option value="low">Low Stock</option>
+                  <option value="out">Out of Stock</option>
+                </select>
+                <FieldError errors={formErrors} field="status" />
+              </div>
+              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                {editingItem ? 'Update Item' : 'Add Item'}
+              </button>
+            </form>
           </div>
-        </>
-      )}
-    </div>
-  );
-
-  const renderDoctorDashboard = () => (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-stethoscope"></i> Doctor Dashboard</h1>
-        <div className="btn btn-info">
-          <i className="fas fa-sync-alt"></i> Refresh Data
-        </div>
-      </div>
-      
-      {loading ? (
-        <div className="loading">
-          <div className="spinner"></div>
         </div>
-      ) : (
-        <>
-          <div className="dashboard-grid">
-            <div className="stat-card">
-              <i className="fas fa-user-injured" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
-              <h3>{stats.totalPatients || 0}</h3>
-              <p>Your Patients</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-calendar-check" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
-              <h3>{stats.completedAppointments || 0}</h3>
-              <p>Completed Today</p>
-            </div>
-            <div className="stat-card">
-              <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
-              <h3>{stats.pendingAppointments || 0}</h3>
-              <p>Pending Appointments</p>
-            </div>
-          </div>
-          
-          <div className="chart-container">
-            <h3 className="chart-title"><i className="fas fa-calendar-alt"></i> Weekly Schedule</h3>
-            <div style={{ height: '200px', display: 'flex', alignItems: 'flex-end', justifyContent: 'space-around', gap: '10px', padding: '20px' }}>
-              {[65, 80, 45, 90, 70, 85, 60].map((height, index) => (
-                <div key={index} style={{ 
-                  height: `${height}%`, 
-                  width: '40px', 
-                  backgroundColor: '#667eea', 
-                  borderRadius: '5px 5px 0 0',
-                  position: 'relative',
-                  animation: 'float 3s ease-in-out infinite',
-                  animationDelay: `${index * 0.2}s`
-                }}>
-                  <div style={{ 
-                    position: 'absolute', 
-                    bottom: '-25px', 
-                    left: '50%', 
-                    transform: 'translateX(-50%)',
-                    fontSize: '0.8rem',
-                    color: '#6b7280'
-                  }}>
-                    {['M', 'T', 'W', 'T', 'F', 'S', 'S'][index]}
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
-        </>
       )}
     </div>
   );
+};
 
-  const renderPatientDashboard = () => (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-user"></i> Patient Dashboard</h1>
-      </div>
-      
-      <div className="dashboard-grid">
-        <div className="card" style={{ textAlign: 'center' }}>
-          <i className="fas fa-heartbeat" style={{ fontSize: '3rem', color: '#ff416c', marginBottom: '20px' }}></i>
-          <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Health Status</h3>
-          <p style={{ color: '#6b7280', marginBottom: '20px' }}>Your health records are up to date</p>
-          <div className="btn btn-success">
-            <i className="fas fa-plus-circle"></i> Add Health Data
-          </div>
-        </div>
-        
-        <div className="card" style={{ textAlign: 'center' }}>
-          <i className="fas fa-calendar-check" style={{ fontSize: '3rem', color: '#667eea', marginBottom: '20px' }}></i>
-          <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Next Appointment</h3>
-          <p style={{ color: '#6b7280', marginBottom: '20px' }}>No upcoming appointments</p>
-          <div className="btn btn-primary">
-            <i className="fas fa-calendar-plus"></i> Book Appointment
-          </div>
-        </div>
-        
-        <div className="card" style={{ textAlign: 'center' }}>
-          <i className="fas fa-file-medical" style={{ fontSize: '3rem', color: '#11998e', marginBottom: '20px' }}></i>
-          <h3 style={{ color: '#667eea', marginBottom: '15px' }}>Medical Records</h3>
-          <p style={{ color: '#6b7280', marginBottom: '20px' }}>5 records available</p>
-          <div className="btn btn-info">
-            <i className="fas fa-eye"></i> View Records
-          </div>
-        </div>
-      </div>
-      
-      <div className="card">
-        <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-bell"></i> Recent Notifications</h3>
-        <div style={{ padding: '20px', backgroundColor: '#f8f9fa', borderRadius: '10px' }}>
-          <p style={{ margin: 0, color: '#6b7280' }}>
-            <i className="fas fa-info-circle"></i> Welcome to Rwanda Hospital Management System! Your account has been successfully created.
-          </p>
-        </div>
-      </div>
-    </div>
-  );
-
-  const renderDashboard = () => {
-    switch (user?.role) {
-      case 'admin':
-        return renderAdminDashboard();
-      case 'doctor':
-        return renderDoctorDashboard();
-      case 'nurse':
-        return renderAdminDashboard();
-      default:
-        return renderPatientDashboard();
-    }
-  };
+// Missed appointments out of those the patient was expected at; frequent
+// no-shows are highlighted so staff can follow up before booking again
+const NO_SHOW_WARNING_RATE = 30;
 
+const NoShowBadge = ({ attendance }) => {
+  if (!attendance?.noShows) {
+    return <span style={{ color: '#9ca3af' }}>0</span>;
+  }
+  const title = `${attendance.noShows} of ${attendance.expected} appointment(s) missed` +
+    (attendance.lastNoShowAt ? `, last on ${new Date(attendance.lastNoShowAt).toLocaleDateString()}` : '');
   return (
-    <div className="container">
-      {renderDashboard()}
-    </div>
+    <span className={`badge ${attendance.noShowRate >= NO_SHOW_WARNING_RATE ? 'badge-no-show' : 'badge-pending'}`} title={title}>
+      {attendance.noShows} ({attendance.noShowRate}%)
+    </span>
   );
 };
 
-// Departments Component
-const Departments = () => {
-  const [departments, setDepartments] = useState([]);
+// Patients Component (Updated)
+const Patients = () => {
+  const [patients, setPatients] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingDepartment, setEditingDepartment] = useState(null);
+  const [editingPatient, setEditingPatient] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
   const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    headDoctor: '',
-    staffCount: ''
+    firstName: '',
+    lastName: '',
+    nationalId: '',
+    dateOfBirth: '',
+    gender: '',
+    phone: '',
+    email: '',
+    address: '',
+    emergencyContact: '',
+    medicalHistory: '',
+    bloodType: '',
+    allergies: ''
   });
+  const { user } = useAuth();
+  const isDoctor = user?.role === 'doctor';
 
   useEffect(() => {
-    fetchDepartments();
-  }, []);
+    fetchPatients();
+  }, [page, debouncedSearch]);
 
-  const fetchDepartments = async () => {
+  const fetchPatients = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/departments');
-      setDepartments(response.data);
+      const response = await axios.get(isDoctor ? '/api/me/patients' : '/api/patients', {
+        params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined }
+      });
+      setPatients(response.data);
+      setTotal(getTotalCount(response));
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching departments:', error);
+      console.error('Error fetching patients:', error);
       setLoading(false);
     }
   };
@@ -1160,73 +2798,107 @@ const Departments = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFormErrors([]);
     try {
-      if (editingDepartment) {
-        await axios.put(`/api/departments/${editingDepartment._id}`, formData);
+      if (editingPatient) {
+        await axios.put(`/api/patients/${editingPatient._id}`, formData);
       } else {
-        await axios.post('/api/departments', formData);
+        await axios.post('/api/patients', formData);
       }
-      fetchDepartments();
+      fetchPatients();
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving department:', error);
+      console.error('Error saving patient:', error);
+      setFormErrors(getValidationErrors(error));
     }
   };
 
-  const handleEdit = (department) => {
-    setEditingDepartment(department);
+  const handleEdit = (patient) => {
+    setEditingPatient(patient);
     setFormData({
-      name: department.name || '',
-      description: department.description || '',
-      headDoctor: department.headDoctor || '',
-      staffCount: department.staffCount || ''
+      firstName: patient.firstName || '',
+      lastName: patient.lastName || '',
+      nationalId: patient.nationalId || '',
+      dateOfBirth: patient.dateOfBirth ? patient.dateOfBirth.split('T')[0] : '',
+      gender: patient.gender || '',
+      phone: patient.phone || '',
+      email: patient.email || '',
+      address: patient.address || '',
+      emergencyContact: patient.emergencyContact || '',
+      medicalHistory: patient.medicalHistory || '',
+      bloodType: patient.bloodType || '',
+      allergies: patient.allergies || ''
     });
     setShowModal(true);
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this department?')) {
+    if (window.confirm('Move this patient to the trash? Their appointments, medical records and bills go with them.')) {
       try {
-        await axios.delete(`/api/departments/${id}`);
-        fetchDepartments();
+        await axios.delete(`/api/patients/${id}`);
+        fetchPatients();
       } catch (error) {
-        console.error('Error deleting department:', error);
+        console.error('Error deleting patient:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
       }
     }
   };
 
   const resetForm = () => {
     setFormData({
-      name: '',
-      description: '',
-      headDoctor: '',
-      staffCount: ''
+      firstName: '',
+      lastName: '',
+      nationalId: '',
+      dateOfBirth: '',
+      gender: '',
+      phone: '',
+      email: '',
+      address: '',
+      emergencyContact: '',
+      medicalHistory: '',
+      bloodType: '',
+      allergies: ''
     });
-    setEditingDepartment(null);
+    setEditingPatient(null);
+    setFormErrors([]);
   };
 
-  const filteredDepartments = departments.filter(department =>
-    department.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    department.description?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const handleIssueClaimCode = async (patient) => {
+    try {
+      const response = await axios.post(`/api/patients/${patient._id}/claim-code`);
+      window.alert(
+        `Claim code for ${patient.firstName} ${patient.lastName}: ${response.data.claimCode}\n` +
+        `Valid until ${new Date(response.data.expiresAt).toLocaleDateString()}`
+      );
+    } catch (error) {
+      console.error('Error issuing claim code:', error);
+    }
+  };
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-building"></i> Departments</h1>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Department
-        </button>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-injured"></i> {isDoctor ? 'My Patients' : 'Patients Management'}</h1>
+        <div>
+          {user?.role === 'admin' && (
+            <Link to="/patients/duplicates" className="btn btn-info" style={{ marginRight: '10px' }}>
+              <i className="fas fa-clone"></i> Duplicates
+            </Link>
+          )}
+          <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+            <i className="fas fa-plus"></i> Add Patient
+          </button>
+        </div>
       </div>
 
       <div className="search-bar">
         <i className="fas fa-search"></i>
         <input
           type="text"
-          placeholder="Search departments..."
+          placeholder="Search by name, phone, patient ID or national ID..."
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
         />
       </div>
 
@@ -1239,31 +2911,45 @@ const Departments = () => {
           <table className="table">
             <thead>
               <tr>
-                <th>Department Name</th>
-                <th>Description</th>
-                <th>Head Doctor</th>
-                <th>Staff Count</th>
+                <th>Patient ID</th>
+                <th>Name</th>
+                <th>Phone</th>
+                <th>Email</th>
+                <th>Gender</th>
+                <th>Blood Type</th>
+                <th>No-shows</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredDepartments.map((department) => (
-                <tr key={department._id}>
-                  <td><strong>{department.name}</strong></td>
-                  <td>{department.description}</td>
-                  <td>{department.headDoctor}</td>
-                  <td>{department.staffCount}</td>
+              {patients.map((patient) => (
+                <tr key={patient._id}>
+                  <td><strong>{patient.patientId || 'N/A'}</strong></td>
+                  <td>{patient.firstName} {patient.lastName}</td>
+                  <td>{patient.phone}</td>
+                  <td>{patient.email}</td>
+                  <td>{patient.gender}</td>
+                  <td>{patient.bloodType || 'N/A'}</td>
+                  <td><NoShowBadge attendance={patient.attendance} /></td>
                   <td>
                     <button
                       className="btn btn-warning"
-                      onClick={() => handleEdit(department)}
+                      onClick={() => handleEdit(patient)}
                       style={{ marginRight: '10px' }}
                     >
                       <i className="fas fa-edit"></i>
                     </button>
+                    <button
+                      className="btn btn-info"
+                      onClick={() => handleIssueClaimCode(patient)}
+                      style={{ marginRight: '10px' }}
+                      title="Issue account claim code"
+                    >
+                      <i className="fas fa-key"></i>
+                    </button>
                     <button
                       className="btn btn-danger"
-                      onClick={() => handleDelete(department._id)}
+                      onClick={() => handleDelete(patient._id)}
                     >
                       <i className="fas fa-trash"></i>
                     </button>
@@ -1272,6 +2958,7 @@ const Departments = () => {
               ))}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
         </div>
       )}
 
@@ -1279,52 +2966,143 @@ const Departments = () => {
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingDepartment ? 'Edit Department' : 'Add New Department'}</h2>
+              <h2>{editingPatient ? 'Edit Patient' : 'Add New Patient'}</h2>
               <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
             </div>
             <form onSubmit={handleSubmit}>
               <div className="form-group">
-                <label>Department Name *</label>
+                <label>First Name *</label>
+                <input
+                  type="text"
+                  name="firstName"
+                  value={formData.firstName}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="firstName" />
+              </div>
+              <div className="form-group">
+                <label>Last Name *</label>
                 <input
                   type="text"
-                  name="name"
-                  value={formData.name}
+                  name="lastName"
+                  value={formData.lastName}
                   onChange={handleInputChange}
                   required
                 />
+                <FieldError errors={formErrors} field="lastName" />
               </div>
               <div className="form-group">
-                <label>Description *</label>
+                <label>National ID</label>
+                <input
+                  type="text"
+                  name="nationalId"
+                  value={formData.nationalId}
+                  onChange={handleInputChange}
+                  placeholder="1 1990 8 0012345 0 12"
+                />
+                <FieldError errors={formErrors} field="nationalId" />
+              </div>
+              <div className="form-group">
+                <label>Date of Birth</label>
+                <input
+                  type="date"
+                  name="dateOfBirth"
+                  value={formData.dateOfBirth}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="dateOfBirth" />
+              </div>
+              <div className="form-group">
+                <label>Gender</label>
+                <select name="gender" value={formData.gender} onChange={handleInputChange}>
+                  <option value="">Select Gender</option>
+                  <option value="Male">Male</option>
+                  <option value="Female">Female</option>
+                  <option value="Other">Other</option>
+                </select>
+                <FieldError errors={formErrors} field="gender" />
+              </div>
+              <div className="form-group">
+                <label>Phone</label>
+                <input
+                  type="tel"
+                  name="phone"
+                  value={formData.phone}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="phone" />
+              </div>
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                />
+                <FieldError errors={formErrors} field="email" />
+              </div>
+              <div className="form-group">
+                <label>Address</label>
                 <textarea
-                  name="description"
-                  value={formData.description}
+                  name="address"
+                  value={formData.address}
                   onChange={handleInputChange}
                   rows="3"
-                  required
                 ></textarea>
+                <FieldError errors={formErrors} field="address" />
               </div>
               <div className="form-group">
-                <label>Head Doctor</label>
+                <label>Emergency Contact</label>
                 <input
                   type="text"
-                  name="headDoctor"
-                  value={formData.headDoctor}
+                  name="emergencyContact"
+                  value={formData.emergencyContact}
                   onChange={handleInputChange}
                 />
+                <FieldError errors={formErrors} field="emergencyContact" />
               </div>
               <div className="form-group">
-                <label>Staff Count</label>
-                <input
-                  type="number"
-                  name="staffCount"
-                  value={formData.staffCount}
+                <label>Blood Type</label>
+                <select name="bloodType" value={formData.bloodType} onChange={handleInputChange}>
+                  <option value="">Select Blood Type</option>
+                  <option value="A+">A+</option>
+                  <option value="A-">A-</option>
+                  <option value="B+">B+</option>
+                  <option value="B-">B-</option>
+                  <option value="AB+">AB+</option>
+                  <option value="AB-">AB-</option>
+                  <option value="O+">O+</option>
+                  <option value="O-">O-</option>
+                </select>
+                <FieldError errors={formErrors} field="bloodType" />
+              </div>
+              <div className="form-group">
+                <label>Allergies</label>
+                <textarea
+                  name="allergies"
+                  value={formData.allergies}
                   onChange={handleInputChange}
-                />
+                  rows="2"
+                  placeholder="List any known allergies"
+                ></textarea>
+                <FieldError errors={formErrors} field="allergies" />
+              </div>
+              <div className="form-group">
+                <label>Medical History</label>
+                <textarea
+                  name="medicalHistory"
+                  value={formData.medicalHistory}
+                  onChange={handleInputChange}
+                  rows="3"
+                ></textarea>
+                <FieldError errors={formErrors} field="medicalHistory" />
               </div>
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingDepartment ? 'Update Department' : 'Add Department'}
+                {editingPatient ? 'Update Patient' : 'Add Patient'}
               </button>
             </form>
           </div>
@@ -1334,158 +3112,144 @@ const Departments = () => {
   );
 };
 
-// Inventory Component
-const Inventory = () => {
-  const [inventory, setInventory] = useState([]);
-  const [showModal, setShowModal] = useState(false);
-  const [editingItem, setEditingItem] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
+// Doctors Component (Updated)
+// Admin review of suspected duplicate patients and past merges
+const PatientDuplicates = () => {
+  const [candidates, setCandidates] = useState([]);
+  const [merges, setMerges] = useState([]);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [formData, setFormData] = useState({
-    itemName: '',
-    category: '',
-    quantity: '',
-    unitPrice: '',
-    supplier: '',
-    expiryDate: '',
-    status: 'available'
-  });
+  const [scanning, setScanning] = useState(false);
+  const [message, setMessage] = useState(null);
 
   useEffect(() => {
-    fetchInventory();
+    fetchCandidates();
+  }, [page]);
+
+  useEffect(() => {
+    fetchMerges();
   }, []);
 
-  const fetchInventory = async () => {
+  const fetchCandidates = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/inventory');
-      setInventory(response.data);
+      const response = await axios.get('/api/patients/duplicates', { params: { page, limit: PAGE_SIZE } });
+      setCandidates(response.data);
+      setTotal(getTotalCount(response));
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching inventory:', error);
+      console.error('Error fetching duplicate patients:', error);
       setLoading(false);
     }
   };
 
-  const handleInputChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
-    });
+  const fetchMerges = async () => {
+    try {
+      const response = await axios.get('/api/patients/merges', { params: { limit: 10 } });
+      setMerges(response.data);
+    } catch (error) {
+      console.error('Error fetching merges:', error);
+    }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const showResult = (type, text) => {
+    setMessage({ type, text });
+  };
+
+  const handleScan = async () => {
     try {
-      if (editingItem) {
-        await axios.put(`/api/inventory/${editingItem._id}`, formData);
-      } else {
-        await axios.post('/api/inventory', formData);
-      }
-      fetchInventory();
-      setShowModal(false);
-      resetForm();
+      setScanning(true);
+      const response = await axios.post('/api/patients/duplicates/scan');
+      showResult('success', `Checked ${response.data.pairsChecked} pairs, ${response.data.flagged} look like duplicates.`);
+      setPage(1);
+      fetchCandidates();
     } catch (error) {
-      console.error('Error saving inventory item:', error);
+      console.error('Error scanning for duplicates:', error);
+      showResult('error', error.response?.data?.message || 'Scan failed');
+    } finally {
+      setScanning(false);
     }
   };
 
-  const handleEdit = (item) => {
-    setEditingItem(item);
-    setFormData({
-      itemName: item.itemName || '',
-      category: item.category || '',
-      quantity: item.quantity || '',
-      unitPrice: item.unitPrice || '',
-      supplier: item.supplier || '',
-      expiryDate: item.expiryDate ? item.expiryDate.split('T')[0] : '',
-      status: item.status || 'available'
-    });
-    setShowModal(true);
+  const handleMerge = async (survivor, merged) => {
+    const confirmed = window.confirm(
+      `Merge ${merged.firstName} ${merged.lastName} (${merged.patientId || 'no ID'}) into ` +
+      `${survivor.firstName} ${survivor.lastName} (${survivor.patientId || 'no ID'})? ` +
+      'Appointments, records and bills will move to the patient you keep.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await axios.post('/api/patients/merge', { survivorId: survivor._id, mergedId: merged._id });
+      showResult('success', `Merged into ${survivor.firstName} ${survivor.lastName}.`);
+      fetchCandidates();
+      fetchMerges();
+    } catch (error) {
+      console.error('Error merging patients:', error);
+      showResult('error', error.response?.data?.message || 'Merge failed');
+    }
   };
 
-  const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this inventory item?')) {
-      try {
-        await axios.delete(`/api/inventory/${id}`);
-        fetchInventory();
-      } catch (error) {
-        console.error('Error deleting inventory item:', error);
-      }
+  const handleDismiss = async (id) => {
+    try {
+      await axios.post(`/api/patients/duplicates/${id}/dismiss`);
+      fetchCandidates();
+    } catch (error) {
+      console.error('Error dismissing duplicate:', error);
     }
   };
 
-  const resetForm = () => {
-    setFormData({
-      itemName: '',
-      category: '',
-      quantity: '',
-      unitPrice: '',
-      supplier: '',
-      expiryDate: '',
-      status: 'available'
-    });
-    setEditingItem(null);
+  const handleUndo = async (merge) => {
+    if (!window.confirm('Undo this merge and restore the merged patient?')) return;
+
+    try {
+      await axios.post(`/api/patients/merges/${merge._id}/undo`);
+      showResult('success', 'Merge undone.');
+      fetchCandidates();
+      fetchMerges();
+    } catch (error) {
+      console.error('Error undoing merge:', error);
+      showResult('error', error.response?.data?.message || 'Undo failed');
+    }
   };
 
-  const getStatusBadge = (status) => {
-    const statusClasses = {
-      available: 'badge-available',
-      low: 'badge-low',
-      out: 'badge-out'
-    };
+  const renderPatient = (patient) => {
+    if (!patient) return <em>Deleted patient</em>;
     return (
-      <span className={`badge ${statusClasses[status]}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
-      </span>
+      <div>
+        <strong>{patient.firstName} {patient.lastName}</strong>
+        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+          {[
+            patient.patientId,
+            patient.dateOfBirth && new Date(patient.dateOfBirth).toLocaleDateString(),
+            patient.phone,
+            patient.nationalId
+          ].filter(Boolean).join(' · ')}
+        </div>
+      </div>
     );
   };
 
-  const filteredInventory = inventory.filter(item =>
-    item.itemName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.category?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    item.supplier?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  const totalValue = inventory.reduce((sum, item) => sum + (item.quantity * item.unitPrice || 0), 0);
-
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-boxes"></i> Inventory Management</h1>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Item
-        </button>
-      </div>
-
-      <div className="dashboard-grid">
-        <div className="stat-card">
-          <h3>RWF {totalValue.toLocaleString()}</h3>
-          <p>Total Inventory Value</p>
-        </div>
-        <div className="stat-card">
-          <h3>{inventory.filter(i => i.status === 'available').length}</h3>
-          <p>Available Items</p>
-        </div>
-        <div className="stat-card">
-          <h3>{inventory.filter(i => i.status === 'low').length}</h3>
-          <p>Low Stock Items</p>
-        </div>
-        <div className="stat-card">
-          <h3>{inventory.filter(i => i.status === 'out').length}</h3>
-          <p>Out of Stock</p>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-clone"></i> Duplicate Patients</h1>
+        <div>
+          <Link to="/patients" className="btn btn-info" style={{ marginRight: '10px' }}>
+            <i className="fas fa-arrow-left"></i> Patients
+          </Link>
+          <button className="btn btn-primary" onClick={handleScan} disabled={scanning}>
+            <i className="fas fa-sync-alt"></i> {scanning ? 'Scanning...' : 'Scan Now'}
+          </button>
         </div>
       </div>
 
-      <div className="search-bar">
-        <i className="fas fa-search"></i>
-        <input
-          type="text"
-          placeholder="Search inventory..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-        />
-      </div>
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'}`}></i> {message.text}
+        </div>
+      )}
 
       {loading ? (
         <div className="loading">
@@ -1496,172 +3260,142 @@ const Inventory = () => {
           <table className="table">
             <thead>
               <tr>
-                <th>Item Name</th>
-                <th>Category</th>
-                <th>Quantity</th>
-                <th>Unit Price</th>
-                <th>Supplier</th>
-                <th>Expiry Date</th>
-                <th>Status</th>
+                <th>Score</th>
+                <th>Patient A</th>
+                <th>Patient B</th>
+                <th>Why</th>
                 <th>Actions</th>
               </tr>
             </thead>
-            <tbody>
-              {filteredInventory.map((item) => (
-                <tr key={item._id}>
-                  <td><strong>{item.itemName}</strong></td>
-                  <td>{item.category}</td>
-                  <td>{item.quantity}</td>
-                  <td>RWF {item.unitPrice?.toLocaleString()}</td>
-                  <td>{item.supplier}</td>
-                  <td>{item.expiryDate ? new Date(item.expiryDate).toLocaleDateString() : 'N/A'}</td>
-                  <td>{getStatusBadge(item.status)}</td>
+            <tbody>
+              {candidates.map((candidate) => (
+                <tr key={candidate._id}>
+                  <td><strong>{candidate.score}</strong></td>
+                  <td>{renderPatient(candidate.patientA)}</td>
+                  <td>{renderPatient(candidate.patientB)}</td>
+                  <td>{candidate.reasons.join(', ')}</td>
                   <td>
                     <button
-                      className="btn btn-warning"
-                      onClick={() => handleEdit(item)}
+                      className="btn btn-success"
+                      onClick={() => handleMerge(candidate.patientA, candidate.patientB)}
+                      disabled={!candidate.patientA || !candidate.patientB}
                       style={{ marginRight: '10px' }}
+                      title="Keep patient A"
                     >
-                      <i className="fas fa-edit"></i>
+                      Keep A
                     </button>
                     <button
-                      className="btn btn-danger"
-                      onClick={() => handleDelete(item._id)}
+                      className="btn btn-success"
+                      onClick={() => handleMerge(candidate.patientB, candidate.patientA)}
+                      disabled={!candidate.patientA || !candidate.patientB}
+                      style={{ marginRight: '10px' }}
+                      title="Keep patient B"
                     >
-                      <i className="fas fa-trash"></i>
+                      Keep B
+                    </button>
+                    <button
+                      className="btn btn-warning"
+                      onClick={() => handleDismiss(candidate._id)}
+                      title="Not the same person"
+                    >
+                      <i className="fas fa-times"></i>
                     </button>
                   </td>
                 </tr>
               ))}
+              {candidates.length === 0 && (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', color: '#6b7280' }}>
+                    No suspected duplicates
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
         </div>
       )}
 
-      {showModal && (
-        <div className="modal">
-          <div className="modal-content">
-            <div className="modal-header">
-              <h2>{editingItem ? 'Edit Inventory Item' : 'Add New Inventory Item'}</h2>
-              <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
-                <i className="fas fa-times"></i>
-              </button>
-            </div>
-            <form onSubmit={handleSubmit}>
-              <div className="form-group">
-                <label>Item Name *</label>
-                <input
-                  type="text"
-                  name="itemName"
-                  value={formData.itemName}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
-              <div className="form-group">
-                <label>Category *</label>
-                <input
-                  type="text"
-                  name="category"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
-              <div className="form-group">
-                <label>Quantity *</label>
-                <input
-                  type="number"
-                  name="quantity"
-                  value={formData.quantity}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
-              <div className="form-group">
-                <label>Unit Price (RWF) *</label>
-                <input
-                  type="number"
-                  name="unitPrice"
-                  value={formData.unitPrice}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
-              <div className="form-group">
-                <label>Supplier</label>
-                <input
-                  type="text"
-                  name="supplier"
-                  value={formData.supplier}
-                  onChange={handleInputChange}
-                />
-              </div>
-              <div className="form-group">
-                <label>Expiry Date</label>
-                <input
-                  type="date"
-                  name="expiryDate"
-                  value={formData.expiryDate}
-                  onChange={handleInputChange}
-                />
-              </div>
-              <div className="form-group">
-                <label>Status</label>
-                <select
-                  name="status"
-                  value={formData.status}
-                  onChange={handleInputChange}
-                >
-                  <option value="available">Available</option>
-                  <option value="low">Low Stock</option>
-                  <option value="out">Out of Stock</option>
-                </select>
-              </div>
-              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingItem ? 'Update Item' : 'Add Item'}
-              </button>
-            </form>
-          </div>
-        </div>
-      )}
+      <h2 style={{ color: '#667eea', margin: '40px 0 20px' }}><i className="fas fa-history"></i> Recent Merges</h2>
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Kept</th>
+              <th>Merged</th>
+              <th>By</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {merges.map((merge) => (
+              <tr key={merge._id}>
+                <td>{new Date(merge.createdAt).toLocaleString()}</td>
+                <td>{renderPatient(merge.survivor)}</td>
+                <td>{renderPatient(merge.mergedSnapshot)}</td>
+                <td>{merge.mergedBy?.name || 'N/A'}</td>
+                <td>
+                  {merge.status === 'undone'
+                    ? `Undone by ${merge.undoneBy?.name || 'N/A'}`
+                    : 'Merged'}
+                </td>
+                <td>
+                  {merge.status === 'merged' && (
+                    <button className="btn btn-warning" onClick={() => handleUndo(merge)}>
+                      <i className="fas fa-undo"></i> Undo
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {merges.length === 0 && (
+              <tr>
+                <td colSpan="6" style={{ textAlign: 'center', color: '#6b7280' }}>
+                  No merges yet
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 };
 
-// Patients Component (Updated)
-const Patients = () => {
-  const [patients, setPatients] = useState([]);
+const Doctors = () => {
+  const [doctors, setDoctors] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingPatient, setEditingPatient] = useState(null);
+  const [editingDoctor, setEditingDoctor] = useState(null);
+  const [schedulingDoctor, setSchedulingDoctor] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
   const [formData, setFormData] = useState({
     firstName: '',
     lastName: '',
-    dateOfBirth: '',
-    gender: '',
+    specialization: '',
     phone: '',
     email: '',
-    address: '',
-    emergencyContact: '',
-    medicalHistory: '',
-    bloodType: '',
-    allergies: ''
+    licenseNumber: '',
+    department: '',
+    experience: '',
+    avatar: ''
   });
 
   useEffect(() => {
-    fetchPatients();
+    fetchDoctors();
   }, []);
 
-  const fetchPatients = async () => {
+  const fetchDoctors = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/patients');
-      setPatients(response.data);
+      const response = await axios.get('/api/doctors');
+      setDoctors(response.data);
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching patients:', error);
+      console.error('Error fetching doctors:', error);
       setLoading(false);
     }
   };
@@ -1675,78 +3409,90 @@ const Patients = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFormErrors([]);
     try {
-      if (editingPatient) {
-        await axios.put(`/api/patients/${editingPatient._id}`, formData);
+      if (editingDoctor) {
+        await axios.put(`/api/doctors/${editingDoctor._id}`, formData);
       } else {
-        await axios.post('/api/patients', formData);
+        await axios.post('/api/doctors', formData);
       }
-      fetchPatients();
+      fetchDoctors();
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving patient:', error);
+      console.error('Error saving doctor:', error);
+      setFormErrors(getValidationErrors(error));
     }
   };
 
-  const handleEdit = (patient) => {
-    setEditingPatient(patient);
+  const handleEdit = (doctor) => {
+    setEditingDoctor(doctor);
     setFormData({
-      firstName: patient.firstName || '',
-      lastName: patient.lastName || '',
-      dateOfBirth: patient.dateOfBirth ? patient.dateOfBirth.split('T')[0] : '',
-      gender: patient.gender || '',
-      phone: patient.phone || '',
-      email: patient.email || '',
-      address: patient.address || '',
-      emergencyContact: patient.emergencyContact || '',
-      medicalHistory: patient.medicalHistory || '',
-      bloodType: patient.bloodType || '',
-      allergies: patient.allergies || ''
+      firstName: doctor.firstName || '',
+      lastName: doctor.lastName || '',
+      specialization: doctor.specialization || '',
+      phone: doctor.phone || '',
+      email: doctor.email || '',
+      licenseNumber: doctor.licenseNumber || '',
+      department: doctor.department || '',
+      experience: doctor.experience || '',
+      avatar: doctor.avatar || ''
     });
     setShowModal(true);
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this patient?')) {
+    if (window.confirm('Move this doctor to the trash?')) {
       try {
-        await axios.delete(`/api/patients/${id}`);
-        fetchPatients();
+        await axios.delete(`/api/doctors/${id}`);
+        fetchDoctors();
       } catch (error) {
-        console.error('Error deleting patient:', error);
+        console.error('Error deleting doctor:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
       }
     }
   };
 
+  const handleLinkAccount = async (doctor) => {
+    const email = window.prompt(`Email of the staff account for Dr. ${doctor.firstName} ${doctor.lastName}:`, doctor.email || '');
+    if (!email) return;
+    try {
+      await axios.post(`/api/doctors/${doctor._id}/link-account`, { email });
+      window.alert('Doctor account linked successfully');
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Linking failed');
+    }
+  };
+
   const resetForm = () => {
     setFormData({
       firstName: '',
       lastName: '',
-      dateOfBirth: '',
-      gender: '',
+      specialization: '',
       phone: '',
       email: '',
-      address: '',
-      emergencyContact: '',
-      medicalHistory: '',
-      bloodType: '',
-      allergies: ''
+      licenseNumber: '',
+      department: '',
+      experience: '',
+      avatar: ''
     });
-    setEditingPatient(null);
+    setEditingDoctor(null);
+    setFormErrors([]);
   };
 
-  const filteredPatients = patients.filter(patient =>
-    patient.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    patient.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    patient.phone?.includes(searchTerm)
+  const filteredDoctors = doctors.filter(doctor =>
+    doctor.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    doctor.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    doctor.specialization?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    doctor.department?.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-injured"></i> Patients Management</h1>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-md"></i> Doctors Management</h1>
         <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Patient
+          <i className="fas fa-plus"></i> Add Doctor
         </button>
       </div>
 
@@ -1754,7 +3500,7 @@ const Patients = () => {
         <i className="fas fa-search"></i>
         <input
           type="text"
-          placeholder="Search patients..."
+          placeholder="Search doctors..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
         />
@@ -1769,33 +3515,53 @@ const Patients = () => {
           <table className="table">
             <thead>
               <tr>
+                <th>Doctor ID</th>
                 <th>Name</th>
+                <th>Specialization</th>
+                <th>Department</th>
+                <th>Experience (Years)</th>
                 <th>Phone</th>
                 <th>Email</th>
-                <th>Gender</th>
-                <th>Blood Type</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredPatients.map((patient) => (
-                <tr key={patient._id}>
-                  <td>{patient.firstName} {patient.lastName}</td>
-                  <td>{patient.phone}</td>
-                  <td>{patient.email}</td>
-                  <td>{patient.gender}</td>
-                  <td>{patient.bloodType || 'N/A'}</td>
+              {filteredDoctors.map((doctor) => (
+                <tr key={doctor._id}>
+                  <td>{doctor.doctorId || 'N/A'}</td>
+                  <td><strong>Dr. {doctor.firstName} {doctor.lastName}</strong></td>
+                  <td>{doctor.specialization}</td>
+                  <td>{doctor.department || 'General'}</td>
+                  <td>{doctor.experience || 'N/A'}</td>
+                  <td>{doctor.phone}</td>
+                  <td>{doctor.email}</td>
                   <td>
                     <button
                       className="btn btn-warning"
-                      onClick={() => handleEdit(patient)}
+                      onClick={() => handleEdit(doctor)}
                       style={{ marginRight: '10px' }}
                     >
                       <i className="fas fa-edit"></i>
                     </button>
+                    <button
+                      className="btn btn-info"
+                      onClick={() => handleLinkAccount(doctor)}
+                      style={{ marginRight: '10px' }}
+                      title="Link staff account"
+                    >
+                      <i className="fas fa-link"></i>
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setSchedulingDoctor(doctor)}
+                      style={{ marginRight: '10px' }}
+                      title="Working hours and leave"
+                    >
+                      <i className="fas fa-clock"></i>
+                    </button>
                     <button
                       className="btn btn-danger"
-                      onClick={() => handleDelete(patient._id)}
+                      onClick={() => handleDelete(doctor._id)}
                     >
                       <i className="fas fa-trash"></i>
                     </button>
@@ -1811,7 +3577,7 @@ const Patients = () => {
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingPatient ? 'Edit Patient' : 'Add New Patient'}</h2>
+              <h2>{editingDoctor ? 'Edit Doctor' : 'Add New Doctor'}</h2>
               <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
@@ -1826,34 +3592,50 @@ const Patients = () => {
                   onChange={handleInputChange}
                   required
                 />
+                <FieldError errors={formErrors} field="firstName" />
+              </div>
+              <div className="form-group">
+                <label>Last Name *</label>
+                <input
+                  type="text"
+                  name="lastName"
+                  value={formData.lastName}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="lastName" />
+              </div>
+              <div className="form-group">
+                <label>Specialization *</label>
+                <input
+                  type="text"
+                  name="specialization"
+                  value={formData.specialization}
+                  onChange={handleInputChange}
+                  required
+                />
+                <FieldError errors={formErrors} field="specialization" />
               </div>
               <div className="form-group">
-                <label>Last Name *</label>
+                <label>Department</label>
                 <input
                   type="text"
-                  name="lastName"
-                  value={formData.lastName}
+                  name="department"
+                  value={formData.department}
                   onChange={handleInputChange}
-                  required
+                  placeholder="e.g., Cardiology, Pediatrics"
                 />
+                <FieldError errors={formErrors} field="department" />
               </div>
               <div className="form-group">
-                <label>Date of Birth</label>
+                <label>Years of Experience</label>
                 <input
-                  type="date"
-                  name="dateOfBirth"
-                  value={formData.dateOfBirth}
+                  type="number"
+                  name="experience"
+                  value={formData.experience}
                   onChange={handleInputChange}
                 />
-              </div>
-              <div className="form-group">
-                <label>Gender</label>
-                <select name="gender" value={formData.gender} onChange={handleInputChange}>
-                  <option value="">Select Gender</option>
-                  <option value="Male">Male</option>
-                  <option value="Female">Female</option>
-                  <option value="Other">Other</option>
-                </select>
+                <FieldError errors={formErrors} field="experience" />
               </div>
               <div className="form-group">
                 <label>Phone</label>
@@ -1863,6 +3645,7 @@ const Patients = () => {
                   value={formData.phone}
                   onChange={handleInputChange}
                 />
+                <FieldError errors={formErrors} field="phone" />
               </div>
               <div className="form-group">
                 <label>Email</label>
@@ -1872,101 +3655,861 @@ const Patients = () => {
                   value={formData.email}
                   onChange={handleInputChange}
                 />
+                <FieldError errors={formErrors} field="email" />
               </div>
               <div className="form-group">
-                <label>Address</label>
-                <textarea
-                  name="address"
-                  value={formData.address}
-                  onChange={handleInputChange}
-                  rows="3"
-                ></textarea>
-              </div>
-              <div className="form-group">
-                <label>Emergency Contact</label>
+                <label>License Number</label>
                 <input
                   type="text"
-                  name="emergencyContact"
-                  value={formData.emergencyContact}
+                  name="licenseNumber"
+                  value={formData.licenseNumber}
                   onChange={handleInputChange}
                 />
+                <FieldError errors={formErrors} field="licenseNumber" />
               </div>
               <div className="form-group">
-                <label>Blood Type</label>
-                <select name="bloodType" value={formData.bloodType} onChange={handleInputChange}>
-                  <option value="">Select Blood Type</option>
-                  <option value="A+">A+</option>
-                  <option value="A-">A-</option>
-                  <option value="B+">B+</option>
-                  <option value="B-">B-</option>
-                  <option value="AB+">AB+</option>
-                  <option value="AB-">AB-</option>
-                  <option value="O+">O+</option>
-                  <option value="O-">O-</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Allergies</label>
-                <textarea
-                  name="allergies"
-                  value={formData.allergies}
-                  onChange={handleInputChange}
-                  rows="2"
-                  placeholder="List any known allergies"
-                ></textarea>
-              </div>
-              <div className="form-group">
-                <label>Medical History</label>
-                <textarea
-                  name="medicalHistory"
-                  value={formData.medicalHistory}
+                <label>Avatar URL (Optional)</label>
+                <input
+                  type="url"
+                  name="avatar"
+                  value={formData.avatar}
                   onChange={handleInputChange}
-                  rows="3"
-                ></textarea>
+                  placeholder="https://example.com/avatar.jpg"
+                />
+                <FieldError errors={formErrors} field="avatar" />
               </div>
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingPatient ? 'Update Patient' : 'Add Patient'}
+                {editingDoctor ? 'Update Doctor' : 'Add Doctor'}
               </button>
             </form>
           </div>
         </div>
       )}
+
+      {schedulingDoctor && (
+        <div className="modal">
+          <div className="modal-content" style={{ maxWidth: '800px' }}>
+            <div className="modal-header">
+              <h2>Dr. {schedulingDoctor.firstName} {schedulingDoctor.lastName}</h2>
+              <button className="close-btn" onClick={() => setSchedulingDoctor(null)}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+            <DoctorSchedule
+              doctor={schedulingDoctor}
+              onSaved={(doctor) => setDoctors(doctors.map(d => (d._id === doctor._id ? doctor : d)))}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Weekly working hours and leave of one doctor
+const DoctorSchedule = ({ doctor, onSaved }) => {
+  const [hours, setHours] = useState(doctor.workingHours || []);
+  const [leave, setLeave] = useState([]);
+  const [leaveForm, setLeaveForm] = useState({ start: '', end: '', reason: '' });
+  const [formErrors, setFormErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setHours(doctor.workingHours || []);
+    fetchLeave();
+  }, [doctor._id]);
+
+  const fetchLeave = async () => {
+    try {
+      const response = await axios.get('/api/leave', { params: { doctorId: doctor._id } });
+      setLeave(response.data);
+    } catch (error) {
+      console.error('Error fetching leave:', error);
+    }
+  };
+
+  const updateRange = (index, field, value) => {
+    setHours(hours.map((range, i) => (i === index ? { ...range, [field]: value } : range)));
+  };
+
+  const saveHours = async () => {
+    setFormErrors([]);
+    try {
+      const response = await axios.put(`/api/doctors/${doctor._id}/schedule`, { workingHours: hours });
+      setHours(response.data.workingHours);
+      setMessage({ type: 'success', text: 'Working hours saved.' });
+      if (onSaved) onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving working hours:', error);
+      setFormErrors(getValidationErrors(error));
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Save failed' });
+    }
+  };
+
+  const addLeave = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    try {
+      const response = await axios.post('/api/leave', {
+        ...leaveForm,
+        doctorId: doctor._id,
+        start: new Date(leaveForm.start).toISOString(),
+        end: new Date(leaveForm.end).toISOString()
+      });
+      const affected = response.data.affectedAppointments;
+      setMessage({
+        type: affected > 0 ? 'warning' : 'success',
+        text: affected > 0
+          ? `Leave added. ${affected} booked appointment(s) fall in this period and need to be moved.`
+          : 'Leave added.'
+      });
+      setLeaveForm({ start: '', end: '', reason: '' });
+      fetchLeave();
+    } catch (error) {
+      console.error('Error adding leave:', error);
+      setFormErrors(getValidationErrors(error));
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not add leave' });
+    }
+  };
+
+  const removeLeave = async (id) => {
+    if (!window.confirm('Remove this leave?')) return;
+    try {
+      await axios.delete(`/api/leave/${id}`);
+      fetchLeave();
+    } catch (error) {
+      console.error('Error removing leave:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Delete failed' });
+    }
+  };
+
+  // Monday first
+  const days = [1, 2, 3, 4, 5, 6, 0];
+
+  return (
+    <div>
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i> {message.text}
+        </div>
+      )}
+
+      <h3 style={{ color: '#667eea', marginBottom: '15px' }}><i className="fas fa-clock"></i> Working Hours</h3>
+      <div className="working-hours">
+        {days.map(day => (
+          <div key={day} className="working-hours-day">
+            <strong>{WEEKDAYS[day]}</strong>
+            <div>
+              {hours.map((range, index) => range.day === day && (
+                <div key={index} className="working-hours-range">
+                  <input type="time" value={range.start} onChange={(e) => updateRange(index, 'start', e.target.value)} />
+                  <span>to</span>
+                  <input type="time" value={range.end} onChange={(e) => updateRange(index, 'end', e.target.value)} />
+                  <button type="button" className="btn btn-danger" onClick={() => setHours(hours.filter((_, i) => i !== index))} title="Remove">
+                    <i className="fas fa-times"></i>
+                  </button>
+                </div>
+              ))}
+              {!hours.some(range => range.day === day) && <span className="slot-hint">Not working</span>}
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setHours([...hours, { day, start: '08:00', end: '17:00' }])}
+              title="Add hours"
+            >
+              <i className="fas fa-plus"></i>
+            </button>
+          </div>
+        ))}
+      </div>
+      <FieldError errors={formErrors} field="workingHours" />
+      <button className="btn btn-primary" onClick={saveHours} style={{ marginTop: '15px' }}>
+        <i className="fas fa-save"></i> Save Working Hours
+      </button>
+
+      <h3 style={{ color: '#667eea', margin: '30px 0 15px' }}><i className="fas fa-umbrella-beach"></i> Leave</h3>
+      {leave.length === 0 ? (
+        <p className="slot-hint">No upcoming leave or holidays.</p>
+      ) : (
+        <table className="audit-changes">
+          <tbody>
+            {leave.map(block => (
+              <tr key={block._id}>
+                <td>{new Date(block.start).toLocaleString()} – {new Date(block.end).toLocaleString()}</td>
+                <td>{block.doctorId ? block.reason || 'Leave' : `Hospital holiday${block.reason ? `: ${block.reason}` : ''}`}</td>
+                <td>
+                  {block.doctorId && (
+                    <button className="btn btn-danger" onClick={() => removeLeave(block._id)} title="Remove">
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <form onSubmit={addLeave} className="leave-form">
+        <div className="form-group">
+          <label>From *</label>
+          <input
+            type="datetime-local"
+            value={leaveForm.start}
+            onChange={(e) => setLeaveForm({ ...leaveForm, start: e.target.value })}
+            required
+          />
+          <FieldError errors={formErrors} field="start" />
+        </div>
+        <div className="form-group">
+          <label>Until *</label>
+          <input
+            type="datetime-local"
+            value={leaveForm.end}
+            onChange={(e) => setLeaveForm({ ...leaveForm, end: e.target.value })}
+            required
+          />
+          <FieldError errors={formErrors} field="end" />
+        </div>
+        <div className="form-group">
+          <label>Reason</label>
+          <input
+            type="text"
+            value={leaveForm.reason}
+            onChange={(e) => setLeaveForm({ ...leaveForm, reason: e.target.value })}
+          />
+          <FieldError errors={formErrors} field="reason" />
+        </div>
+        <button type="submit" className="btn btn-primary">
+          <i className="fas fa-plus"></i> Add Leave
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// A doctor's own working hours and leave
+const MySchedule = () => {
+  const { user } = useAuth();
+  const [doctor, setDoctor] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchDoctor();
+  }, []);
+
+  const fetchDoctor = async () => {
+    if (user.doctorRef) {
+      try {
+        const response = await axios.get(`/api/doctors/${user.doctorRef}`);
+        setDoctor(response.data);
+      } catch (error) {
+        console.error('Error fetching doctor profile:', error);
+      }
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="container">
+      <h1 style={{ color: '#667eea', marginBottom: '30px' }}><i className="fas fa-clock"></i> My Schedule</h1>
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : doctor ? (
+        <div className="card">
+          <DoctorSchedule doctor={doctor} />
+        </div>
+      ) : (
+        <div className="alert alert-warning">
+          <i className="fas fa-exclamation-triangle"></i> No doctor profile is linked to your account. Ask an administrator to link it.
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Calendar helpers. Weeks start on Monday; rows are half hours.
+const CALENDAR_ROW_MINUTES = 30;
+const CALENDAR_FIRST_HOUR = 7;
+const CALENDAR_LAST_HOUR = 19;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+// [from, to) shown by each view; the month grid is always six full weeks
+const calendarRange = (view, date) => {
+  if (view === 'day') {
+    const from = startOfDay(date);
+    return { from, to: addDays(from, 1) };
+  }
+  if (view === 'week') {
+    const from = startOfWeek(date);
+    return { from, to: addDays(from, 7) };
+  }
+  const from = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+  return { from, to: addDays(from, 42) };
+};
+
+const rowIndex = (value) => {
+  const date = new Date(value);
+  return Math.floor((date.getHours() * 60 + date.getMinutes()) / CALENDAR_ROW_MINUTES);
+};
+
+// Appointment on the calendar, coloured by status with a priority stripe.
+// Only pending and confirmed appointments can be dragged to a new time.
+const CalendarEvent = ({ appointment, onOpen, compact }) => {
+  const movable = ['pending', 'confirmed'].includes(appointment.status);
+  return (
+    <div
+      className={`calendar-event status-${appointment.status} priority-${appointment.priority}`}
+      draggable={movable}
+      onDragStart={(e) => e.dataTransfer.setData('text/plain', appointment._id)}
+      onClick={() => onOpen(appointment)}
+      title={`${appointment.reason || ''} (${APPOINTMENT_STATUS_LABELS[appointment.status]}, ${appointment.priority} priority)`}
+    >
+      <strong>{formatTime(appointment.appointmentDate)}</strong>{' '}
+      {appointment.patientId?.firstName} {appointment.patientId?.lastName}
+      {!compact && <div>Dr. {appointment.doctorId?.lastName}</div>}
+    </div>
+  );
+};
+
+const AppointmentCalendar = ({ doctors, onOpen, refreshKey }) => {
+  const [view, setView] = useState('week');
+  const [date, setDate] = useState(new Date());
+  const [groupBy, setGroupBy] = useState('doctor');
+  const [doctorId, setDoctorId] = useState('');
+  const [appointments, setAppointments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const { from, to } = calendarRange(view, date);
+
+  useEffect(() => {
+    fetchAppointments();
+  }, [view, from.getTime(), doctorId, refreshKey]);
+
+  const fetchAppointments = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/appointments/calendar', {
+        params: { from: from.toISOString(), to: to.toISOString(), doctorId: doctorId || undefined }
+      });
+      setAppointments(response.data);
+    } catch (error) {
+      console.error('Error fetching calendar:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not load the calendar' });
+    }
+    setLoading(false);
+  };
+
+  const move = (direction) => {
+    if (view === 'day') setDate(addDays(date, direction));
+    else if (view === 'week') setDate(addDays(date, direction * 7));
+    else setDate(new Date(date.getFullYear(), date.getMonth() + direction, 1));
+  };
+
+  // Dropping keeps the doctor unless the target column is a doctor
+  const reschedule = async (e, start, targetDoctorId) => {
+    e.preventDefault();
+    const appointment = appointments.find(a => a._id === e.dataTransfer.getData('text/plain'));
+    if (!appointment) return;
+    const currentDoctorId = appointment.doctorId?._id;
+    const doctorChanged = targetDoctorId && targetDoctorId !== currentDoctorId;
+    if (new Date(appointment.appointmentDate).getTime() === start.getTime() && !doctorChanged) return;
+
+    setMessage(null);
+    try {
+      await axios.put(`/api/appointments/${appointment._id}`, {
+        appointmentDate: start.toISOString(),
+        ...(doctorChanged && { doctorId: targetDoctorId })
+      });
+      setMessage({ type: 'success', text: `Moved to ${start.toLocaleString()}.` });
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not move the appointment' });
+    }
+  };
+
+  const dropTarget = (start, targetDoctorId) => ({
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => reschedule(e, start, targetDoctorId)
+  });
+
+  const title = view === 'month'
+    ? date.toLocaleDateString([], { month: 'long', year: 'numeric' })
+    : view === 'week'
+      ? `${from.toLocaleDateString()} – ${addDays(to, -1).toLocaleDateString()}`
+      : date.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+  // Half-hour rows, widened to take in anything booked outside usual hours
+  const renderTimeGrid = (columns) => {
+    const rows = appointments.map(a => rowIndex(a.appointmentDate));
+    const firstRow = Math.min(CALENDAR_FIRST_HOUR * 60 / CALENDAR_ROW_MINUTES, ...rows);
+    const lastRow = Math.max(CALENDAR_LAST_HOUR * 60 / CALENDAR_ROW_MINUTES, ...rows.map(row => row + 1));
+    const rowStarts = Array.from({ length: lastRow - firstRow }, (_, index) => (firstRow + index) * CALENDAR_ROW_MINUTES);
+
+    return (
+      <div className="calendar-grid" style={{ gridTemplateColumns: `70px repeat(${columns.length}, minmax(120px, 1fr))` }}>
+        <div className="calendar-header"></div>
+        {columns.map(column => <div key={column.key} className="calendar-header">{column.label}</div>)}
+        {rowStarts.map(minutes => (
+          <React.Fragment key={minutes}>
+            <div className="calendar-time">{minutes % 60 === 0 ? `${String(minutes / 60).padStart(2, '0')}:00` : ''}</div>
+            {columns.map(column => {
+              const start = new Date(column.day);
+              start.setHours(0, minutes, 0, 0);
+              const events = column.appointments.filter(a => rowIndex(a.appointmentDate) * CALENDAR_ROW_MINUTES === minutes);
+              return (
+                <div key={column.key} className="calendar-cell" {...dropTarget(start, column.doctorId)}>
+                  {events.map(a => <CalendarEvent key={a._id} appointment={a} onOpen={onOpen} compact={Boolean(column.doctorId)} />)}
+                </div>
+              );
+            })}
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  };
+
+  const renderDay = () => {
+    const onDay = appointments.filter(a => isSameDay(a.appointmentDate, date));
+    if (groupBy === 'department') {
+      const departments = [...new Set(doctors.map(doctor => doctor.department || 'General'))].sort();
+      return renderTimeGrid(departments.map(department => ({
+        key: department,
+        label: department,
+        day: date,
+        appointments: onDay.filter(a => (a.doctorId?.department || 'General') === department)
+      })));
+    }
+    const shown = doctorId ? doctors.filter(doctor => doctor._id === doctorId) : doctors;
+    return renderTimeGrid(shown.map(doctor => ({
+      key: doctor._id,
+      label: `Dr. ${doctor.firstName} ${doctor.lastName}`,
+      day: date,
+      doctorId: doctor._id,
+      appointments: onDay.filter(a => a.doctorId?._id === doctor._id)
+    })));
+  };
+
+  const renderWeek = () => renderTimeGrid(Array.from({ length: 7 }, (_, index) => {
+    const day = addDays(from, index);
+    return {
+      key: day.toDateString(),
+      label: day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' }),
+      day,
+      appointments: appointments.filter(a => isSameDay(a.appointmentDate, day))
+    };
+  }));
+
+  const renderMonth = () => (
+    <div className="calendar-month">
+      {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => <div key={day} className="calendar-header">{day}</div>)}
+      {Array.from({ length: 42 }, (_, index) => {
+        const day = addDays(from, index);
+        const events = appointments.filter(a => isSameDay(a.appointmentDate, day));
+        return (
+          <div
+            key={index}
+            className={`calendar-day ${day.getMonth() !== date.getMonth() ? 'other-month' : ''} ${isSameDay(day, new Date()) ? 'today' : ''}`}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              // Same time of day on the new date
+              const appointment = appointments.find(a => a._id === e.dataTransfer.getData('text/plain'));
+              if (!appointment) return;
+              const start = new Date(day);
+              const current = new Date(appointment.appointmentDate);
+              start.setHours(current.getHours(), current.getMinutes(), 0, 0);
+              reschedule(e, start);
+            }}
+          >
+            <button className="calendar-day-number" onClick={() => { setDate(day); setView('day'); }}>
+              {day.getDate()}
+            </button>
+            {events.slice(0, 4).map(a => <CalendarEvent key={a._id} appointment={a} onOpen={onOpen} compact />)}
+            {events.length > 4 && (
+              <button className="calendar-more" onClick={() => { setDate(day); setView('day'); }}>
+                +{events.length - 4} more
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button className="btn btn-secondary" onClick={() => move(-1)} title="Previous"><i className="fas fa-chevron-left"></i></button>
+          <button className="btn btn-secondary" onClick={() => setDate(new Date())}>Today</button>
+          <button className="btn btn-secondary" onClick={() => move(1)} title="Next"><i className="fas fa-chevron-right"></i></button>
+          <h3>{title}</h3>
+        </div>
+        <div className="calendar-nav">
+          {view === 'day' && (
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              <option value="doctor">By doctor</option>
+              <option value="department">By department</option>
+            </select>
+          )}
+          {doctors.length > 1 && (
+            <select value={doctorId} onChange={(e) => setDoctorId(e.target.value)}>
+              <option value="">All doctors</option>
+              {doctors.map(doctor => (
+                <option key={doctor._id} value={doctor._id}>Dr. {doctor.firstName} {doctor.lastName}</option>
+              ))}
+            </select>
+          )}
+          {['day', 'week', 'month'].map(option => (
+            <button
+              key={option}
+              className={`btn ${view === option ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setView(option)}
+            >
+              {option.charAt(0).toUpperCase() + option.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i> {message.text}
+        </div>
+      )}
+
+      <div className="calendar-legend">
+        {Object.entries(APPOINTMENT_STATUS_LABELS).map(([status, label]) => (
+          <span key={status} className={`calendar-event status-${status}`}>{label}</span>
+        ))}
+        {['high', 'medium', 'low'].map(priority => (
+          <span key={priority} className={`calendar-event priority-${priority}`}>{priority} priority</span>
+        ))}
+        <span className="slot-hint">Drag a pending or confirmed appointment to reschedule it.</span>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="calendar-scroll">
+          {view === 'day' && renderDay()}
+          {view === 'week' && renderWeek()}
+          {view === 'month' && renderMonth()}
+        </div>
+      )}
     </div>
   );
 };
 
-// Doctors Component (Updated)
-const Doctors = () => {
+// Patients pick a department, a doctor and a free slot. Bookings stay
+// pending until staff confirm them.
+const BookAppointment = () => {
+  const { user } = useAuth();
+  const [departments, setDepartments] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [department, setDepartment] = useState('');
+  const [formData, setFormData] = useState({ doctorId: '', appointmentDate: '', reason: '' });
+  const [formErrors, setFormErrors] = useState([]);
+  const [booked, setBooked] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  const fetchOptions = async () => {
+    try {
+      const [departmentsResponse, doctorsResponse, policyResponse] = await Promise.all([
+        axios.get('/api/departments'),
+        axios.get('/api/doctors'),
+        axios.get('/api/me/booking-policy')
+      ]);
+      setDepartments(departmentsResponse.data);
+      setDoctors(doctorsResponse.data);
+      setPolicy(policyResponse.data);
+    } catch (error) {
+      console.error('Error fetching booking options:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.appointmentDate) {
+      setFormErrors([{ field: 'appointmentDate', message: 'Pick a time slot' }]);
+      return;
+    }
+    setFormErrors([]);
+    setError(null);
+    try {
+      const response = await axios.post('/api/me/appointments', formData);
+      setBooked(response.data);
+      setFormData({ doctorId: '', appointmentDate: '', reason: '' });
+    } catch (error) {
+      console.error('Error booking appointment:', error);
+      if (error.response?.status === 409) {
+        setFormErrors([{ field: 'appointmentDate', message: error.response.data.message }]);
+      } else {
+        setFormErrors(getValidationErrors(error));
+        if (error.response?.status !== 422) {
+          setError(error.response?.data?.message || 'Booking failed');
+        }
+      }
+    }
+  };
+
+  const shownDoctors = department ? doctors.filter(doctor => (doctor.department || 'General') === department) : doctors;
+
+  if (!user.patientRef) {
+    return (
+      <div className="container">
+        <div className="alert alert-warning">
+          <i className="fas fa-exclamation-triangle"></i> Link your patient record on the <Link to="/dashboard">dashboard</Link> before booking.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h1 style={{ color: '#667eea', marginBottom: '30px' }}><i className="fas fa-calendar-plus"></i> Book an Appointment</h1>
+
+      {booked && (
+        <div className="alert alert-success">
+          <i className="fas fa-check-circle"></i> Booked for {new Date(booked.appointmentDate).toLocaleString()}. The hospital will confirm it and you will get a notification.
+          {' '}<Link to="/appointments">View my appointments</Link>
+        </div>
+      )}
+      {error && (
+        <div className="alert alert-error">
+          <i className="fas fa-exclamation-circle"></i> {error}
+        </div>
+      )}
+
+      <div className="card">
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Department</label>
+            <select value={department} onChange={(e) => { setDepartment(e.target.value); setFormData({ ...formData, doctorId: '', appointmentDate: '' }); }}>
+              <option value="">All departments</option>
+              {departments.map(item => <option key={item._id} value={item.name}>{item.name}</option>)}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Doctor *</label>
+            {shownDoctors.length === 0 ? (
+              <p className="slot-hint">No doctors in this department.</p>
+            ) : (
+              <div className="doctor-choices">
+                {shownDoctors.map(doctor => (
+                  <button
+                    type="button"
+                    key={doctor._id}
+                    className={`doctor-choice ${formData.doctorId === doctor._id ? 'selected' : ''}`}
+                    onClick={() => setFormData({ ...formData, doctorId: doctor._id, appointmentDate: '' })}
+                  >
+                    <strong>Dr. {doctor.firstName} {doctor.lastName}</strong>
+                    <span>{doctor.specialization}</span>
+                    <span>{doctor.department || 'General'}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            <FieldError errors={formErrors} field="doctorId" />
+          </div>
+
+          <div className="form-group">
+            <label>Date & Time *</label>
+            <SlotPicker
+              doctorId={formData.doctorId}
+              value={formData.appointmentDate}
+              onChange={(appointmentDate) => setFormData({ ...formData, appointmentDate })}
+            />
+            <FieldError errors={formErrors} field="appointmentDate" />
+            {policy && (
+              <p className="slot-hint">
+                Online bookings open {policy.bookingNoticeHours} hour(s) to {policy.maxAdvanceDays} days ahead.
+              </p>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Reason for visit *</label>
+            <input
+              type="text"
+              value={formData.reason}
+              onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+              required
+            />
+            <FieldError errors={formErrors} field="reason" />
+          </div>
+
+          <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+            <i className="fas fa-calendar-check"></i> Book Appointment
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// "This appointment" or "This and all following" for a series occurrence
+const ScopeChoice = ({ value, onChange, verb }) => (
+  <div className="form-group">
+    <label>{verb}</label>
+    <div className="scope-choice">
+      <label>
+        <input type="radio" checked={value === 'this'} onChange={() => onChange('this')} /> This appointment
+      </label>
+      <label>
+        <input type="radio" checked={value === 'following'} onChange={() => onChange('following')} /> This and all following
+      </label>
+    </div>
+  </div>
+);
+
+// Appointments Component (Updated)
+const Appointments = () => {
+  const [appointments, setAppointments] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingDoctor, setEditingDoctor] = useState(null);
+  const [editingAppointment, setEditingAppointment] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [calendarKey, setCalendarKey] = useState(0);
+  const [policy, setPolicy] = useState(null);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [message, setMessage] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+  const [cancelForm, setCancelForm] = useState({ reason: 'patient-request', note: '', scope: 'this' });
+  const [repeat, setRepeat] = useState(EMPTY_REPEAT);
+  const [seriesConflicts, setSeriesConflicts] = useState(null);
+  const [editScope, setEditScope] = useState('this');
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
   const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    specialization: '',
-    phone: '',
-    email: '',
-    licenseNumber: '',
-    department: '',
-    experience: '',
-    avatar: ''
+    patientId: '',
+    doctorId: '',
+    appointmentDate: '',
+    reason: '',
+    status: 'pending',
+    priority: 'medium'
   });
+  const { user } = useAuth();
+  const isPatient = user?.role === 'patient';
 
   useEffect(() => {
-    fetchDoctors();
+    if (isPatient) {
+      fetchPolicy();
+    } else {
+      fetchDoctors();
+    }
   }, []);
 
-  const fetchDoctors = async () => {
+  useEffect(() => {
+    fetchAppointments();
+  }, [page, debouncedSearch, statusFilter]);
+
+  const fetchPolicy = async () => {
+    try {
+      const response = await axios.get('/api/me/booking-policy');
+      setPolicy(response.data);
+    } catch (error) {
+      console.error('Error fetching booking policy:', error);
+    }
+  };
+
+  // Patients can change bookings until the policy's cutoff before the start
+  const canChange = (appointment, cutoffHours) => {
+    if (!policy || !['pending', 'confirmed'].includes(appointment.status)) return false;
+    return new Date(appointment.appointmentDate) - new Date() >= cutoffHours * 60 * 60 * 1000;
+  };
+
+  const handleCancel = async (appointment) => {
+    const reason = window.prompt('Cancel this appointment? You can give a reason (optional).');
+    if (reason === null) return;
+    try {
+      await axios.post(`/api/me/appointments/${appointment._id}/cancel`, { reason });
+      setMessage({ type: 'success', text: 'Appointment cancelled.' });
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not cancel the appointment' });
+    }
+  };
+
+  const handleReschedule = async (e) => {
+    e.preventDefault();
+    if (!rescheduleDate) {
+      setFormErrors([{ field: 'appointmentDate', message: 'Pick a time slot' }]);
+      return;
+    }
+    setFormErrors([]);
+    try {
+      await axios.put(`/api/me/appointments/${rescheduling._id}`, { appointmentDate: rescheduleDate });
+      setMessage({ type: 'success', text: 'Appointment moved. It will be confirmed by the hospital.' });
+      setRescheduling(null);
+      fetchAppointments();
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      setFormErrors(error.response?.status === 409
+        ? [{ field: 'appointmentDate', message: error.response.data.message }]
+        : getValidationErrors(error));
+    }
+  };
+
+  const fetchAppointments = async () => {
     try {
       setLoading(true);
+      const response = isPatient
+        ? await axios.get('/api/me/appointments')
+        : await axios.get('/api/appointments', {
+          params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined, status: statusFilter || undefined }
+        });
+      setAppointments(response.data);
+      setTotal(getTotalCount(response));
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+      setLoading(false);
+    }
+  };
+
+  const fetchDoctors = async () => {
+    try {
       const response = await axios.get('/api/doctors');
       setDoctors(response.data);
-      setLoading(false);
     } catch (error) {
       console.error('Error fetching doctors:', error);
-      setLoading(false);
     }
   };
 
@@ -1977,91 +4520,215 @@ const Doctors = () => {
     });
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
+    saveAppointment(false);
+  };
+
+  // skipConflicts books a series without the visits that clash
+  const saveAppointment = async (skipConflicts) => {
+    if (!formData.appointmentDate) {
+      setFormErrors([{ field: 'appointmentDate', message: 'Pick a time slot' }]);
+      return;
+    }
+    setFormErrors([]);
+    setSeriesConflicts(null);
     try {
-      if (editingDoctor) {
-        await axios.put(`/api/doctors/${editingDoctor._id}`, formData);
+      if (editingAppointment) {
+        // Status only changes through the row actions
+        const { status, ...changes } = formData;
+        const path = editScope === 'following' ? `${editingAppointment._id}/following` : editingAppointment._id;
+        await axios.put(`/api/appointments/${path}`, changes);
       } else {
-        await axios.post('/api/doctors', formData);
+        const recurrence = repeat.frequency && {
+          frequency: repeat.frequency,
+          interval: repeat.interval,
+          ...(repeat.ends === 'count' ? { count: repeat.count } : { until: repeat.until })
+        };
+        await axios.post('/api/appointments', { ...formData, ...(recurrence && { recurrence }) }, {
+          params: skipConflicts ? { skipConflicts: 'true' } : undefined
+        });
       }
-      fetchDoctors();
+      fetchAppointments();
+      setCalendarKey(calendarKey + 1);
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving doctor:', error);
+      console.error('Error saving appointment:', error);
+      if (error.response?.data?.conflicts) {
+        setSeriesConflicts(error.response.data.conflicts);
+        setFormErrors([{ field: 'recurrence', message: error.response.data.message }]);
+      } else {
+        setFormErrors(error.response?.status === 409
+          ? [{ field: 'appointmentDate', message: error.response.data.message }]
+          : getValidationErrors(error));
+      }
     }
   };
 
-  const handleEdit = (doctor) => {
-    setEditingDoctor(doctor);
+  const handleEdit = (appointment) => {
+    setEditingAppointment(appointment);
     setFormData({
-      firstName: doctor.firstName || '',
-      lastName: doctor.lastName || '',
-      specialization: doctor.specialization || '',
-      phone: doctor.phone || '',
-      email: doctor.email || '',
-      licenseNumber: doctor.licenseNumber || '',
-      department: doctor.department || '',
-      experience: doctor.experience || '',
-      avatar: doctor.avatar || ''
+      patientId: appointment.patientId?._id || appointment.patientId || '',
+      doctorId: appointment.doctorId?._id || appointment.doctorId || '',
+      appointmentDate: appointment.appointmentDate || '',
+      reason: appointment.reason || '',
+      status: appointment.status || 'pending',
+      priority: appointment.priority || 'medium'
     });
+    setEditScope('this');
     setShowModal(true);
   };
 
+  const availableActions = (appointment) => APPOINTMENT_ACTIONS.filter(item =>
+    item.from.includes(appointment.status) &&
+    (!item.afterStart || new Date(appointment.appointmentDate) <= new Date())
+  );
+
+  // Resolves to the response, or false when the action failed
+  const runAction = async (appointment, action, body = {}) => {
+    try {
+      const response = await axios.post(`/api/appointments/${appointment._id}/${action}`, body);
+      setMessage(null);
+      fetchAppointments();
+      setCalendarKey(calendarKey + 1);
+      return response;
+    } catch (error) {
+      console.error(`Error running ${action} on appointment:`, error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not update the appointment' });
+      return false;
+    }
+  };
+
+  const handleAction = (appointment, action) => {
+    if (action === 'cancel') {
+      setCancelling(appointment);
+      setCancelForm({ reason: 'patient-request', note: '', scope: 'this' });
+      setFormErrors([]);
+      return;
+    }
+    runAction(appointment, action);
+  };
+
+  const handleStaffCancel = async (e) => {
+    e.preventDefault();
+    const { scope, ...body } = cancelForm;
+    const response = await runAction(cancelling, scope === 'following' ? 'cancel-following' : 'cancel', body);
+    if (!response) return;
+    setCancelling(null);
+    const skipped = response.data.skipped || [];
+    if (skipped.length > 0) {
+      setMessage({
+        type: 'warning',
+        text: `${skipped.length} visit(s) could not be cancelled because their status had changed: ${skipped.map(visit => new Date(visit.appointmentDate).toLocaleString()).join(', ')}.`
+      });
+    }
+  };
+
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this doctor?')) {
+    if (window.confirm('Move this appointment to the trash?')) {
       try {
-        await axios.delete(`/api/doctors/${id}`);
-        fetchDoctors();
+        await axios.delete(`/api/appointments/${id}`);
+        fetchAppointments();
       } catch (error) {
-        console.error('Error deleting doctor:', error);
+        console.error('Error deleting appointment:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
       }
     }
   };
 
   const resetForm = () => {
     setFormData({
-      firstName: '',
-      lastName: '',
-      specialization: '',
-      phone: '',
-      email: '',
-      licenseNumber: '',
-      department: '',
-      experience: '',
-      avatar: ''
+      patientId: '',
+      doctorId: '',
+      appointmentDate: '',
+      reason: '',
+      status: 'pending',
+      priority: 'medium'
     });
-    setEditingDoctor(null);
+    setEditingAppointment(null);
+    setFormErrors([]);
+    setRepeat(EMPTY_REPEAT);
+    setSeriesConflicts(null);
+    setEditScope('this');
   };
 
-  const filteredDoctors = doctors.filter(doctor =>
-    doctor.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    doctor.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    doctor.specialization?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    doctor.department?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const getPriorityBadge = (priority) => {
+    const priorityClasses = {
+      high: 'priority-high',
+      medium: 'priority-medium',
+      low: 'priority-low'
+    };
+    return (
+      <span className={priorityClasses[priority]}>
+        {priority.charAt(0).toUpperCase() + priority.slice(1)}
+      </span>
+    );
+  };
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-user-md"></i> Doctors Management</h1>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Doctor
-        </button>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-calendar-check"></i> {isPatient ? 'My Appointments' : 'Appointments Management'}</h1>
+        {isPatient && (
+          <Link to="/book" className="btn btn-primary">
+            <i className="fas fa-calendar-plus"></i> Book Appointment
+          </Link>
+        )}
+        {!isPatient && (
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button className="btn btn-secondary" onClick={() => setShowCalendar(!showCalendar)}>
+              <i className={`fas ${showCalendar ? 'fa-list' : 'fa-calendar-alt'}`}></i> {showCalendar ? 'Table' : 'Calendar'}
+            </button>
+            <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+              <i className="fas fa-plus"></i> Add Appointment
+            </button>
+          </div>
+        )}
       </div>
 
-      <div className="search-bar">
-        <i className="fas fa-search"></i>
-        <input
-          type="text"
-          placeholder="Search doctors..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i> {message.text}
+        </div>
+      )}
+
+      {isPatient && policy && (
+        <p className="slot-hint" style={{ marginBottom: '15px' }}>
+          Appointments can be moved up to {policy.rescheduleCutoffHours} hour(s) and cancelled up to {policy.cancellationCutoffHours} hour(s) before they start.
+        </p>
+      )}
+
+      {showCalendar && (
+        <AppointmentCalendar
+          doctors={user?.role === 'doctor' ? doctors.filter(doctor => doctor._id === user.doctorRef) : doctors}
+          onOpen={handleEdit}
+          refreshKey={calendarKey}
         />
-      </div>
+      )}
 
-      {loading ? (
+      {!isPatient && !showCalendar && (
+        <div className="search-bar with-filter">
+          <i className="fas fa-search"></i>
+          <input
+            type="text"
+            placeholder="Search appointments..."
+            value={searchTerm}
+            onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
+          />
+          <select
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
+          >
+            <option value="">All Statuses</option>
+            {Object.entries(APPOINTMENT_STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {showCalendar ? null : loading ? (
         <div className="loading">
           <div className="spinner"></div>
         </div>
@@ -2070,198 +4737,618 @@ const Doctors = () => {
           <table className="table">
             <thead>
               <tr>
-                <th>Name</th>
-                <th>Specialization</th>
-                <th>Department</th>
-                <th>Experience (Years)</th>
-                <th>Phone</th>
-                <th>Email</th>
+                <th>Patient</th>
+                <th>Doctor</th>
+                <th>Date & Time</th>
+                <th>Reason</th>
+                <th>Priority</th>
+                <th>Status</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredDoctors.map((doctor) => (
-                <tr key={doctor._id}>
-                  <td><strong>Dr. {doctor.firstName} {doctor.lastName}</strong></td>
-                  <td>{doctor.specialization}</td>
-                  <td>{doctor.department || 'General'}</td>
-                  <td>{doctor.experience || 'N/A'}</td>
-                  <td>{doctor.phone}</td>
-                  <td>{doctor.email}</td>
+              {appointments.map((appointment) => (
+                <tr key={appointment._id}>
+                  <td>{appointment.patientId?.firstName} {appointment.patientId?.lastName}</td>
+                  <td>Dr. {appointment.doctorId?.firstName} {appointment.doctorId?.lastName}</td>
                   <td>
-                    <button
-                      className="btn btn-warning"
-                      onClick={() => handleEdit(doctor)}
-                      style={{ marginRight: '10px' }}
-                    >
-                      <i className="fas fa-edit"></i>
-                    </button>
-                    <button
-                      className="btn btn-danger"
-                      onClick={() => handleDelete(doctor._id)}
-                    >
-                      <i className="fas fa-trash"></i>
-                    </button>
+                    {new Date(appointment.appointmentDate).toLocaleString()}
+                    {appointment.seriesId && (
+                      <i className="fas fa-redo appointment-flag" title={`Repeating: ${describeRecurrence(appointment.recurrence)}`}></i>
+                    )}
+                    {appointment.followUpOf && (
+                      <i className="fas fa-notes-medical appointment-flag" title="Follow-up booked from a medical record"></i>
+                    )}
+                  </td>
+                  <td>{appointment.reason}</td>
+                  <td>{getPriorityBadge(appointment.priority)}</td>
+                  <td>
+                    <AppointmentStatusBadge status={appointment.status} />
+                    {appointment.cancellationReason && (
+                      <div className="slot-hint">{CANCELLATION_REASONS[appointment.cancellationReason]}</div>
+                    )}
                   </td>
+                  {isPatient && (
+                    <td>
+                      {canChange(appointment, policy?.rescheduleCutoffHours) && (
+                        <button
+                          className="btn btn-warning"
+                          onClick={() => { setRescheduling(appointment); setRescheduleDate(''); setFormErrors([]); }}
+                          style={{ marginRight: '10px' }}
+                          title="Reschedule"
+                        >
+                          <i className="fas fa-calendar-alt"></i>
+                        </button>
+                      )}
+                      {canChange(appointment, policy?.cancellationCutoffHours) && (
+                        <button
+                          className="btn btn-danger"
+                          onClick={() => handleCancel(appointment)}
+                          title="Cancel"
+                        >
+                          <i className="fas fa-ban"></i>
+                        </button>
+                      )}
+                    </td>
+                  )}
+                  {!isPatient && (
+                    <td>
+                      <div className="appointment-actions">
+                        {availableActions(appointment).map(item => (
+                          <button
+                            key={item.action}
+                            className={`btn ${item.className}`}
+                            onClick={() => handleAction(appointment, item.action)}
+                            title={item.label}
+                          >
+                            <i className={item.icon}></i>
+                          </button>
+                        ))}
+                      </div>
+                      <button
+                        className="btn btn-warning"
+                        onClick={() => handleEdit(appointment)}
+                        style={{ marginRight: '10px' }}
+                      >
+                        <i className="fas fa-edit"></i>
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => handleDelete(appointment._id)}
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
         </div>
       )}
 
-      {showModal && (
+      {cancelling && (
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingDoctor ? 'Edit Doctor' : 'Add New Doctor'}</h2>
-              <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
+              <h2>Cancel Appointment</h2>
+              <button className="close-btn" onClick={() => setCancelling(null)}>
                 <i className="fas fa-times"></i>
               </button>
             </div>
-            <form onSubmit={handleSubmit}>
-              <div className="form-group">
-                <label>First Name *</label>
-                <input
-                  type="text"
-                  name="firstName"
-                  value={formData.firstName}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
+            <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+              {cancelling.patientId?.firstName} {cancelling.patientId?.lastName} with Dr. {cancelling.doctorId?.lastName} on {new Date(cancelling.appointmentDate).toLocaleString()}.
+              The patient will be notified.
+            </p>
+            <form onSubmit={handleStaffCancel}>
               <div className="form-group">
-                <label>Last Name *</label>
-                <input
-                  type="text"
-                  name="lastName"
-                  value={formData.lastName}
-                  onChange={handleInputChange}
-                  required
-                />
+                <label>Reason *</label>
+                <select
+                  value={cancelForm.reason}
+                  onChange={(e) => setCancelForm({ ...cancelForm, reason: e.target.value })}
+                >
+                  {Object.entries(CANCELLATION_REASONS).map(([reason, label]) => (
+                    <option key={reason} value={reason}>{label}</option>
+                  ))}
+                </select>
               </div>
               <div className="form-group">
-                <label>Specialization *</label>
-                <input
-                  type="text"
-                  name="specialization"
-                  value={formData.specialization}
-                  onChange={handleInputChange}
-                  required
+                <label>Note</label>
+                <textarea
+                  rows="3"
+                  value={cancelForm.note}
+                  onChange={(e) => setCancelForm({ ...cancelForm, note: e.target.value })}
                 />
               </div>
+              {cancelling.seriesId && (
+                <ScopeChoice value={cancelForm.scope} onChange={(scope) => setCancelForm({ ...cancelForm, scope })} verb="Cancel" />
+              )}
+              <button type="submit" className="btn btn-danger" style={{ width: '100%' }}>
+                Cancel Appointment
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {rescheduling && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h2>Reschedule Appointment</h2>
+              <button className="close-btn" onClick={() => setRescheduling(null)}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+            <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+              Currently {new Date(rescheduling.appointmentDate).toLocaleString()} with Dr. {rescheduling.doctorId?.firstName} {rescheduling.doctorId?.lastName}.
+              The new time needs to be confirmed by the hospital.
+            </p>
+            <form onSubmit={handleReschedule}>
               <div className="form-group">
-                <label>Department</label>
-                <input
-                  type="text"
-                  name="department"
-                  value={formData.department}
-                  onChange={handleInputChange}
-                  placeholder="e.g., Cardiology, Pediatrics"
+                <label>New Date & Time *</label>
+                <SlotPicker
+                  doctorId={rescheduling.doctorId?._id}
+                  value={rescheduleDate}
+                  onChange={setRescheduleDate}
+                  excludeId={rescheduling._id}
                 />
+                <FieldError errors={formErrors} field="appointmentDate" />
               </div>
+              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                Move Appointment
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h2>{editingAppointment ? 'Edit Appointment' : 'Add New Appointment'}</h2>
+              <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+            <form onSubmit={handleSubmit}>
               <div className="form-group">
-                <label>Years of Experience</label>
-                <input
-                  type="number"
-                  name="experience"
-                  value={formData.experience}
-                  onChange={handleInputChange}
+                <label>Patient *</label>
+                <PatientPicker
+                  value={formData.patientId}
+                  onChange={(patientId) => setFormData({ ...formData, patientId })}
+                  initialPatient={editingAppointment?.patientId}
+                  required
                 />
+                <FieldError errors={formErrors} field="patientId" />
               </div>
               <div className="form-group">
-                <label>Phone</label>
-                <input
-                  type="tel"
-                  name="phone"
-                  value={formData.phone}
-                  onChange={handleInputChange}
-                />
+                <label>Doctor *</label>
+                <select
+                  name="doctorId"
+                  value={formData.doctorId}
+                  onChange={(e) => setFormData({ ...formData, doctorId: e.target.value, appointmentDate: '' })}
+                  required
+                >
+                  <option value="">Select Doctor</option>
+                  {doctors.map(doctor => (
+                    <option key={doctor._id} value={doctor._id}>
+                      Dr. {doctor.firstName} {doctor.lastName} - {doctor.specialization}
+                    </option>
+                  ))}
+                </select>
+                <FieldError errors={formErrors} field="doctorId" />
               </div>
               <div className="form-group">
-                <label>Email</label>
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleInputChange}
+                <label>Appointment Date & Time *</label>
+                <SlotPicker
+                  doctorId={formData.doctorId}
+                  value={formData.appointmentDate}
+                  onChange={(appointmentDate) => setFormData({ ...formData, appointmentDate })}
+                  excludeId={editingAppointment?._id}
                 />
+                <FieldError errors={formErrors} field="appointmentDate" />
               </div>
               <div className="form-group">
-                <label>License Number</label>
+                <label>Reason *</label>
                 <input
                   type="text"
-                  name="licenseNumber"
-                  value={formData.licenseNumber}
+                  name="reason"
+                  value={formData.reason}
                   onChange={handleInputChange}
+                  required
                 />
+                <FieldError errors={formErrors} field="reason" />
               </div>
               <div className="form-group">
-                <label>Avatar URL (Optional)</label>
-                <input
-                  type="url"
-                  name="avatar"
-                  value={formData.avatar}
+                <label>Priority</label>
+                <select
+                  name="priority"
+                  value={formData.priority}
                   onChange={handleInputChange}
-                  placeholder="https://example.com/avatar.jpg"
-                />
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                </select>
+                <FieldError errors={formErrors} field="priority" />
+              </div>
+              {!editingAppointment && (
+                <div className="form-group">
+                  <label>Repeat</label>
+                  <select
+                    value={repeat.frequency}
+                    onChange={(e) => setRepeat({ ...repeat, frequency: e.target.value })}
+                  >
+                    <option value="">Does not repeat</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="daily">Every few days</option>
+                  </select>
+                  {repeat.frequency && (
+                    <div className="repeat-options">
+                      <label>
+                        Every
+                        <input
+                          type="number"
+                          min="1"
+                          max="52"
+                          value={repeat.interval}
+                          onChange={(e) => setRepeat({ ...repeat, interval: e.target.value })}
+                        />
+                        {repeat.frequency === 'weekly' ? 'week(s)' : 'day(s)'}
+                      </label>
+                      <label>
+                        <input type="radio" checked={repeat.ends === 'count'} onChange={() => setRepeat({ ...repeat, ends: 'count' })} />
+                        After
+                        <input
+                          type="number"
+                          min="2"
+                          max="52"
+                          value={repeat.count}
+                          onChange={(e) => setRepeat({ ...repeat, ends: 'count', count: e.target.value })}
+                        />
+                        visits
+                      </label>
+                      <label>
+                        <input type="radio" checked={repeat.ends === 'until'} onChange={() => setRepeat({ ...repeat, ends: 'until' })} />
+                        Until
+                        <input
+                          type="date"
+                          value={repeat.until}
+                          onChange={(e) => setRepeat({ ...repeat, ends: 'until', until: e.target.value })}
+                        />
+                      </label>
+                    </div>
+                  )}
+                  <FieldError errors={formErrors} field="recurrence" />
+                </div>
+              )}
+              {seriesConflicts && (
+                <div className="alert alert-warning">
+                  <i className="fas fa-exclamation-triangle"></i> These visits clash with the doctor's schedule:
+                  <ul className="series-conflicts">
+                    {seriesConflicts.map(conflict => (
+                      <li key={conflict.appointmentDate}>
+                        {new Date(conflict.appointmentDate).toLocaleString()} - {conflict.message}
+                      </li>
+                    ))}
+                  </ul>
+                  {!editingAppointment && (
+                    <button type="button" className="btn btn-secondary" onClick={() => saveAppointment(true)}>
+                      Book the other visits only
+                    </button>
+                  )}
+                </div>
+              )}
+              {editingAppointment?.seriesId && (
+                <ScopeChoice value={editScope} onChange={setEditScope} verb="Apply changes to" />
+              )}
+              {!editingAppointment && (
+                <div className="form-group">
+                  <label>Status</label>
+                  <select
+                    name="status"
+                    value={formData.status}
+                    onChange={handleInputChange}
+                  >
+                    <option value="pending">Pending</option>
+                    <option value="confirmed">Confirmed</option>
+                  </select>
+                  <FieldError errors={formErrors} field="status" />
+                </div>
+              )}
+              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                {editingAppointment ? 'Update Appointment' : 'Add Appointment'}
+              </button>
+            </form>
+            {editingAppointment?.statusHistory?.length > 0 && (
+              <div className="status-history">
+                <h4>Status History</h4>
+                <ul>
+                  {editingAppointment.statusHistory.map((entry, index) => (
+                    <li key={index}>
+                      <span>{new Date(entry.at).toLocaleString()}</span>
+                      <span>
+                        {APPOINTMENT_STATUS_LABELS[entry.from] || entry.from} &rarr; <AppointmentStatusBadge status={entry.to} />
+                      </span>
+                      <span>{entry.by?.name || (entry.by ? 'Staff' : 'Automatic')}{entry.note ? ` - ${entry.note}` : ''}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Medical Records Component (Updated)
+const REVISION_FIELDS = [
+  { field: 'diagnosis', label: 'Diagnosis' },
+  { field: 'prescription', label: 'Prescription' },
+  { field: 'treatment', label: 'Treatment' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'followUpDate', label: 'Follow-up' },
+  { field: 'attachments', label: 'Attachments' },
+  { field: 'doctorId', label: 'Doctor' },
+  { field: 'patientId', label: 'Patient' }
+];
+
+const REVISION_LABELS = {
+  created: 'Created',
+  updated: 'Edited',
+  signed: 'Signed',
+  amended: 'Amended'
+};
+
+const revisionValue = (snapshot, field) => {
+  const value = snapshot?.[field];
+  if (field === 'followUpDate') return value ? new Date(value).toLocaleDateString() : '';
+  if (field === 'attachments') return (value || []).join(', ');
+  return value ? String(value) : '';
+};
+
+// Timeline of a medical record's revisions, each compared side by side
+// with the one before it
+const RecordHistory = ({ record, doctors, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [record._id]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await axios.get(`/api/medical-records/${record._id}/history`);
+      setRevisions(response.data.revisions);
+      setSelected(response.data.revisions.length - 1);
+    } catch (error) {
+      console.error('Error fetching record history:', error);
+    }
+    setLoading(false);
+  };
+
+  const doctorName = (id) => {
+    const doctor = doctors.find(d => d._id === id);
+    return doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : id;
+  };
+
+  const displayValue = (snapshot, field) => {
+    const value = revisionValue(snapshot, field);
+    if (field === 'doctorId' && value) return doctorName(value);
+    if (field === 'patientId' && value === record.patientId?._id) return patientName(record.patientId);
+    return value;
+  };
+
+  const revision = revisions[selected];
+  const previous = selected > 0 ? revisions[selected - 1] : null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content" style={{ maxWidth: '900px' }}>
+        <div className="modal-header">
+          <h2><i className="fas fa-history"></i> Record History</h2>
+          <button className="close-btn" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <div className="record-history">
+            <ol className="revision-timeline">
+              {revisions.map((item, index) => (
+                <li
+                  key={item.version}
+                  className={index === selected ? 'active' : ''}
+                  onClick={() => setSelected(index)}
+                >
+                  <strong>v{item.version} · {REVISION_LABELS[item.change]}</strong>
+                  <span>{new Date(item.editedAt).toLocaleString()}</span>
+                  <span>{item.editedBy?.name || 'Before history was kept'}</span>
+                </li>
+              ))}
+            </ol>
+
+            {revision && (
+              <div>
+                {revision.change === 'amended' && (
+                  <div className="alert alert-warning">
+                    <strong>Amendment:</strong> {revision.amendment?.text}
+                    {revision.amendment?.reason && <div><em>Reason: {revision.amendment.reason}</em></div>}
+                  </div>
+                )}
+                {revision.change === 'signed' && (
+                  <div className="alert alert-success">
+                    <i className="fas fa-signature"></i> Signed by {revision.editedBy?.name || 'unknown'}. Later corrections are amendments.
+                  </div>
+                )}
+                <table className="audit-changes revision-diff">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>{previous ? `v${previous.version}` : 'Before'}</th>
+                      <th>v{revision.version}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {REVISION_FIELDS.map(({ field, label }) => {
+                      const before = previous ? displayValue(previous.snapshot, field) : '';
+                      const after = displayValue(revision.snapshot, field);
+                      const changed = previous && before !== after;
+                      return (
+                        <tr key={field} className={changed ? 'changed' : ''}>
+                          <td>{label}</td>
+                          <td className={changed ? 'removed' : ''}>{before}</td>
+                          <td className={changed ? 'added' : ''}>{after}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
               </div>
-              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingDoctor ? 'Update Doctor' : 'Add Doctor'}
-              </button>
-            </form>
+            )}
           </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Adds a correction to a record without changing what was written
+const AmendmentForm = ({ record, onSaved, onClose }) => {
+  const [formData, setFormData] = useState({ text: '', reason: '' });
+  const [formErrors, setFormErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    setMessage(null);
+    try {
+      await axios.post(`/api/medical-records/${record._id}/amendments`, formData);
+      onSaved();
+    } catch (error) {
+      console.error('Error adding amendment:', error);
+      setFormErrors(getValidationErrors(error));
+      if (error.response?.status !== 422) {
+        setMessage(error.response?.data?.message || 'Could not add the amendment');
+      }
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>Add Amendment</h2>
+          <button className="close-btn" onClick={onClose}>
+            <i className="fas fa-times"></i>
+          </button>
         </div>
-      )}
+        <p style={{ color: '#6b7280', marginBottom: '20px' }}>
+          {record.signedAt
+            ? 'This record is signed. The original entry stays as it was and the amendment is added alongside it.'
+            : 'The amendment is added alongside the original entry.'}
+        </p>
+        {message && (
+          <div className="alert alert-error">
+            <i className="fas fa-exclamation-circle"></i> {message}
+          </div>
+        )}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Amendment *</label>
+            <textarea
+              value={formData.text}
+              onChange={(e) => setFormData({ ...formData, text: e.target.value })}
+              rows="4"
+              required
+            ></textarea>
+            <FieldError errors={formErrors} field="text" />
+          </div>
+          <div className="form-group">
+            <label>Reason</label>
+            <input
+              type="text"
+              value={formData.reason}
+              onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+              placeholder="e.g. Lab results received"
+            />
+            <FieldError errors={formErrors} field="reason" />
+          </div>
+          <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+            Add Amendment
+          </button>
+        </form>
+      </div>
     </div>
   );
 };
 
-// Appointments Component (Updated)
-const Appointments = () => {
-  const [appointments, setAppointments] = useState([]);
-  const [patients, setPatients] = useState([]);
+const MedicalRecords = () => {
+  const [records, setRecords] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingAppointment, setEditingAppointment] = useState(null);
+  const [editingRecord, setEditingRecord] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [amendingRecord, setAmendingRecord] = useState(null);
+  const [message, setMessage] = useState(null);
   const [formData, setFormData] = useState({
     patientId: '',
     doctorId: '',
-    appointmentDate: '',
-    reason: '',
-    status: 'pending',
-    priority: 'medium'
+    diagnosis: '',
+    prescription: '',
+    treatment: '',
+    notes: '',
+    followUpDate: '',
+    attachments: []
   });
+  const { user } = useAuth();
+  const isPatient = user?.role === 'patient';
 
   useEffect(() => {
-    fetchAppointments();
-    fetchPatients();
-    fetchDoctors();
+    if (!isPatient) {
+      fetchDoctors();
+    }
   }, []);
 
-  const fetchAppointments = async () => {
+  useEffect(() => {
+    fetchRecords();
+  }, [page, debouncedSearch]);
+
+  const fetchRecords = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/appointments');
-      setAppointments(response.data);
+      const response = isPatient
+        ? await axios.get('/api/me/medical-records')
+        : await axios.get('/api/medical-records', {
+          params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined }
+        });
+      setRecords(response.data);
+      setTotal(getTotalCount(response));
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching appointments:', error);
+      console.error('Error fetching medical records:', error);
       setLoading(false);
     }
   };
 
-  const fetchPatients = async () => {
-    try {
-      const response = await axios.get('/api/patients');
-      setPatients(response.data);
-    } catch (error) {
-      console.error('Error fetching patients:', error);
-    }
-  };
-
   const fetchDoctors = async () => {
     try {
       const response = await axios.get('/api/doctors');
@@ -2280,40 +5367,66 @@ const Appointments = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFormErrors([]);
     try {
-      if (editingAppointment) {
-        await axios.put(`/api/appointments/${editingAppointment._id}`, formData);
+      const response = editingRecord
+        ? await axios.put(`/api/medical-records/${editingRecord._id}`, formData)
+        : await axios.post('/api/medical-records', formData);
+      // Saving a new follow-up date books the appointment for it
+      const { followUpAppointment } = response.data;
+      if (followUpAppointment) {
+        setMessage({ type: 'success', text: `Follow-up appointment booked for ${new Date(followUpAppointment.appointmentDate).toLocaleString()}.` });
+      } else if (followUpAppointment === null && response.data.followUpDate) {
+        setMessage({ type: 'warning', text: 'The doctor has no free slot within a week of the follow-up date. Please book the follow-up by hand.' });
       } else {
-        await axios.post('/api/appointments', formData);
+        setMessage(null);
       }
-      fetchAppointments();
+      fetchRecords();
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving appointment:', error);
+      console.error('Error saving medical record:', error);
+      setFormErrors(getValidationErrors(error));
+      if (error.response?.status === 409) {
+        window.alert(error.response.data.message);
+      }
     }
   };
 
-  const handleEdit = (appointment) => {
-    setEditingAppointment(appointment);
+  const handleSign = async (record) => {
+    if (!window.confirm('Sign this record? Signed records cannot be edited, only amended.')) return;
+    try {
+      await axios.post(`/api/medical-records/${record._id}/sign`);
+      fetchRecords();
+    } catch (error) {
+      console.error('Error signing medical record:', error);
+      window.alert(error.response?.data?.message || 'Could not sign the record');
+    }
+  };
+
+  const handleEdit = (record) => {
+    setEditingRecord(record);
     setFormData({
-      patientId: appointment.patientId?._id || appointment.patientId || '',
-      doctorId: appointment.doctorId?._id || appointment.doctorId || '',
-      appointmentDate: appointment.appointmentDate ? appointment.appointmentDate.split('T')[0] : '',
-      reason: appointment.reason || '',
-      status: appointment.status || 'pending',
-      priority: appointment.priority || 'medium'
+      patientId: record.patientId?._id || record.patientId || '',
+      doctorId: record.doctorId?._id || record.doctorId || '',
+      diagnosis: record.diagnosis || '',
+      prescription: record.prescription || '',
+      treatment: record.treatment || '',
+      notes: record.notes || '',
+      followUpDate: record.followUpDate ? record.followUpDate.split('T')[0] : '',
+      attachments: record.attachments || []
     });
     setShowModal(true);
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this appointment?')) {
+    if (window.confirm('Move this medical record to the trash?')) {
       try {
-        await axios.delete(`/api/appointments/${id}`);
-        fetchAppointments();
+        await axios.delete(`/api/medical-records/${id}`);
+        fetchRecords();
       } catch (error) {
-        console.error('Error deleting appointment:', error);
+        console.error('Error deleting medical record:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
       }
     }
   };
@@ -2322,67 +5435,45 @@ const Appointments = () => {
     setFormData({
       patientId: '',
       doctorId: '',
-      appointmentDate: '',
-      reason: '',
-      status: 'pending',
-      priority: 'medium'
+      diagnosis: '',
+      prescription: '',
+      treatment: '',
+      notes: '',
+      followUpDate: '',
+      attachments: []
     });
-    setEditingAppointment(null);
-  };
-
-  const filteredAppointments = appointments.filter(appointment =>
-    (appointment.patientId?.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     appointment.patientId?.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     appointment.doctorId?.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     appointment.doctorId?.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     appointment.reason?.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
-
-  const getStatusBadge = (status) => {
-    const statusClasses = {
-      pending: 'badge-pending',
-      confirmed: 'badge-confirmed',
-      completed: 'badge-completed',
-      cancelled: 'badge-cancelled'
-    };
-    return (
-      <span className={`badge ${statusClasses[status]}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
-      </span>
-    );
-  };
-
-  const getPriorityBadge = (priority) => {
-    const priorityClasses = {
-      high: 'priority-high',
-      medium: 'priority-medium',
-      low: 'priority-low'
-    };
-    return (
-      <span className={priorityClasses[priority]}>
-        {priority.charAt(0).toUpperCase() + priority.slice(1)}
-      </span>
-    );
+    setEditingRecord(null);
+    setFormErrors([]);
   };
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-calendar-check"></i> Appointments Management</h1>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Appointment
-        </button>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-file-medical"></i> {isPatient ? 'My Medical Records' : 'Medical Records'}</h1>
+        {!isPatient && (
+          <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+            <i className="fas fa-plus"></i> Add Medical Record
+          </button>
+        )}
       </div>
 
-      <div className="search-bar">
-        <i className="fas fa-search"></i>
-        <input
-          type="text"
-          placeholder="Search appointments..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-        />
-      </div>
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-triangle'}`}></i> {message.text}
+        </div>
+      )}
+
+      {!isPatient && (
+        <div className="search-bar">
+          <i className="fas fa-search"></i>
+          <input
+            type="text"
+            placeholder="Search medical records..."
+            value={searchTerm}
+            onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
+          />
+        </div>
+      )}
 
       {loading ? (
         <div className="loading">
@@ -2395,41 +5486,85 @@ const Appointments = () => {
               <tr>
                 <th>Patient</th>
                 <th>Doctor</th>
-                <th>Date & Time</th>
-                <th>Reason</th>
-                <th>Priority</th>
-                <th>Status</th>
-                <th>Actions</th>
+                <th>Diagnosis</th>
+                <th>Date</th>
+                <th>Follow-up</th>
+                {!isPatient && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
-              {filteredAppointments.map((appointment) => (
-                <tr key={appointment._id}>
-                  <td>{appointment.patientId?.firstName} {appointment.patientId?.lastName}</td>
-                  <td>Dr. {appointment.doctorId?.firstName} {appointment.doctorId?.lastName}</td>
-                  <td>{new Date(appointment.appointmentDate).toLocaleString()}</td>
-                  <td>{appointment.reason}</td>
-                  <td>{getPriorityBadge(appointment.priority)}</td>
-                  <td>{getStatusBadge(appointment.status)}</td>
+              {records.map((record) => (
+                <tr key={record._id}>
+                  <td>{record.patientId?.firstName} {record.patientId?.lastName}</td>
+                  <td>Dr. {record.doctorId?.firstName} {record.doctorId?.lastName}</td>
                   <td>
-                    <button
-                      className="btn btn-warning"
-                      onClick={() => handleEdit(appointment)}
-                      style={{ marginRight: '10px' }}
-                    >
-                      <i className="fas fa-edit"></i>
-                    </button>
-                    <button
-                      className="btn btn-danger"
-                      onClick={() => handleDelete(appointment._id)}
-                    >
-                      <i className="fas fa-trash"></i>
-                    </button>
+                    {record.diagnosis}
+                    {record.signedAt && (
+                      <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+                        <i className="fas fa-signature"></i> Signed {new Date(record.signedAt).toLocaleDateString()}
+                        {record.signedBy?.name && ` by ${record.signedBy.name}`}
+                      </div>
+                    )}
+                    {record.amendments?.map(amendment => (
+                      <div key={amendment._id} className="record-amendment">
+                        <strong>Amendment ({new Date(amendment.createdAt).toLocaleDateString()}{amendment.authorId?.name && `, ${amendment.authorId.name}`}):</strong> {amendment.text}
+                      </div>
+                    ))}
                   </td>
+                  <td>{new Date(record.createdAt).toLocaleDateString()}</td>
+                  <td>{record.followUpDate ? new Date(record.followUpDate).toLocaleDateString() : 'N/A'}</td>
+                  {!isPatient && (
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {record.signedAt ? (
+                        <button
+                          className="btn btn-warning"
+                          onClick={() => setAmendingRecord(record)}
+                          style={{ marginRight: '10px' }}
+                          title="Add amendment"
+                        >
+                          <i className="fas fa-file-signature"></i>
+                        </button>
+                      ) : (
+                        <>
+                          <button
+                            className="btn btn-warning"
+                            onClick={() => handleEdit(record)}
+                            style={{ marginRight: '10px' }}
+                            title="Edit"
+                          >
+                            <i className="fas fa-edit"></i>
+                          </button>
+                          <button
+                            className="btn btn-success"
+                            onClick={() => handleSign(record)}
+                            style={{ marginRight: '10px' }}
+                            title="Sign"
+                          >
+                            <i className="fas fa-signature"></i>
+                          </button>
+                        </>
+                      )}
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => setHistoryRecord(record)}
+                        style={{ marginRight: '10px' }}
+                        title="History"
+                      >
+                        <i className="fas fa-history"></i>
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => handleDelete(record._id)}
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
         </div>
       )}
 
@@ -2437,7 +5572,7 @@ const Appointments = () => {
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingAppointment ? 'Edit Appointment' : 'Add New Appointment'}</h2>
+              <h2>{editingRecord ? 'Edit Medical Record' : 'Add New Medical Record'}</h2>
               <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
@@ -2445,19 +5580,13 @@ const Appointments = () => {
             <form onSubmit={handleSubmit}>
               <div className="form-group">
                 <label>Patient *</label>
-                <select
-                  name="patientId"
+                <PatientPicker
                   value={formData.patientId}
-                  onChange={handleInputChange}
+                  onChange={(patientId) => setFormData({ ...formData, patientId })}
+                  initialPatient={editingRecord?.patientId}
                   required
-                >
-                  <option value="">Select Patient</option>
-                  {patients.map(patient => (
-                    <option key={patient._id} value={patient._id}>
-                      {patient.firstName} {patient.lastName}
-                    </option>
-                  ))}
-                </select>
+                />
+                <FieldError errors={formErrors} field="patientId" />
               </div>
               <div className="form-group">
                 <label>Doctor *</label>
@@ -2470,120 +5599,153 @@ const Appointments = () => {
                   <option value="">Select Doctor</option>
                   {doctors.map(doctor => (
                     <option key={doctor._id} value={doctor._id}>
-                      Dr. {doctor.firstName} {doctor.lastName} - {doctor.specialization}
+                      Dr. {doctor.firstName} {doctor.lastName}
                     </option>
                   ))}
                 </select>
+                <FieldError errors={formErrors} field="doctorId" />
               </div>
               <div className="form-group">
-                <label>Appointment Date & Time *</label>
-                <input
-                  type="datetime-local"
-                  name="appointmentDate"
-                  value={formData.appointmentDate}
+                <label>Diagnosis *</label>
+                <textarea
+                  name="diagnosis"
+                  value={formData.diagnosis}
                   onChange={handleInputChange}
+                  rows="3"
                   required
-                />
+                ></textarea>
+                <FieldError errors={formErrors} field="diagnosis" />
+              </div>
+              <div className="form-group">
+                <label>Prescription</label>
+                <textarea
+                  name="prescription"
+                  value={formData.prescription}
+                  onChange={handleInputChange}
+                  rows="3"
+                  placeholder="Medication prescriptions"
+                ></textarea>
+                <FieldError errors={formErrors} field="prescription" />
+              </div>
+              <div className="form-group">
+                <label>Treatment</label>
+                <textarea
+                  name="treatment"
+                  value={formData.treatment}
+                  onChange={handleInputChange}
+                  rows="3"
+                  placeholder="Treatment plan and procedures"
+                ></textarea>
+                <FieldError errors={formErrors} field="treatment" />
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleInputChange}
+                  rows="3"
+                ></textarea>
+                <FieldError errors={formErrors} field="notes" />
               </div>
               <div className="form-group">
-                <label>Reason *</label>
+                <label>Follow-up Date</label>
                 <input
-                  type="text"
-                  name="reason"
-                  value={formData.reason}
+                  type="date"
+                  name="followUpDate"
+                  value={formData.followUpDate}
                   onChange={handleInputChange}
-                  required
                 />
+                <FieldError errors={formErrors} field="followUpDate" />
               </div>
               <div className="form-group">
-                <label>Priority</label>
-                <select
-                  name="priority"
-                  value={formData.priority}
-                  onChange={handleInputChange}
-                >
-                  <option value="low">Low</option>
-                  <option value="medium">Medium</option>
-                  <option value="high">High</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Status</label>
-                <select
-                  name="status"
-                  value={formData.status}
-                  onChange={handleInputChange}
-                >
-                  <option value="pending">Pending</option>
-                  <option value="confirmed">Confirmed</option>
-                  <option value="completed">Completed</option>
-                  <option value="cancelled">Cancelled</option>
-                </select>
+                <label>Attachments (URLs, comma separated)</label>
+                <textarea
+                  name="attachments"
+                  value={formData.attachments.join(', ')}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    attachments: e.target.value.split(',').map(url => url.trim()).filter(url => url)
+                  })}
+                  rows="2"
+                  placeholder="https://example.com/report1.pdf, https://example.com/xray.jpg"
+                ></textarea>
+                <FieldError errors={formErrors} field="attachments" />
               </div>
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingAppointment ? 'Update Appointment' : 'Add Appointment'}
+                {editingRecord ? 'Update Record' : 'Add Record'}
               </button>
             </form>
           </div>
         </div>
       )}
+
+      {historyRecord && (
+        <RecordHistory record={historyRecord} doctors={doctors} onClose={() => setHistoryRecord(null)} />
+      )}
+
+      {amendingRecord && (
+        <AmendmentForm
+          record={amendingRecord}
+          onSaved={() => { setAmendingRecord(null); fetchRecords(); }}
+          onClose={() => setAmendingRecord(null)}
+        />
+      )}
     </div>
   );
 };
 
-// Medical Records Component (Updated)
-const MedicalRecords = () => {
-  const [records, setRecords] = useState([]);
-  const [patients, setPatients] = useState([]);
-  const [doctors, setDoctors] = useState([]);
+// Billing Component (Updated)
+const Billing = () => {
+  const [bills, setBills] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingRecord, setEditingRecord] = useState(null);
+  const [editingBill, setEditingBill] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [summary, setSummary] = useState({});
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
   const [formData, setFormData] = useState({
     patientId: '',
-    doctorId: '',
-    diagnosis: '',
-    prescription: '',
-    treatment: '',
-    notes: '',
-    followUpDate: '',
-    attachments: []
+    amount: '',
+    description: '',
+    dueDate: '',
+    status: 'pending',
+    paymentMethod: ''
   });
 
   useEffect(() => {
-    fetchRecords();
-    fetchPatients();
-    fetchDoctors();
+    fetchSummary();
   }, []);
 
-  const fetchRecords = async () => {
+  useEffect(() => {
+    fetchBills();
+  }, [page, debouncedSearch, statusFilter]);
+
+  const fetchBills = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/medical-records');
-      setRecords(response.data);
+      const response = await axios.get('/api/billing', {
+        params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined, status: statusFilter || undefined }
+      });
+      setBills(response.data);
+      setTotal(getTotalCount(response));
       setLoading(false);
     } catch (error) {
-      console.error('Error fetching medical records:', error);
+      console.error('Error fetching bills:', error);
       setLoading(false);
     }
   };
 
-  const fetchPatients = async () => {
-    try {
-      const response = await axios.get('/api/patients');
-      setPatients(response.data);
-    } catch (error) {
-      console.error('Error fetching patients:', error);
-    }
-  };
-
-  const fetchDoctors = async () => {
+  const fetchSummary = async () => {
     try {
-      const response = await axios.get('/api/doctors');
-      setDoctors(response.data);
+      const response = await axios.get('/api/billing/summary');
+      setSummary(response.data);
     } catch (error) {
-      console.error('Error fetching doctors:', error);
+      console.error('Error fetching billing summary:', error);
     }
   };
 
@@ -2596,42 +5758,45 @@ const MedicalRecords = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFormErrors([]);
     try {
-      if (editingRecord) {
-        await axios.put(`/api/medical-records/${editingRecord._id}`, formData);
+      if (editingBill) {
+        await axios.put(`/api/billing/${editingBill._id}`, formData);
       } else {
-        await axios.post('/api/medical-records', formData);
+        await axios.post('/api/billing', formData);
       }
-      fetchRecords();
+      fetchBills();
+      fetchSummary();
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving medical record:', error);
+      console.error('Error saving bill:', error);
+      setFormErrors(getValidationErrors(error));
     }
   };
 
-  const handleEdit = (record) => {
-    setEditingRecord(record);
+  const handleEdit = (bill) => {
+    setEditingBill(bill);
     setFormData({
-      patientId: record.patientId?._id || record.patientId || '',
-      doctorId: record.doctorId?._id || record.doctorId || '',
-      diagnosis: record.diagnosis || '',
-      prescription: record.prescription || '',
-      treatment: record.treatment || '',
-      notes: record.notes || '',
-      followUpDate: record.followUpDate ? record.followUpDate.split('T')[0] : '',
-      attachments: record.attachments || []
+      patientId: bill.patientId?._id || bill.patientId || '',
+      amount: bill.amount || '',
+      description: bill.description || '',
+      dueDate: bill.dueDate ? bill.dueDate.split('T')[0] : '',
+      status: bill.status || 'pending',
+      paymentMethod: bill.paymentMethod || ''
     });
     setShowModal(true);
   };
 
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this medical record?')) {
+    if (window.confirm('Move this bill to the trash?')) {
       try {
-        await axios.delete(`/api/medical-records/${id}`);
-        fetchRecords();
+        await axios.delete(`/api/billing/${id}`);
+        fetchBills();
+        fetchSummary();
       } catch (error) {
-        console.error('Error deleting medical record:', error);
+        console.error('Error deleting bill:', error);
+        window.alert(error.response?.data?.message || 'Delete failed');
       }
     }
   };
@@ -2639,41 +5804,81 @@ const MedicalRecords = () => {
   const resetForm = () => {
     setFormData({
       patientId: '',
-      doctorId: '',
-      diagnosis: '',
-      prescription: '',
-      treatment: '',
-      notes: '',
-      followUpDate: '',
-      attachments: []
+      amount: '',
+      description: '',
+      dueDate: '',
+      status: 'pending',
+      paymentMethod: ''
     });
-    setEditingRecord(null);
+    setEditingBill(null);
+    setFormErrors([]);
   };
 
-  const filteredRecords = records.filter(record =>
-    (record.patientId?.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     record.patientId?.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     record.diagnosis?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     record.treatment?.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
+  const getStatusBadge = (status) => {
+    const statusClasses = {
+      pending: 'badge-pending',
+      paid: 'badge-paid',
+      overdue: 'badge-overdue'
+    };
+    return (
+      <span className={`badge ${statusClasses[status]}`}>
+        {status.charAt(0).toUpperCase() + status.slice(1)}
+      </span>
+    );
+  };
+
+  const totalRevenue = summary.paid?.total || 0;
+  const pendingRevenue = summary.pending?.total || 0;
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-file-medical"></i> Medical Records</h1>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-money-bill"></i> Billing Management</h1>
         <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Medical Record
+          <i className="fas fa-plus"></i> Add Bill
         </button>
       </div>
 
-      <div className="search-bar">
+      <div className="dashboard-grid">
+        <div className="stat-card">
+          <i className="fas fa-money-bill-wave" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
+          <h3>RWF {totalRevenue.toLocaleString()}</h3>
+          <p>Total Revenue</p>
+        </div>
+        <div className="stat-card">
+          <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
+          <h3>RWF {pendingRevenue.toLocaleString()}</h3>
+          <p>Pending Payments</p>
+        </div>
+        <div className="stat-card">
+          <i className="fas fa-file-invoice" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
+          <h3>{summary.pending?.count || 0}</h3>
+          <p>Pending Bills</p>
+        </div>
+        <div className="stat-card">
+          <i className="fas fa-check-circle" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
+          <h3>{summary.paid?.count || 0}</h3>
+          <p>Paid Bills</p>
+        </div>
+      </div>
+
+      <div className="search-bar with-filter">
         <i className="fas fa-search"></i>
         <input
           type="text"
-          placeholder="Search medical records..."
+          placeholder="Search bills..."
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
         />
+        <select
+          value={statusFilter}
+          onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}
+        >
+          <option value="">All Statuses</option>
+          <option value="pending">Pending</option>
+          <option value="paid">Paid</option>
+          <option value="overdue">Overdue</option>
+        </select>
       </div>
 
       {loading ? (
@@ -2685,33 +5890,37 @@ const MedicalRecords = () => {
           <table className="table">
             <thead>
               <tr>
+                <th>Invoice #</th>
                 <th>Patient</th>
-                <th>Doctor</th>
-                <th>Diagnosis</th>
-                <th>Date</th>
-                <th>Follow-up</th>
+                <th>Description</th>
+                <th>Amount</th>
+                <th>Due Date</th>
+                <th>Payment Method</th>
+                <th>Status</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredRecords.map((record) => (
-                <tr key={record._id}>
-                  <td>{record.patientId?.firstName} {record.patientId?.lastName}</td>
-                  <td>Dr. {record.doctorId?.firstName} {record.doctorId?.lastName}</td>
-                  <td>{record.diagnosis}</td>
-                  <td>{new Date(record.createdAt).toLocaleDateString()}</td>
-                  <td>{record.followUpDate ? new Date(record.followUpDate).toLocaleDateString() : 'N/A'}</td>
+              {bills.map((bill) => (
+                <tr key={bill._id}>
+                  <td><strong>{bill.invoiceNumber || `INV-${bill._id.substring(0,8)}`}</strong></td>
+                  <td>{bill.patientId?.firstName} {bill.patientId?.lastName}</td>
+                  <td>{bill.description}</td>
+                  <td><strong>RWF {bill.amount?.toLocaleString()}</strong></td>
+                  <td>{new Date(bill.dueDate).toLocaleDateString()}</td>
+                  <td>{bill.paymentMethod || 'N/A'}</td>
+                  <td>{getStatusBadge(bill.status)}</td>
                   <td>
                     <button
                       className="btn btn-warning"
-                      onClick={() => handleEdit(record)}
+                      onClick={() => handleEdit(bill)}
                       style={{ marginRight: '10px' }}
                     >
                       <i className="fas fa-edit"></i>
                     </button>
                     <button
                       className="btn btn-danger"
-                      onClick={() => handleDelete(record._id)}
+                      onClick={() => handleDelete(bill._id)}
                     >
                       <i className="fas fa-trash"></i>
                     </button>
@@ -2720,6 +5929,7 @@ const MedicalRecords = () => {
               ))}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
         </div>
       )}
 
@@ -2727,7 +5937,7 @@ const MedicalRecords = () => {
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingRecord ? 'Edit Medical Record' : 'Add New Medical Record'}</h2>
+              <h2>{editingBill ? 'Edit Bill' : 'Add New Bill'}</h2>
               <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
@@ -2735,99 +5945,78 @@ const MedicalRecords = () => {
             <form onSubmit={handleSubmit}>
               <div className="form-group">
                 <label>Patient *</label>
-                <select
-                  name="patientId"
+                <PatientPicker
                   value={formData.patientId}
-                  onChange={handleInputChange}
-                  required
-                >
-                  <option value="">Select Patient</option>
-                  {patients.map(patient => (
-                    <option key={patient._id} value={patient._id}>
-                      {patient.firstName} {patient.lastName}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Doctor *</label>
-                <select
-                  name="doctorId"
-                  value={formData.doctorId}
-                  onChange={handleInputChange}
-                  required
-                >
-                  <option value="">Select Doctor</option>
-                  {doctors.map(doctor => (
-                    <option key={doctor._id} value={doctor._id}>
-                      Dr. {doctor.firstName} {doctor.lastName}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Diagnosis *</label>
-                <textarea
-                  name="diagnosis"
-                  value={formData.diagnosis}
-                  onChange={handleInputChange}
-                  rows="3"
+                  onChange={(patientId) => setFormData({ ...formData, patientId })}
+                  initialPatient={editingBill?.patientId}
                   required
-                ></textarea>
-              </div>
-              <div className="form-group">
-                <label>Prescription</label>
-                <textarea
-                  name="prescription"
-                  value={formData.prescription}
-                  onChange={handleInputChange}
-                  rows="3"
-                  placeholder="Medication prescriptions"
-                ></textarea>
-              </div>
-              <div className="form-group">
-                <label>Treatment</label>
-                <textarea
-                  name="treatment"
-                  value={formData.treatment}
+                />
+                <FieldError errors={formErrors} field="patientId" />
+              </div>
+              <div className="form-group">
+                <label>Amount (RWF) *</label>
+                <input
+                  type="number"
+                  name="amount"
+                  value={formData.amount}
                   onChange={handleInputChange}
-                  rows="3"
-                  placeholder="Treatment plan and procedures"
-                ></textarea>
+                  required
+                />
+                <FieldError errors={formErrors} field="amount" />
               </div>
               <div className="form-group">
-                <label>Notes</label>
-                <textarea
-                  name="notes"
-                  value={formData.notes}
+                <label>Description *</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={formData.description}
                   onChange={handleInputChange}
-                  rows="3"
-                ></textarea>
+                  required
+                />
+                <FieldError errors={formErrors} field="description" />
               </div>
               <div className="form-group">
-                <label>Follow-up Date</label>
+                <label>Due Date *</label>
                 <input
                   type="date"
-                  name="followUpDate"
-                  value={formData.followUpDate}
+                  name="dueDate"
+                  value={formData.dueDate}
                   onChange={handleInputChange}
+                  required
                 />
+                <FieldError errors={formErrors} field="dueDate" />
               </div>
               <div className="form-group">
-                <label>Attachments (URLs, comma separated)</label>
-                <textarea
-                  name="attachments"
-                  value={formData.attachments.join(', ')}
-                  onChange={(e) => setFormData({
-                    ...formData,
-                    attachments: e.target.value.split(',').map(url => url.trim()).filter(url => url)
-                  })}
-                  rows="2"
-                  placeholder="https://example.com/report1.pdf, https://example.com/xray.jpg"
-                ></textarea>
+                <label>Payment Method</label>
+                <select
+                  name="paymentMethod"
+                  value={formData.paymentMethod}
+                  onChange={handleInputChange}
+                >
+                  <option value="">Select Payment Method</option>
+                  <option value="Cash">Cash</option>
+                  <option value="Bank Transfer">Bank Transfer</option>
+                  <option value="Mobile Money">Mobile Money</option>
+                  <option value="Credit Card">Credit Card</option>
+                  <option value="Insurance">Insurance</option>
+                </select>
+                <FieldError errors={formErrors} field="paymentMethod" />
+              </div>
+              <div className="form-group">
+                <label>Status</label>
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                >
+                  <option value="pending">Pending</option>
+                  <option value="paid">Paid</option>
+                  <option value="overdue">Overdue</option>
+                </select>
+                <FieldError errors={formErrors} field="status" />
               </div>
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingRecord ? 'Update Record' : 'Add Record'}
+                {editingBill ? 'Update Bill' : 'Add Bill'}
               </button>
             </form>
           </div>
@@ -2837,47 +6026,87 @@ const MedicalRecords = () => {
   );
 };
 
-// Billing Component (Updated)
-const Billing = () => {
-  const [bills, setBills] = useState([]);
-  const [patients, setPatients] = useState([]);
+// Login Component
+// Admin management of staff accounts
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [pendingUsers, setPendingUsers] = useState([]);
   const [showModal, setShowModal] = useState(false);
-  const [editingBill, setEditingBill] = useState(null);
+  const [editingUser, setEditingUser] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const debouncedSearch = useDebounce(searchTerm);
   const [loading, setLoading] = useState(true);
+  const [formErrors, setFormErrors] = useState([]);
+  const [message, setMessage] = useState(null);
   const [formData, setFormData] = useState({
-    patientId: '',
-    amount: '',
-    description: '',
-    dueDate: '',
-    status: 'pending',
-    paymentMethod: '',
-    invoiceNumber: ''
+    name: '',
+    email: '',
+    password: '',
+    phone: '',
+    role: 'nurse'
   });
+  const [twoFactorRoles, setTwoFactorRoles] = useState([]);
+  const [historyUser, setHistoryUser] = useState(null);
+  const { user: currentUser } = useAuth();
 
   useEffect(() => {
-    fetchBills();
-    fetchPatients();
+    fetchUsers();
+  }, [page, debouncedSearch, roleFilter]);
+
+  useEffect(() => {
+    fetchPendingUsers();
+    fetchSecuritySettings();
   }, []);
 
-  const fetchBills = async () => {
+  const fetchSecuritySettings = async () => {
     try {
-      setLoading(true);
-      const response = await axios.get('/api/billing');
-      setBills(response.data);
-      setLoading(false);
+      const response = await axios.get('/api/settings/security');
+      setTwoFactorRoles(response.data.twoFactorRequiredRoles);
     } catch (error) {
-      console.error('Error fetching bills:', error);
-      setLoading(false);
+      console.error('Error fetching security settings:', error);
     }
   };
 
-  const fetchPatients = async () => {
+  const handleTwoFactorRoleToggle = async (role) => {
+    const roles = twoFactorRoles.includes(role)
+      ? twoFactorRoles.filter(item => item !== role)
+      : [...twoFactorRoles, role];
     try {
-      const response = await axios.get('/api/patients');
-      setPatients(response.data);
+      const response = await axios.put('/api/settings/security', { twoFactorRequiredRoles: roles });
+      setTwoFactorRoles(response.data.twoFactorRequiredRoles);
+      setMessage({ type: 'success', text: 'Two-factor policy updated.' });
     } catch (error) {
-      console.error('Error fetching patients:', error);
+      console.error('Error updating security settings:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Update failed' });
+    }
+  };
+
+  const fetchPendingUsers = async () => {
+    try {
+      const response = await axios.get('/api/users', {
+        params: { approvalStatus: 'pending', limit: 100, sort: 'createdAt' }
+      });
+      setPendingUsers(response.data);
+    } catch (error) {
+      console.error('Error fetching pending registrations:', error);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/users', {
+        params: { page, limit: PAGE_SIZE, q: debouncedSearch || undefined, role: roleFilter || undefined }
+      });
+      setUsers(response.data);
+      setTotal(getTotalCount(response));
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      setLoading(false);
     }
   };
 
@@ -2890,126 +6119,239 @@ const Billing = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setFormErrors([]);
     try {
-      if (editingBill) {
-        await axios.put(`/api/billing/${editingBill._id}`, formData);
+      if (editingUser) {
+        const { name, phone, role } = formData;
+        await axios.put(`/api/users/${editingUser._id}`, { name, phone, role });
       } else {
-        await axios.post('/api/billing', formData);
+        await axios.post('/api/users', formData);
       }
-      fetchBills();
+      fetchUsers();
       setShowModal(false);
       resetForm();
     } catch (error) {
-      console.error('Error saving bill:', error);
+      console.error('Error saving user:', error);
+      setFormErrors(getValidationErrors(error));
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Save failed' });
     }
   };
 
-  const handleEdit = (bill) => {
-    setEditingBill(bill);
+  const handleEdit = (account) => {
+    setEditingUser(account);
     setFormData({
-      patientId: bill.patientId?._id || bill.patientId || '',
-      amount: bill.amount || '',
-      description: bill.description || '',
-      dueDate: bill.dueDate ? bill.dueDate.split('T')[0] : '',
-      status: bill.status || 'pending',
-      paymentMethod: bill.paymentMethod || '',
-      invoiceNumber: bill.invoiceNumber || ''
+      name: account.name || '',
+      email: account.email || '',
+      password: '',
+      phone: account.phone || '',
+      role: account.role
     });
+    setMessage(null);
     setShowModal(true);
   };
 
-  const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this bill?')) {
-      try {
-        await axios.delete(`/api/billing/${id}`);
-        fetchBills();
-      } catch (error) {
-        console.error('Error deleting bill:', error);
-      }
+  const handleToggleActive = async (account) => {
+    const action = account.active === false ? 'activate' : 'deactivate';
+    if (action === 'deactivate' && !window.confirm(`Deactivate ${account.name}? They will be signed out everywhere.`)) {
+      return;
+    }
+    try {
+      await axios.post(`/api/users/${account._id}/${action}`);
+      fetchUsers();
+    } catch (error) {
+      console.error(`Error trying to ${action} user:`, error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Update failed' });
     }
   };
 
-  const resetForm = () => {
-    setFormData({
-      patientId: '',
-      amount: '',
-      description: '',
-      dueDate: '',
-      status: 'pending',
-      paymentMethod: '',
-      invoiceNumber: ''
-    });
-    setEditingBill(null);
+  const handleApprove = async (account) => {
+    try {
+      await axios.post(`/api/users/${account._id}/approve`);
+      setMessage({ type: 'success', text: `${account.name} can now sign in.` });
+      fetchPendingUsers();
+      fetchUsers();
+    } catch (error) {
+      console.error('Error approving user:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Approval failed' });
+    }
   };
 
-  const filteredBills = bills.filter(bill =>
-    (bill.patientId?.firstName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     bill.patientId?.lastName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     bill.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     bill.invoiceNumber?.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
+  const handleReject = async (account) => {
+    const reason = window.prompt(`Reject ${account.name}'s registration? Optionally give a reason:`);
+    if (reason === null) return;
 
-  const getStatusBadge = (status) => {
-    const statusClasses = {
-      pending: 'badge-pending',
-      paid: 'badge-paid',
-      overdue: 'badge-overdue'
-    };
+    try {
+      await axios.post(`/api/users/${account._id}/reject`, { reason });
+      setMessage({ type: 'success', text: `${account.name}'s registration was rejected.` });
+      fetchPendingUsers();
+      fetchUsers();
+    } catch (error) {
+      console.error('Error rejecting user:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Rejection failed' });
+    }
+  };
+
+  const handleUnlock = async (account) => {
+    try {
+      await axios.post(`/api/users/${account._id}/unlock`);
+      setMessage({ type: 'success', text: `${account.name} can sign in again.` });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Unlock failed' });
+    }
+  };
+
+  const isLocked = (account) => account.lockedUntil && new Date(account.lockedUntil) > new Date();
+
+  const getStatusBadge = (account) => {
+    if (account.approvalStatus === 'pending') {
+      return <span className="badge badge-pending">Awaiting approval</span>;
+    }
+    if (account.approvalStatus === 'rejected') {
+      return <span className="badge badge-cancelled">Rejected</span>;
+    }
     return (
-      <span className={`badge ${statusClasses[status]}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+      <span className={`badge ${account.active === false ? 'badge-cancelled' : 'badge-completed'}`}>
+        {account.active === false ? 'Deactivated' : 'Active'}
       </span>
     );
   };
 
-  const totalRevenue = bills
-    .filter(bill => bill.status === 'paid')
-    .reduce((sum, bill) => sum + (bill.amount || 0), 0);
+  const handleSignOut = async (account) => {
+    if (!window.confirm(`Sign ${account.name} out of every device?`)) return;
+    try {
+      const response = await axios.delete(`/api/users/${account._id}/sessions`);
+      setMessage({ type: 'success', text: `Ended ${response.data.revoked} session(s) for ${account.name}.` });
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Sign out failed' });
+    }
+  };
+
+  const handleResetTwoFactor = async (account) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${account.name}? Use this only after confirming their identity.`)) return;
+    try {
+      await axios.post(`/api/users/${account._id}/2fa/reset`);
+      setMessage({ type: 'success', text: `Two-factor authentication reset for ${account.name}.` });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error resetting two-factor:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Reset failed' });
+    }
+  };
 
-  const pendingRevenue = bills
-    .filter(bill => bill.status === 'pending')
-    .reduce((sum, bill) => sum + (bill.amount || 0), 0);
+  const resetForm = () => {
+    setFormData({
+      name: '',
+      email: '',
+      password: '',
+      phone: '',
+      role: 'nurse'
+    });
+    setEditingUser(null);
+    setFormErrors([]);
+  };
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-        <h1 style={{ color: '#667eea' }}><i className="fas fa-money-bill"></i> Billing Management</h1>
-        <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-          <i className="fas fa-plus"></i> Add Bill
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-users-cog"></i> User Accounts</h1>
+        <button className="btn btn-primary" onClick={() => { resetForm(); setMessage(null); setShowModal(true); }}>
+          <i className="fas fa-plus"></i> Add Staff Account
         </button>
       </div>
 
-      <div className="dashboard-grid">
-        <div className="stat-card">
-          <i className="fas fa-money-bill-wave" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
-          <h3>RWF {totalRevenue.toLocaleString()}</h3>
-          <p>Total Revenue</p>
-        </div>
-        <div className="stat-card">
-          <i className="fas fa-clock" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#f09819' }}></i>
-          <h3>RWF {pendingRevenue.toLocaleString()}</h3>
-          <p>Pending Payments</p>
-        </div>
-        <div className="stat-card">
-          <i className="fas fa-file-invoice" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#667eea' }}></i>
-          <h3>{bills.filter(b => b.status === 'pending').length}</h3>
-          <p>Pending Bills</p>
+      {message && !showModal && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'}`}></i> {message.text}
         </div>
-        <div className="stat-card">
-          <i className="fas fa-check-circle" style={{ fontSize: '2.5rem', marginBottom: '15px', color: '#11998e' }}></i>
-          <h3>{bills.filter(b => b.status === 'paid').length}</h3>
-          <p>Paid Bills</p>
+      )}
+
+      <div className="card" style={{ marginBottom: '30px' }}>
+        <h3 style={{ color: '#667eea', marginBottom: '10px' }}><i className="fas fa-shield-alt"></i> Two-Factor Policy</h3>
+        <p style={{ color: '#6b7280', marginBottom: '15px' }}>
+          Staff in the selected roles must set up two-factor authentication before they can use the system.
+        </p>
+        <div style={{ display: 'flex', gap: '20px' }}>
+          {['admin', 'doctor', 'nurse'].map(role => (
+            <label key={role} style={{ textTransform: 'capitalize', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={twoFactorRoles.includes(role)}
+                onChange={() => handleTwoFactorRoleToggle(role)}
+                style={{ marginRight: '8px' }}
+              />
+              {role}
+            </label>
+          ))}
         </div>
       </div>
 
-      <div className="search-bar">
+      {pendingUsers.length > 0 && (
+        <div className="table-container" style={{ marginBottom: '30px' }}>
+          <h3 style={{ padding: '20px 20px 0', color: '#f09819' }}>
+            <i className="fas fa-user-clock"></i> Awaiting Approval ({pendingUsers.length})
+          </h3>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Applicant</th>
+                <th>Role</th>
+                <th>License Number</th>
+                <th>Phone</th>
+                <th>Registered</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingUsers.map((account) => (
+                <tr key={account._id}>
+                  <td>
+                    <strong>{account.name}</strong>
+                    <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>{account.email}</div>
+                  </td>
+                  <td style={{ textTransform: 'capitalize' }}>{account.role}</td>
+                  <td>{account.licenseNumber || 'N/A'}</td>
+                  <td>{account.phone || 'N/A'}</td>
+                  <td>{new Date(account.createdAt).toLocaleDateString()}</td>
+                  <td>
+                    <button
+                      className="btn btn-success"
+                      onClick={() => handleApprove(account)}
+                      style={{ marginRight: '10px' }}
+                    >
+                      <i className="fas fa-check"></i> Approve
+                    </button>
+                    <button className="btn btn-danger" onClick={() => handleReject(account)}>
+                      <i className="fas fa-times"></i> Reject
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="search-bar with-filter">
         <i className="fas fa-search"></i>
         <input
           type="text"
-          placeholder="Search bills..."
+          placeholder="Search by name or email..."
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
         />
+        <select
+          value={roleFilter}
+          onChange={(e) => { setRoleFilter(e.target.value); setPage(1); }}
+        >
+          <option value="">All Roles</option>
+          <option value="admin">Admin</option>
+          <option value="doctor">Doctor</option>
+          <option value="nurse">Nurse</option>
+          <option value="patient">Patient</option>
+        </select>
       </div>
 
       {loading ? (
@@ -3021,45 +6363,111 @@ const Billing = () => {
           <table className="table">
             <thead>
               <tr>
-                <th>Invoice #</th>
-                <th>Patient</th>
-                <th>Description</th>
-                <th>Amount</th>
-                <th>Due Date</th>
-                <th>Payment Method</th>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Role</th>
                 <th>Status</th>
+                <th>Created</th>
                 <th>Actions</th>
               </tr>
             </thead>
-            <tbody>
-              {filteredBills.map((bill) => (
-                <tr key={bill._id}>
-                  <td><strong>{bill.invoiceNumber || `INV-${bill._id.substring(0,8)}`}</strong></td>
-                  <td>{bill.patientId?.firstName} {bill.patientId?.lastName}</td>
-                  <td>{bill.description}</td>
-                  <td><strong>RWF {bill.amount?.toLocaleString()}</strong></td>
-                  <td>{new Date(bill.dueDate).toLocaleDateString()}</td>
-                  <td>{bill.paymentMethod || 'N/A'}</td>
-                  <td>{getStatusBadge(bill.status)}</td>
+            <tbody>
+              {users.map((account) => (
+                <tr key={account._id}>
+                  <td><strong>{account.name}</strong></td>
+                  <td>{account.email}</td>
+                  <td style={{ textTransform: 'capitalize' }}>{account.role}</td>
+                  <td>
+                    {getStatusBadge(account)}
+                    {isLocked(account) && (
+                      <span
+                        className="badge badge-overdue"
+                        style={{ marginLeft: '8px' }}
+                        title={`Locked until ${new Date(account.lockedUntil).toLocaleString()}`}
+                      >
+                        Locked
+                      </span>
+                    )}
+                    {account.twoFactorEnabled && (
+                      <i className="fas fa-shield-alt" style={{ color: '#11998e', marginLeft: '8px' }} title="Two-factor enabled"></i>
+                    )}
+                  </td>
+                  <td>{new Date(account.createdAt).toLocaleDateString()}</td>
                   <td>
+                    {account.role !== 'patient' && (
+                      <button
+                        className="btn btn-warning"
+                        onClick={() => handleEdit(account)}
+                        style={{ marginRight: '10px' }}
+                      >
+                        <i className="fas fa-edit"></i>
+                      </button>
+                    )}
+                    {isLocked(account) && (
+                      <button
+                        className="btn btn-success"
+                        onClick={() => handleUnlock(account)}
+                        style={{ marginRight: '10px' }}
+                        title="Unlock"
+                      >
+                        <i className="fas fa-lock-open"></i>
+                      </button>
+                    )}
                     <button
-                      className="btn btn-warning"
-                      onClick={() => handleEdit(bill)}
+                      className="btn btn-secondary"
+                      onClick={() => setHistoryUser(account)}
                       style={{ marginRight: '10px' }}
+                      title="Sign-in history"
                     >
-                      <i className="fas fa-edit"></i>
+                      <i className="fas fa-history"></i>
                     </button>
                     <button
-                      className="btn btn-danger"
-                      onClick={() => handleDelete(bill._id)}
+                      className="btn btn-info"
+                      onClick={() => handleSignOut(account)}
+                      style={{ marginRight: '10px' }}
+                      title="Sign out everywhere"
                     >
-                      <i className="fas fa-trash"></i>
+                      <i className="fas fa-sign-out-alt"></i>
                     </button>
+                    {account.twoFactorEnabled && (
+                      <button
+                        className="btn btn-secondary"
+                        onClick={() => handleResetTwoFactor(account)}
+                        style={{ marginRight: '10px' }}
+                        title="Reset two-factor"
+                      >
+                        <i className="fas fa-unlock-alt"></i>
+                      </button>
+                    )}
+                    {account._id !== (currentUser?._id || currentUser?.id) && (
+                      <button
+                        className={`btn ${account.active === false ? 'btn-success' : 'btn-danger'}`}
+                        onClick={() => handleToggleActive(account)}
+                        title={account.active === false ? 'Activate' : 'Deactivate'}
+                      >
+                        <i className={`fas ${account.active === false ? 'fa-user-check' : 'fa-user-slash'}`}></i>
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
             </tbody>
           </table>
+          <Pagination page={page} total={total} onPageChange={setPage} />
+        </div>
+      )}
+
+      {historyUser && (
+        <div className="modal">
+          <div className="modal-content" style={{ maxWidth: '900px' }}>
+            <div className="modal-header">
+              <h2>Sign-in History: {historyUser.name}</h2>
+              <button className="close-btn" onClick={() => setHistoryUser(null)}>
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+            <LoginHistory url={`/api/users/${historyUser._id}/login-history`} />
+          </div>
         </div>
       )}
 
@@ -3067,97 +6475,76 @@ const Billing = () => {
         <div className="modal">
           <div className="modal-content">
             <div className="modal-header">
-              <h2>{editingBill ? 'Edit Bill' : 'Add New Bill'}</h2>
+              <h2>{editingUser ? 'Edit Account' : 'Add Staff Account'}</h2>
               <button className="close-btn" onClick={() => { setShowModal(false); resetForm(); }}>
                 <i className="fas fa-times"></i>
               </button>
             </div>
-            <form onSubmit={handleSubmit}>
-              <div className="form-group">
-                <label>Patient *</label>
-                <select
-                  name="patientId"
-                  value={formData.patientId}
-                  onChange={handleInputChange}
-                  required
-                >
-                  <option value="">Select Patient</option>
-                  {patients.map(patient => (
-                    <option key={patient._id} value={patient._id}>
-                      {patient.firstName} {patient.lastName}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Invoice Number</label>
-                <input
-                  type="text"
-                  name="invoiceNumber"
-                  value={formData.invoiceNumber}
-                  onChange={handleInputChange}
-                  placeholder="e.g., INV-2023-001"
-                />
-              </div>
-              <div className="form-group">
-                <label>Amount (RWF) *</label>
-                <input
-                  type="number"
-                  name="amount"
-                  value={formData.amount}
-                  onChange={handleInputChange}
-                  required
-                />
+            {message?.type === 'error' && formErrors.length === 0 && (
+              <div className="alert alert-error">
+                <i className="fas fa-exclamation-circle"></i> {message.text}
               </div>
+            )}
+            <form onSubmit={handleSubmit}>
               <div className="form-group">
-                <label>Description *</label>
+                <label>Full Name *</label>
                 <input
                   type="text"
-                  name="description"
-                  value={formData.description}
+                  name="name"
+                  value={formData.name}
                   onChange={handleInputChange}
                   required
                 />
+                <FieldError errors={formErrors} field="name" />
               </div>
+              {!editingUser && (
+                <>
+                  <div className="form-group">
+                    <label>Email *</label>
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleInputChange}
+                      required
+                    />
+                    <FieldError errors={formErrors} field="email" />
+                  </div>
+                  <div className="form-group">
+                    <label>Temporary Password *</label>
+                    <input
+                      type="password"
+                      name="password"
+                      value={formData.password}
+                      onChange={handleInputChange}
+                      required
+                    />
+                    <PasswordHint />
+                    <FieldError errors={formErrors} field="password" />
+                  </div>
+                </>
+              )}
               <div className="form-group">
-                <label>Due Date *</label>
+                <label>Phone</label>
                 <input
-                  type="date"
-                  name="dueDate"
-                  value={formData.dueDate}
+                  type="tel"
+                  name="phone"
+                  value={formData.phone}
                   onChange={handleInputChange}
-                  required
                 />
+                <FieldError errors={formErrors} field="phone" />
               </div>
               <div className="form-group">
-                <label>Payment Method</label>
-                <select
-                  name="paymentMethod"
-                  value={formData.paymentMethod}
-                  onChange={handleInputChange}
-                >
-                  <option value="">Select Payment Method</option>
-                  <option value="Cash">Cash</option>
-                  <option value="Bank Transfer">Bank Transfer</option>
-                  <option value="Mobile Money">Mobile Money</option>
-                  <option value="Credit Card">Credit Card</option>
-                  <option value="Insurance">Insurance</option>
-                </select>
-              </div>
-              <div className="form-group">
-                <label>Status</label>
-                <select
-                  name="status"
-                  value={formData.status}
-                  onChange={handleInputChange}
-                >
-                  <option value="pending">Pending</option>
-                  <option value="paid">Paid</option>
-                  <option value="overdue">Overdue</option>
+                <label>Role *</label>
+                <select name="role" value={formData.role} onChange={handleInputChange} required>
+                  <option value="admin">Admin</option>
+                  <option value="doctor">Doctor</option>
+                  <option value="nurse">Nurse</option>
                 </select>
+                <FieldError errors={formErrors} field="role" />
               </div>
               <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                {editingBill ? 'Update Bill' : 'Add Bill'}
+                {editingUser ? 'Update Account' : 'Create Account'}
               </button>
             </form>
           </div>
@@ -3167,13 +6554,724 @@ const Billing = () => {
   );
 };
 
-// Login Component
+const AUDIT_RESOURCE_LABELS = {
+  patient: 'Patient',
+  appointment: 'Appointment',
+  'medical-record': 'Medical Record',
+  billing: 'Bill',
+  'patient-merge': 'Patient Merge'
+};
+
+const AUDIT_ACTION_CLASSES = {
+  read: 'badge-confirmed',
+  list: 'badge-confirmed',
+  create: 'badge-completed',
+  update: 'badge-pending',
+  delete: 'badge-cancelled',
+  merge: 'badge-overdue',
+  'undo-merge': 'badge-overdue',
+  'issue-claim-code': 'badge-pending'
+};
+
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Who read or changed patient data, with the changes made by each write
+// Slot lengths per specialization and hospital-wide holidays
+const SchedulingSettings = () => {
+  const [settings, setSettings] = useState({ defaultSlotMinutes: 30, slotLengths: [] });
+  const [specializations, setSpecializations] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [holidayForm, setHolidayForm] = useState({ start: '', end: '', reason: '' });
+  const [formErrors, setFormErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchHolidays();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const [settingsResponse, doctorsResponse] = await Promise.all([
+        axios.get('/api/settings/scheduling'),
+        axios.get('/api/doctors')
+      ]);
+      setSettings(settingsResponse.data);
+      setSpecializations([...new Set(doctorsResponse.data.map(doctor => doctor.specialization).filter(Boolean))]);
+    } catch (error) {
+      console.error('Error fetching scheduling settings:', error);
+    }
+  };
+
+  const fetchHolidays = async () => {
+    try {
+      const response = await axios.get('/api/leave', { params: { holidays: 'true' } });
+      setHolidays(response.data);
+    } catch (error) {
+      console.error('Error fetching holidays:', error);
+    }
+  };
+
+  const updateLength = (index, field, value) => {
+    setSettings({
+      ...settings,
+      slotLengths: settings.slotLengths.map((length, i) => (i === index ? { ...length, [field]: value } : length))
+    });
+  };
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    try {
+      const response = await axios.put('/api/settings/scheduling', settings);
+      setSettings(response.data);
+      setMessage({ type: 'success', text: 'Scheduling settings saved.' });
+    } catch (error) {
+      console.error('Error saving scheduling settings:', error);
+      setFormErrors(getValidationErrors(error));
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Save failed' });
+    }
+  };
+
+  const addHoliday = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    try {
+      const response = await axios.post('/api/leave', {
+        ...holidayForm,
+        start: new Date(holidayForm.start).toISOString(),
+        end: new Date(holidayForm.end).toISOString()
+      });
+      const affected = response.data.affectedAppointments;
+      setMessage({
+        type: affected > 0 ? 'warning' : 'success',
+        text: affected > 0
+          ? `Holiday added. ${affected} booked appointment(s) fall on it and need to be moved.`
+          : 'Holiday added.'
+      });
+      setHolidayForm({ start: '', end: '', reason: '' });
+      fetchHolidays();
+    } catch (error) {
+      console.error('Error adding holiday:', error);
+      setFormErrors(getValidationErrors(error));
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Could not add the holiday' });
+    }
+  };
+
+  const removeHoliday = async (id) => {
+    if (!window.confirm('Remove this holiday?')) return;
+    try {
+      await axios.delete(`/api/leave/${id}`);
+      fetchHolidays();
+    } catch (error) {
+      console.error('Error removing holiday:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Delete failed' });
+    }
+  };
+
+  return (
+    <div className="container">
+      <h1 style={{ color: '#667eea', marginBottom: '30px' }}><i className="fas fa-clock"></i> Scheduling</h1>
+
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}`}></i> {message.text}
+        </div>
+      )}
+
+      <div className="card" style={{ marginBottom: '20px' }}>
+        <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-hourglass-half"></i> Appointment Slots & Booking</h3>
+        <form onSubmit={saveSettings}>
+          <div className="form-group">
+            <label>Default slot length (minutes) *</label>
+            <input
+              type="number"
+              min="5"
+              max="240"
+              value={settings.defaultSlotMinutes}
+              onChange={(e) => setSettings({ ...settings, defaultSlotMinutes: e.target.value })}
+              required
+            />
+            <FieldError errors={formErrors} field="defaultSlotMinutes" />
+          </div>
+          <datalist id="specializations">
+            {specializations.map(specialization => <option key={specialization} value={specialization} />)}
+          </datalist>
+          {settings.slotLengths.map((length, index) => (
+            <div key={index} className="working-hours-range">
+              <input
+                type="text"
+                list="specializations"
+                placeholder="Specialization"
+                value={length.specialization}
+                onChange={(e) => updateLength(index, 'specialization', e.target.value)}
+                required
+              />
+              <input
+                type="number"
+                min="5"
+                max="240"
+                value={length.minutes}
+                onChange={(e) => updateLength(index, 'minutes', e.target.value)}
+                required
+              />
+              <span>minutes</span>
+              <button
+                type="button"
+                className="btn btn-danger"
+                onClick={() => setSettings({ ...settings, slotLengths: settings.slotLengths.filter((_, i) => i !== index) })}
+                title="Remove"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </div>
+          ))}
+          <FieldError errors={formErrors} field="slotLengths" />
+
+          <h4 style={{ margin: '25px 0 15px', color: '#374151' }}>Patient Bookings & No-shows</h4>
+          <div className="leave-form" style={{ marginTop: 0 }}>
+            {[
+              { field: 'bookingNoticeHours', label: 'Minimum notice (hours)' },
+              { field: 'maxAdvanceDays', label: 'Furthest ahead (days)' },
+              { field: 'rescheduleCutoffHours', label: 'Reschedule until (hours before)' },
+              { field: 'cancellationCutoffHours', label: 'Cancel until (hours before)' },
+              { field: 'noShowGraceMinutes', label: 'No-show after (minutes late)' }
+            ].map(({ field, label }) => (
+              <div key={field} className="form-group">
+                <label>{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={settings[field] ?? ''}
+                  onChange={(e) => setSettings({ ...settings, [field]: e.target.value })}
+                />
+                <FieldError errors={formErrors} field={field} />
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setSettings({ ...settings, slotLengths: [...settings.slotLengths, { specialization: '', minutes: 30 }] })}
+            >
+              <i className="fas fa-plus"></i> Add Specialization
+            </button>
+            <button type="submit" className="btn btn-primary">
+              <i className="fas fa-save"></i> Save
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <h3 style={{ color: '#667eea', marginBottom: '20px' }}><i className="fas fa-umbrella-beach"></i> Hospital Holidays</h3>
+        <p className="slot-hint">No appointments can be booked with any doctor during a holiday.</p>
+        {holidays.length > 0 && (
+          <table className="audit-changes">
+            <tbody>
+              {holidays.map(holiday => (
+                <tr key={holiday._id}>
+                  <td>{new Date(holiday.start).toLocaleString()} – {new Date(holiday.end).toLocaleString()}</td>
+                  <td>{holiday.reason}</td>
+                  <td>
+                    <button className="btn btn-danger" onClick={() => removeHoliday(holiday._id)} title="Remove">
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <form onSubmit={addHoliday} className="leave-form">
+          <div className="form-group">
+            <label>From *</label>
+            <input
+              type="datetime-local"
+              value={holidayForm.start}
+              onChange={(e) => setHolidayForm({ ...holidayForm, start: e.target.value })}
+              required
+            />
+            <FieldError errors={formErrors} field="start" />
+          </div>
+          <div className="form-group">
+            <label>Until *</label>
+            <input
+              type="datetime-local"
+              value={holidayForm.end}
+              onChange={(e) => setHolidayForm({ ...holidayForm, end: e.target.value })}
+              required
+            />
+            <FieldError errors={formErrors} field="end" />
+          </div>
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={holidayForm.reason}
+              onChange={(e) => setHolidayForm({ ...holidayForm, reason: e.target.value })}
+              placeholder="e.g. Liberation Day"
+            />
+            <FieldError errors={formErrors} field="reason" />
+          </div>
+          <button type="submit" className="btn btn-primary">
+            <i className="fas fa-plus"></i> Add Holiday
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ actor: '', patientId: '', resourceType: '', action: '', from: '', to: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const debouncedActor = useDebounce(filters.actor);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [page, debouncedActor, filters.patientId, filters.resourceType, filters.action, filters.from, filters.to]);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: PAGE_SIZE };
+      if (debouncedActor) params.actor = debouncedActor;
+      ['patientId', 'resourceType', 'action', 'from', 'to'].forEach(key => {
+        if (filters[key]) params[key] = filters[key];
+      });
+      const response = await axios.get('/api/audit-logs', { params });
+      setEntries(response.data);
+      setTotal(getTotalCount(response));
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+    }
+    setLoading(false);
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      const response = await axios.get('/api/audit-logs/verify');
+      setVerification(response.data);
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      setVerification({ valid: false, message: error.response?.data?.message || 'Verification failed' });
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const describePatients = (entry) => {
+    if (!entry.patientIds?.length) return '—';
+    const names = entry.patientIds
+      .filter(patient => patient && patient.firstName)
+      .map(patient => `${patient.firstName} ${patient.lastName}`);
+    const removed = entry.patientIds.length - names.length;
+    if (names.length > 3) {
+      return `${names.slice(0, 3).join(', ')} and ${names.length - 3 + removed} more`;
+    }
+    return [...names, ...(removed > 0 ? [`${removed} removed`] : [])].join(', ');
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-clipboard-list"></i> Audit Log</h1>
+        <button className="btn btn-primary" onClick={handleVerify} disabled={verifying}>
+          <i className="fas fa-link"></i> {verifying ? 'Checking...' : 'Verify Integrity'}
+        </button>
+      </div>
+
+      {verification && (
+        <div className={`alert alert-${verification.valid ? 'success' : 'error'}`}>
+          <i className={`fas ${verification.valid ? 'fa-check-circle' : 'fa-exclamation-triangle'}`}></i>{' '}
+          {verification.valid
+            ? `All ${verification.checked} entries are intact.`
+            : `The audit log has been tampered with at entry ${verification.brokenAt ?? '?'}: ${verification.message}`}
+        </div>
+      )}
+
+      <div className="card audit-filters">
+        <div className="form-group">
+          <label>User</label>
+          <input
+            type="text"
+            placeholder="Name or email"
+            value={filters.actor}
+            onChange={(e) => updateFilter('actor', e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label>Patient</label>
+          <PatientPicker value={filters.patientId} onChange={(id) => updateFilter('patientId', id)} />
+        </div>
+        <div className="form-group">
+          <label>Record Type</label>
+          <select value={filters.resourceType} onChange={(e) => updateFilter('resourceType', e.target.value)}>
+            <option value="">All</option>
+            {Object.entries(AUDIT_RESOURCE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Action</label>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)}>
+            <option value="">All</option>
+            {Object.keys(AUDIT_ACTION_CLASSES).map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>From</label>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>To</label>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Time</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Record</th>
+                <th>Patients</th>
+                <th>IP Address</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <React.Fragment key={entry._id}>
+                  <tr>
+                    <td>{entry.seq}</td>
+                    <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>
+                      <strong>{entry.actorId?.name || entry.actorEmail || 'Unknown'}</strong>
+                      <div style={{ fontSize: '0.85rem', color: '#6b7280', textTransform: 'capitalize' }}>{entry.actorRole}</div>
+                    </td>
+                    <td><span className={`badge ${AUDIT_ACTION_CLASSES[entry.action] || 'badge-pending'}`}>{entry.action}</span></td>
+                    <td>
+                      {AUDIT_RESOURCE_LABELS[entry.resourceType] || entry.resourceType}
+                      {entry.details?.count !== undefined && (
+                        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>{entry.details.count} shown</div>
+                      )}
+                    </td>
+                    <td>{describePatients(entry)}</td>
+                    <td>{entry.ip || '—'}</td>
+                    <td>
+                      {(entry.changes?.length > 0 || entry.details) && (
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                          title="Details"
+                        >
+                          <i className={`fas fa-chevron-${expanded === entry._id ? 'up' : 'down'}`}></i>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {expanded === entry._id && (
+                    <tr>
+                      <td colSpan="8" style={{ background: '#f9fafb' }}>
+                        {entry.changes?.length > 0 && (
+                          <table className="audit-changes">
+                            <thead>
+                              <tr>
+                                <th>Field</th>
+                                <th>Before</th>
+                                <th>After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {entry.changes.map(change => (
+                                <tr key={change.field}>
+                                  <td><strong>{change.field}</strong></td>
+                                  <td>{formatAuditValue(change.before)}</td>
+                                  <td>{formatAuditValue(change.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                        {entry.details?.query && (
+                          <p style={{ color: '#6b7280' }}>
+                            <strong>Query:</strong> {Object.keys(entry.details.query).length > 0 ? JSON.stringify(entry.details.query) : 'none'}
+                          </p>
+                        )}
+                        <p style={{ fontSize: '0.8rem', color: '#9ca3af', marginTop: '10px', wordBreak: 'break-all' }}>
+                          {entry.userAgent} · hash {entry.hash}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {entries.length === 0 && (
+            <p style={{ padding: '20px', textAlign: 'center', color: '#6b7280' }}>No matching entries.</p>
+          )}
+          <Pagination page={page} total={total} onPageChange={setPage} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const patientName = (patient) => (patient ? `${patient.firstName} ${patient.lastName}` : 'Unknown patient');
+
+// How each kind of deleted record is named in the trash
+const TRASH_TABS = [
+  {
+    type: 'patients',
+    label: 'Patients',
+    describe: (doc) => [`${doc.firstName} ${doc.lastName}`, doc.patientId]
+  },
+  {
+    type: 'doctors',
+    label: 'Doctors',
+    describe: (doc) => [`Dr. ${doc.firstName} ${doc.lastName}`, doc.specialization]
+  },
+  {
+    type: 'appointments',
+    label: 'Appointments',
+    describe: (doc) => [
+      `${patientName(doc.patientId)} – ${doc.appointmentDate ? new Date(doc.appointmentDate).toLocaleString() : 'no date'}`,
+      doc.reason
+    ]
+  },
+  {
+    type: 'medical-records',
+    label: 'Medical Records',
+    describe: (doc) => [doc.diagnosis || 'No diagnosis', patientName(doc.patientId)]
+  },
+  {
+    type: 'billing',
+    label: 'Bills',
+    describe: (doc) => [
+      `${doc.invoiceNumber || 'Bill'} – RWF ${(doc.amount || 0).toLocaleString()}`,
+      patientName(doc.patientId)
+    ]
+  },
+  {
+    type: 'departments',
+    label: 'Departments',
+    describe: (doc) => [doc.name, doc.description]
+  },
+  {
+    type: 'inventory',
+    label: 'Inventory',
+    describe: (doc) => [doc.itemName, doc.category]
+  }
+];
+
+// Soft-deleted records, restorable at any time and purgeable after the
+// retention period
+const Trash = () => {
+  const [activeTab, setActiveTab] = useState(TRASH_TABS[0]);
+  const [counts, setCounts] = useState({});
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchCounts();
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+  }, [activeTab, page]);
+
+  const fetchCounts = async () => {
+    try {
+      const response = await axios.get('/api/trash');
+      setCounts(response.data.counts);
+      setRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      console.error('Error fetching trash counts:', error);
+    }
+  };
+
+  const fetchItems = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/trash/${activeTab.type}`, { params: { page, limit: PAGE_SIZE } });
+      setItems(response.data);
+      setTotal(getTotalCount(response));
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    }
+    setLoading(false);
+  };
+
+  const refresh = () => {
+    fetchItems();
+    fetchCounts();
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      await axios.post(`/api/trash/${activeTab.type}/${item._id}/restore`);
+      setMessage({
+        type: 'success',
+        text: activeTab.type === 'patients'
+          ? 'Patient restored, together with the records deleted with them.'
+          : 'Restored.'
+      });
+      refresh();
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Restore failed' });
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm('Permanently delete this? It cannot be recovered.')) return;
+    try {
+      const response = await axios.delete(`/api/trash/${activeTab.type}/${item._id}`);
+      setMessage({ type: 'success', text: response.data.message });
+      refresh();
+    } catch (error) {
+      console.error('Error purging item:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Delete failed' });
+    }
+  };
+
+  return (
+    <div className="container">
+      <div style={{ marginBottom: '30px' }}>
+        <h1 style={{ color: '#667eea' }}><i className="fas fa-trash-restore"></i> Trash</h1>
+        {retentionDays && (
+          <p style={{ color: '#6b7280' }}>
+            Deleted records can be restored at any time and permanently deleted after {retentionDays} days.
+          </p>
+        )}
+      </div>
+
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          <i className={`fas ${message.type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'}`}></i> {message.text}
+        </div>
+      )}
+
+      <div className="trash-tabs">
+        {TRASH_TABS.map(tab => (
+          <button
+            key={tab.type}
+            className={`btn ${tab.type === activeTab.type ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => { setActiveTab(tab); setPage(1); setMessage(null); }}
+          >
+            {tab.label} ({counts[tab.type] || 0})
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{activeTab.label}</th>
+                <th>Deleted</th>
+                <th>Deleted By</th>
+                <th>Can Be Purged</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map(item => {
+                const [title, subtitle] = activeTab.describe(item);
+                const purgeable = new Date(item.purgeableAt) <= new Date();
+                return (
+                  <tr key={item._id}>
+                    <td>
+                      <strong>{title}</strong>
+                      {subtitle && <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>{subtitle}</div>}
+                      {item.deletedWith && (
+                        <div style={{ fontSize: '0.85rem', color: '#9ca3af' }}>Deleted with its patient</div>
+                      )}
+                    </td>
+                    <td>{new Date(item.deletedAt).toLocaleString()}</td>
+                    <td>{item.deletedBy?.name || 'Unknown'}</td>
+                    <td>{purgeable ? 'Now' : new Date(item.purgeableAt).toLocaleDateString()}</td>
+                    <td>
+                      <button
+                        className="btn btn-success"
+                        onClick={() => handleRestore(item)}
+                        style={{ marginRight: '10px' }}
+                        title="Restore"
+                      >
+                        <i className="fas fa-undo"></i>
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => handlePurge(item)}
+                        disabled={!purgeable}
+                        title={purgeable ? 'Delete permanently' : `Available after ${retentionDays} days`}
+                      >
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {items.length === 0 && (
+            <p style={{ padding: '20px', textAlign: 'center', color: '#6b7280' }}>Nothing here.</p>
+          )}
+          <Pagination page={page} total={total} onPageChange={setPage} />
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login, user } = useAuth();
+  const { login, verifyTwoFactor, user } = useAuth();
 
   useEffect(() => {
     if (user) {
@@ -3195,10 +7293,88 @@ const Login = () => {
     const result = await login(email, password);
     if (!result.success) {
       setError(result.message);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    }
+    setLoading(false);
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyTwoFactor(challengeToken, code);
+    if (result.success) {
+      if (result.backupCodesRemaining !== undefined) {
+        alert(`Backup code used. You have ${result.backupCodesRemaining} backup code(s) left.`);
+      }
+    } else {
+      setError(result.message);
+      setCode('');
+      // The challenge only lasts a few minutes; start over with the password
+      if (result.expired) {
+        setChallengeToken('');
+      }
     }
     setLoading(false);
   };
 
+  if (challengeToken) {
+    return (
+      <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
+        <div className="card">
+          <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+            <div style={{ fontSize: '3rem', marginBottom: '15px' }}>🔐</div>
+            <h2 style={{ color: '#667eea', marginBottom: '10px' }}>
+              Two-Factor Authentication
+            </h2>
+            <p style={{ color: '#6b7280' }}>Enter the 6-digit code from your authenticator app, or one of your backup codes</p>
+          </div>
+
+          {error && (
+            <div className="alert alert-error">
+              <i className="fas fa-exclamation-circle"></i> {error}
+            </div>
+          )}
+
+          <form onSubmit={handleCodeSubmit}>
+            <div className="form-group">
+              <label><i className="fas fa-key"></i> Authentication Code</label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                disabled={loading}
+              />
+            </div>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              style={{ width: '100%' }}
+              disabled={loading}
+            >
+              <i className="fas fa-check"></i> {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          <p style={{ textAlign: 'center', marginTop: '25px' }}>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => { setChallengeToken(''); setCode(''); setError(''); }}
+            >
+              <i className="fas fa-arrow-left"></i> Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
       <div className="card">
@@ -3236,6 +7412,9 @@ const Login = () => {
               placeholder="Enter your password"
               disabled={loading}
             />
+            <p style={{ textAlign: 'right', marginTop: '8px' }}>
+              <Link to="/forgot-password" style={{ color: '#667eea', fontSize: '0.9rem' }}>Forgot password?</Link>
+            </p>
           </div>
           <button 
             type="submit" 
@@ -3263,6 +7442,204 @@ const Login = () => {
   );
 };
 
+// Forgot Password Component
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormErrors([]);
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (error) {
+      setFormErrors(getValidationErrors(error));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
+      <div className="card">
+        <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+          <div style={{ fontSize: '3rem', marginBottom: '15px' }}>🔑</div>
+          <h2 style={{ color: '#667eea', marginBottom: '10px' }}>Forgot Password</h2>
+          <p style={{ color: '#6b7280' }}>Enter your email and we will send you a reset link</p>
+        </div>
+
+        {message ? (
+          <div className="alert alert-success">
+            <i className="fas fa-check-circle"></i> {message}
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label><i className="fas fa-envelope"></i> Email</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                disabled={loading}
+                required
+              />
+              <FieldError errors={formErrors} field="email" />
+            </div>
+            <button type="submit" className="btn btn-primary" style={{ width: '100%' }} disabled={loading}>
+              <i className="fas fa-paper-plane"></i> {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+        <p style={{ textAlign: 'center', marginTop: '25px', color: '#6b7280' }}>
+          <Link to="/login" style={{ color: '#667eea', fontWeight: '600' }}>Back to Login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Reset Password Component - opened from the emailed link
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+  const token = searchParams.get('token');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFormErrors([]);
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/auth/reset-password', { token, password });
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Password reset failed');
+      setFormErrors(getValidationErrors(error));
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
+      <div className="card">
+        <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+          <div style={{ fontSize: '3rem', marginBottom: '15px' }}>🔒</div>
+          <h2 style={{ color: '#667eea', marginBottom: '10px' }}>Choose a New Password</h2>
+        </div>
+
+        {!token ? (
+          <div className="alert alert-error">
+            <i className="fas fa-exclamation-circle"></i> This reset link is incomplete. Please use the link from your email.
+          </div>
+        ) : success ? (
+          <div className="alert alert-success">
+            <i className="fas fa-check-circle"></i> {success}
+          </div>
+        ) : (
+          <>
+            {error && (
+              <div className="alert alert-error">
+                <i className="fas fa-exclamation-circle"></i> {error}
+              </div>
+            )}
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label><i className="fas fa-lock"></i> New Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  required
+                />
+                <PasswordHint />
+                <FieldError errors={formErrors} field="password" />
+              </div>
+              <div className="form-group">
+                <label><i className="fas fa-lock"></i> Confirm Password</label>
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  disabled={loading}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary" style={{ width: '100%' }} disabled={loading}>
+                <i className="fas fa-save"></i> {loading ? 'Saving...' : 'Reset Password'}
+              </button>
+            </form>
+          </>
+        )}
+        <p style={{ textAlign: 'center', marginTop: '25px', color: '#6b7280' }}>
+          <Link to="/login" style={{ color: '#667eea', fontWeight: '600' }}>Back to Login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Verify Email Component - opened from the emailed link
+// Follows an emailed confirmation link: a new account's address, or a
+// changed address when endpoint is /api/auth/confirm-email-change
+const VerifyEmail = ({ endpoint = '/api/auth/verify-email', title = 'Email Verification' }) => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState({ state: 'loading', message: '' });
+  const { user, fetchUser } = useAuth();
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await axios.post(endpoint, { token: searchParams.get('token') });
+        setStatus({ state: 'success', message: response.data.message });
+        // Drop the verification banner for a signed-in user
+        if (user) fetchUser();
+      } catch (error) {
+        setStatus({ state: 'error', message: error.response?.data?.message || 'Verification failed' });
+      }
+    };
+    verify();
+  }, []);
+
+  return (
+    <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
+      <div className="card">
+        <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+          <div style={{ fontSize: '3rem', marginBottom: '15px' }}>📧</div>
+          <h2 style={{ color: '#667eea', marginBottom: '10px' }}>{title}</h2>
+        </div>
+        {status.state === 'loading' ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <div className={`alert alert-${status.state}`}>
+            <i className={`fas ${status.state === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'}`}></i> {status.message}
+          </div>
+        )}
+        <Link to="/dashboard" className="btn btn-primary" style={{ width: '100%', textAlign: 'center' }}>
+          <i className="fas fa-arrow-right"></i> Continue
+        </Link>
+      </div>
+    </div>
+  );
+};
+
 // Register Component
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -3270,9 +7647,12 @@ const Register = () => {
     email: '',
     password: '',
     phone: '',
-    role: 'patient'
+    role: 'patient',
+    licenseNumber: ''
   });
   const [error, setError] = useState('');
+  const [pendingMessage, setPendingMessage] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
   const [success, setSuccess] = useState(false);
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
@@ -3290,6 +7670,7 @@ const Register = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFormErrors([]);
     setSuccess(false);
     setLoading(true);
 
@@ -3301,9 +7682,11 @@ const Register = () => {
 
     const result = await register(formData);
     if (result.success) {
+      setPendingMessage(result.pending ? result.message : '');
       setSuccess(true);
     } else {
       setError(result.message);
+      setFormErrors(result.errors || []);
     }
     setLoading(false);
   };
@@ -3313,12 +7696,12 @@ const Register = () => {
       <div className="container" style={{ maxWidth: '450px', margin: '100px auto' }}>
         <div className="card">
           <div style={{ textAlign: 'center', marginBottom: '25px' }}>
-            <div style={{ fontSize: '3rem', marginBottom: '15px', color: '#11998e' }}>✅</div>
+            <div style={{ fontSize: '3rem', marginBottom: '15px', color: '#11998e' }}>{pendingMessage ? '⏳' : '✅'}</div>
             <h2 style={{ color: '#11998e', marginBottom: '15px' }}>
-              Registration Successful!
+              {pendingMessage ? 'Registration Received' : 'Registration Successful!'}
             </h2>
             <p style={{ color: '#6b7280' }}>
-              Your account has been created successfully.
+              {pendingMessage || 'Your account has been created successfully.'}
             </p>
           </div>
           <Link to="/login" className="btn btn-primary" style={{ width: '100%', textAlign: 'center' }}>
@@ -3357,6 +7740,7 @@ const Register = () => {
               placeholder="Enter your full name"
               disabled={loading}
             />
+            <FieldError errors={formErrors} field="name" />
           </div>
           <div className="form-group">
             <label><i className="fas fa-envelope"></i> Email *</label>
@@ -3368,6 +7752,7 @@ const Register = () => {
               placeholder="Enter your email"
               disabled={loading}
             />
+            <FieldError errors={formErrors} field="email" />
           </div>
           <div className="form-group">
             <label><i className="fas fa-lock"></i> Password *</label>
@@ -3379,6 +7764,8 @@ const Register = () => {
               placeholder="Enter your password"
               disabled={loading}
             />
+            <PasswordHint />
+            <FieldError errors={formErrors} field="password" />
           </div>
           <div className="form-group">
             <label><i className="fas fa-phone"></i> Phone</label>
@@ -3390,6 +7777,7 @@ const Register = () => {
               placeholder="Enter your phone number"
               disabled={loading}
             />
+            <FieldError errors={formErrors} field="phone" />
           </div>
           <div className="form-group">
             <label><i className="fas fa-user-tag"></i> Role</label>
@@ -3406,7 +7794,25 @@ const Register = () => {
             <p style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '8px' }}>
               <i className="fas fa-info-circle"></i> Note: Admin accounts can only be created by system administrators.
             </p>
+            <FieldError errors={formErrors} field="role" />
           </div>
+          {formData.role !== 'patient' && (
+            <div className="form-group">
+              <label><i className="fas fa-id-badge"></i> License Number *</label>
+              <input
+                type="text"
+                name="licenseNumber"
+                value={formData.licenseNumber}
+                onChange={handleChange}
+                placeholder="Your professional council license number"
+                disabled={loading}
+              />
+              <p style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '8px' }}>
+                <i className="fas fa-info-circle"></i> Staff accounts are reviewed by an administrator before you can sign in.
+              </p>
+              <FieldError errors={formErrors} field="licenseNumber" />
+            </div>
+          )}
           <button 
             type="submit" 
             className="btn btn-primary" 
@@ -3444,6 +7850,13 @@ const App = () => {
             <Route path="/" element={<Navigate to="/login" />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route
+              path="/confirm-email"
+              element={<VerifyEmail endpoint="/api/auth/confirm-email-change" title="Email Change" />}
+            />
             <Route path="/dashboard" element={
               <ProtectedRoute>
                 <Dashboard />
@@ -3459,6 +7872,11 @@ const App = () => {
                 <Patients />
               </ProtectedRoute>
             } />
+            <Route path="/patients/duplicates" element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <PatientDuplicates />
+              </ProtectedRoute>
+            } />
             <Route path="/doctors" element={
               <ProtectedRoute allowedRoles={['admin']}>
                 <Doctors />
@@ -3469,6 +7887,11 @@ const App = () => {
                 <Appointments />
               </ProtectedRoute>
             } />
+            <Route path="/book" element={
+              <ProtectedRoute allowedRoles={['patient']}>
+                <BookAppointment />
+              </ProtectedRoute>
+            } />
             <Route path="/medical-records" element={
               <ProtectedRoute>
                 <MedicalRecords />
@@ -3489,6 +7912,31 @@ const App = () => {
                 <Inventory />
               </ProtectedRoute>
             } />
+            <Route path="/users" element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Users />
+              </ProtectedRoute>
+            } />
+            <Route path="/audit-log" element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <AuditLog />
+              </ProtectedRoute>
+            } />
+            <Route path="/scheduling" element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <SchedulingSettings />
+              </ProtectedRoute>
+            } />
+            <Route path="/schedule" element={
+              <ProtectedRoute allowedRoles={['doctor']}>
+                <MySchedule />
+              </ProtectedRoute>
+            } />
+            <Route path="/trash" element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <Trash />
+              </ProtectedRoute>
+            } />
           </Routes>
         </div>
       </Router>